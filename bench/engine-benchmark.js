@@ -0,0 +1,126 @@
+import { SegmentDisplayEngine } from '../src/classes/SegmentDisplayEngine.js';
+
+/** @typedef {import('../src/classes/SegmentDisplayEngine.js').Frame} Frame */
+
+/**
+ * Times calibration and per-frame reads of {@link SegmentDisplayEngine} on synthetic frames.
+ * Run with `npm run bench`, optionally followed by the number of calibration and read runs.
+ */
+
+/** Frame sizes to benchmark, in pixels. */
+const SIZES = [[640, 480], [1280, 720], [1920, 1080]];
+
+/** Segment stroke, hole width and hole height of the synthetic digits, in pixels. */
+const STROKE = 7;
+const HOLE_WIDTH = 8;
+const HOLE_HEIGHT = 10;
+const DIGIT_PITCH = 50;
+
+const calibrationRuns = Number(process.argv[2] ?? 3);
+const readRuns = Number(process.argv[3] ?? 50);
+
+/**
+ * Draws six digits in the middle of a frame, with a little noise so the background isn't flat.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {Array<number>} masks The segment mask of each digit
+ * @param {Array<boolean>} [decimalPoints=[]] Whether each digit's decimal point is lit
+ * @returns {Frame}
+ */
+function renderFrame(width, height, masks, decimalPoints = []) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    let seed = 1;
+    for (let index = 0; index < width * height; index++) {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        const gray = 26 + seed % 9;
+        data.set([gray, gray, gray, 255], index * 4);
+    }
+
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {number} rectWidth
+     * @param {number} rectHeight
+     */
+    const fill = (x, y, rectWidth, rectHeight) => {
+        for (let row = y; row < y + rectHeight; row++) {
+            for (let column = x; column < x + rectWidth; column++) {
+                data.set([255, 200, 200], (row * width + column) * 4);
+            }
+        }
+    };
+
+    const left = Math.floor((width - DIGIT_PITCH * masks.length) / 2) + STROKE;
+    const top = Math.floor(height / 2) - HOLE_HEIGHT - STROKE;
+    masks.forEach((mask, digit) => {
+        const x = left + digit * DIGIT_PITCH;
+        const lowerY = top + HOLE_HEIGHT + STROKE;
+        /** @type {Array<[number, number, number, number]>} */
+        const segments = [
+            [x - STROKE, top - STROKE, HOLE_WIDTH + 2 * STROKE, STROKE],
+            [x + HOLE_WIDTH, top - STROKE, STROKE, HOLE_HEIGHT + 2 * STROKE],
+            [x + HOLE_WIDTH, lowerY - STROKE, STROKE, HOLE_HEIGHT + 2 * STROKE],
+            [x - STROKE, lowerY + HOLE_HEIGHT, HOLE_WIDTH + 2 * STROKE, STROKE],
+            [x - STROKE, lowerY - STROKE, STROKE, HOLE_HEIGHT + 2 * STROKE],
+            [x - STROKE, top - STROKE, STROKE, HOLE_HEIGHT + 2 * STROKE],
+            [x - STROKE, top + HOLE_HEIGHT, HOLE_WIDTH + 2 * STROKE, STROKE]
+        ];
+        segments.forEach((rect, segment) => {
+            if (mask & (1 << segment)) {
+                fill(...rect);
+            }
+        });
+        if (decimalPoints[digit]) {
+            fill(x + HOLE_WIDTH + STROKE + 1, lowerY + HOLE_HEIGHT + STROKE + 1, 4, 4);
+        }
+    });
+    return { width, height, data };
+}
+
+/**
+ * Runs a function repeatedly and returns the median time of a run.
+ *
+ * @param {number} runs
+ * @param {() => void} callback
+ * @returns {number} Milliseconds
+ */
+function median(runs, callback) {
+    /** @type {Array<number>} */
+    const times = [];
+    for (let run = 0; run < runs; run++) {
+        const start = performance.now();
+        callback();
+        times.push(performance.now() - start);
+    }
+    times.sort((a, b) => {
+        return a - b;
+    });
+    return times[Math.floor(times.length / 2)];
+}
+
+/** @type {Array<Object<string, string|number>>} */
+const results = [];
+for (const [width, height] of SIZES) {
+    const lit = renderFrame(width, height, new Array(6).fill(127), new Array(6).fill(true));
+    const unlit = renderFrame(width, height, new Array(6).fill(0));
+    const reading = renderFrame(width, height, [63, 6, 91, 79, 102, 109], [false, false, true]);
+
+    const engine = new SegmentDisplayEngine(undefined, width, height);
+    const calibrate = median(calibrationRuns, () => {
+        engine.calibrate(lit, unlit);
+    });
+    if (!engine.calibrated) {
+        throw new Error(`Calibration failed at ${width}x${height}`);
+    }
+    const read = median(readRuns, () => {
+        engine.readDisplays(reading);
+    });
+    results.push({
+        size: `${width}x${height}`,
+        'calibrate (ms)': Number(calibrate.toFixed(1)),
+        'read (ms)': Number(read.toFixed(3)),
+        value: engine.readDisplays(reading).value
+    });
+}
+console.table(results);
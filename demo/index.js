@@ -1,19 +1,31 @@
+import { CameraController } from '../src/classes/CameraController.js';
 import { SegmentDisplayReader } from '../src/classes/SegmentDisplayReader.js';
 import { SegmentDisplayReaderConfiguration } from '../src/classes/SegmentDisplayReaderConfiguration.js';
+import { SessionRecorder } from '../src/classes/SessionRecorder.js';
 
 
 const rotate180 = localStorage.getItem('rotate180') !== 'false';
+const cameraId = localStorage.getItem('cameraId');
 
 const history = document.getElementById('history');
 const output = document.getElementById('output');
 const canvas = document.getElementById('canvas');
 const message = document.getElementById('message');
 const calibrateButton = document.getElementById('calibrate');
+const savedCalibrationButton = document.getElementById('use-saved-calibration');
+const autoCalibrateButton = document.getElementById('auto-calibrate');
+const pauseButton = document.getElementById('pause-toggle');
 const toggleDebugButton = document.getElementById('debug-toggle');
+const toggleDiagnosticsButton = document.getElementById('diagnostics-toggle');
 const rotate180Checkbox = document.getElementById('rotate-180');
+const cameraSelect = document.getElementById('camera-select');
 const configButton = document.getElementById('config-button');
 const configSlideover = document.getElementById('config-slideover');
 const closeConfigButton = document.getElementById('close-config');
+const addNoteButton = document.getElementById('add-note');
+const newSessionButton = document.getElementById('new-session');
+const exportCsvButton = document.getElementById('export-csv');
+const exportJsonButton = document.getElementById('export-json');
 
 const video = document.getElementById('video');
 
@@ -42,10 +54,26 @@ if (calibrateButton instanceof HTMLButtonElement === false) {
     throw new Error('Calibrate button not found');
 }
 
+if (savedCalibrationButton instanceof HTMLButtonElement === false) {
+    throw new Error('Saved calibration button not found');
+}
+
+if (autoCalibrateButton instanceof HTMLButtonElement === false) {
+    throw new Error('Auto calibrate button not found');
+}
+
+if (pauseButton instanceof HTMLButtonElement === false) {
+    throw new Error('Pause button not found');
+}
+
 if (toggleDebugButton instanceof HTMLButtonElement === false) {
     throw new Error('Debug toggle button not found');
 }
 
+if (toggleDiagnosticsButton instanceof HTMLButtonElement === false) {
+    throw new Error('Diagnostics toggle button not found');
+}
+
 if (configButton instanceof HTMLButtonElement === false) {
     throw new Error('Config button not found');
 }
@@ -62,9 +90,25 @@ if (rotate180Checkbox instanceof HTMLInputElement === false) {
     throw new Error('Rotate 180 checkbox not found');
 }
 
+if (cameraSelect instanceof HTMLSelectElement === false) {
+    throw new Error('Camera select not found');
+}
+
+if (addNoteButton instanceof HTMLButtonElement === false
+    || newSessionButton instanceof HTMLButtonElement === false
+    || exportCsvButton instanceof HTMLButtonElement === false
+    || exportJsonButton instanceof HTMLButtonElement === false
+) {
+    throw new Error('Session buttons not found');
+}
+
 const config = new SegmentDisplayReaderConfiguration();
 config.grayThreshold = 25;
 config.decimalPointFloodFillThreshold = 25;
+if (cameraId) {
+    // Preferred rather than exact, so a camera that was unplugged falls back to another
+    config.cameraConstraints = { deviceId: cameraId };
+}
 
 const reader = new SegmentDisplayReader(video, canvas, config);
 
@@ -98,11 +142,7 @@ rotate180Checkbox.addEventListener('change', ({ target }) => {
     if (target instanceof HTMLInputElement) {
         const doRotation = target?.checked;
         reader.rotate180 = doRotation;
-        localStorage.setItem('rotate180', doRotation.toString());
-        if (reader.source instanceof HTMLVideoElement) {
-            reader.source.classList.toggle('rotated', doRotation);
-
-        }
+        applyRotation(doRotation);
     }
 });
 
@@ -110,8 +150,52 @@ toggleDebugButton.addEventListener('click', () => {
     const value = !reader.showDebugMask;
     reader.showDebugMask = value;
     toggleDebugButton.innerText = value ? 'Disable Debug Overlay' : 'Enable Debug Overlay';
-    canvas.classList[value ? 'remove' : 'add']('hidden');
-    video.classList[value ? 'add' : 'remove']('hidden');
+    const showCanvas = value || reader.showDiagnostics;
+    canvas.classList[showCanvas ? 'remove' : 'add']('hidden');
+    video.classList[showCanvas ? 'add' : 'remove']('hidden');
+});
+
+toggleDiagnosticsButton.addEventListener('click', () => {
+    const value = !reader.showDiagnostics;
+    reader.showDiagnostics = value;
+    toggleDiagnosticsButton.innerText = value ? 'Hide Calibration Diagnostics' : 'Show Calibration Diagnostics';
+    const showCanvas = value || reader.showDebugMask;
+    canvas.classList[showCanvas ? 'remove' : 'add']('hidden');
+    video.classList[showCanvas ? 'add' : 'remove']('hidden');
+    if (value) {
+        // Readings redraw the overlay, but after a failed calibration nothing is being read
+        reader.drawDiagnostics();
+    }
+});
+
+const recorder = new SessionRecorder(reader);
+
+/**
+ * Adds a session entry to the top of the history pane.
+ * 
+ * @param {import('../src/classes/SessionRecorder.js').SessionEntry} entry
+ */
+function showEntry({ type, value, time }) {
+    const span = document.createElement('span');
+    span.innerText = `${new Date(time).toLocaleTimeString()}  ${type === 'note' ? `Note: ${value}` : value}`;
+    history.prepend(span);
+    history.prepend(document.createElement('br'));
+}
+
+// Pick up where the last session left off
+recorder.loadSessions().then(async (sessions) => {
+    const last = sessions.findLast(({ id }) => {
+        return id !== recorder.session.id;
+    });
+    if (last && recorder.entries.length === 0 && await recorder.resumeSession(last.id)) {
+        recorder.entries.forEach((entry) => {
+            if (entry.type !== 'change') {
+                showEntry(entry);
+            }
+        });
+    }
+}).catch((error) => {
+    console.warn('Unable to restore the last session:', error);
 });
 
 let messageHidden = false;
@@ -123,16 +207,149 @@ reader.addEventListener('output', (event) => {
         messageHidden = true;
     }
     output.innerText = value;
-    const span = document.createElement('span');
-    span.innerText = value;
-    history.prepend(span);
-    history.prepend(document.createElement('br'));
+    const entry = recorder.entries.at(-1);
+    if (entry) {
+        showEntry(entry);
+    }
+});
+
+addNoteButton.addEventListener('click', () => {
+    const text = prompt('Note');
+    if (text) {
+        showEntry(recorder.addNote(text));
+    }
+});
+
+newSessionButton.addEventListener('click', () => {
+    recorder.splitSession();
+    history.replaceChildren();
 });
 
+/**
+ * Saves text as a file.
+ * 
+ * @param {string} text
+ * @param {string} type The MIME type
+ * @param {string} extension
+ */
+function download(text, type, extension) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type }));
+    link.download = `session-${recorder.session.id}.${extension}`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+exportCsvButton.addEventListener('click', () => {
+    download(recorder.exportCSV(), 'text/csv', 'csv');
+});
+
+exportJsonButton.addEventListener('click', () => {
+    download(recorder.exportJSON(), 'application/json', 'json');
+});
+
+
+/**
+ * Mirrors the reader's rotation in the checkbox and video element.
+ * 
+ * @param {boolean} doRotation
+ */
+function applyRotation(doRotation) {
+    rotate180Checkbox.checked = doRotation;
+    localStorage.setItem('rotate180', doRotation.toString());
+    if (reader.source instanceof HTMLVideoElement) {
+        reader.source.classList.toggle('rotated', doRotation);
+    }
+}
+
+const savedCalibration = localStorage.getItem('calibration');
+if (savedCalibration) {
+    savedCalibrationButton.classList.remove('hidden');
+}
+
+savedCalibrationButton.addEventListener('click', () => {
+    try {
+        reader.importCalibration(savedCalibration ?? '', { rescale: true });
+    } catch (error) {
+        console.warn('Unable to restore saved calibration:', error);
+        localStorage.removeItem('calibration');
+        savedCalibrationButton.classList.add('hidden');
+        return;
+    }
+    applyRotation(reader.rotate180);
+    savedCalibrationButton.classList.add('hidden');
+    calibrateButton.innerText = 'Recalibrate';
+    message.classList.add('hidden');
+    messageHidden = true;
+});
+
+/**
+ * Stores the current calibration so it can be reused after a reload.
+ */
+function saveCalibration() {
+    savedCalibrationButton.classList.add('hidden');
+    try {
+        localStorage.setItem('calibration', JSON.stringify(reader.exportCalibration()));
+    } catch (error) {
+        console.warn('Unable to save calibration:', error);
+    }
+}
+
+const calibrationInstructions = message.innerText;
+
+autoCalibrateButton.addEventListener('click', () => {
+    if (reader.autoCalibrator) {
+        reader.stopAutoCalibration();
+        autoCalibrateButton.innerText = 'Auto Calibrate';
+        message.innerText = calibrationInstructions;
+        return;
+    }
+    reader.startAutoCalibration();
+    autoCalibrateButton.innerText = 'Stop Auto Calibration';
+    calibrateButton.innerText = 'Recalibrate';
+    message.classList.remove('hidden');
+    messageHidden = false;
+    message.innerText = 'Waiting for the display to hold still. Put the trainer in standby, then short the segment test terminals.';
+});
+
+reader.addEventListener('autocalibrationprogress', (event) => {
+    const { status, dark, bright, contrast } = /** @type {CustomEvent} */ (event).detail;
+    if (status === 'calibrated') {
+        autoCalibrateButton.innerText = 'Auto Calibrate';
+        message.innerText = calibrationInstructions;
+        return;
+    }
+    const captured = [
+        dark ? `dark frame (brightness ${dark.brightness.toFixed(1)})` : null,
+        bright && bright.frameIndex !== dark?.frameIndex ? `bright frame (brightness ${bright.brightness.toFixed(1)})` : null
+    ].filter(Boolean).join(' and ');
+    message.innerText = status === 'failed'
+        ? `Calibration from the ${captured} failed, still watching. Make sure every segment is lit.`
+        : `Captured ${captured || 'nothing yet'}, ${(contrast * 100).toFixed(1)}% of pixels differ.`;
+});
+
+// Calibration finishes asynchronously when it runs in the analysis worker
+reader.addEventListener('calibrated', () => {
+    saveCalibration();
+});
+
+reader.addEventListener('calibrationfailed', (event) => {
+    const { holeCount, expectedHoleCount, causes } = /** @type {CustomEvent} */ (event).detail;
+    if (reader.autoCalibrator) {
+        // Auto-calibration keeps watching and reports its own progress
+        return;
+    }
+    const suggestions = causes.map(({ message }) => {
+        return message;
+    }).join(' ');
+    message.innerText = `Calibration failed: found ${holeCount} of ${expectedHoleCount} holes. ${suggestions}`;
+});
 
 calibrateButton.addEventListener('click', () => {
     if (calibrateButton.innerText === 'Recalibrate') {
         reader.resetCalibration();
+        autoCalibrateButton.innerText = 'Auto Calibrate';
+        message.innerText = calibrationInstructions;
         message.classList.remove('hidden');
         messageHidden = false;
         calibrateButton.innerText = 'Capture Calibration Image';
@@ -141,3 +358,84 @@ calibrateButton.addEventListener('click', () => {
         reader.captureCalibrationImage();
     }
 });
+
+/**
+ * Fills the camera picker.  Labels only show once the page has been allowed camera access, so
+ * this runs after each camera change.
+ * 
+ * @param {string|null} selectedId
+ */
+async function listCameras(selectedId) {
+    const cameras = await CameraController.listCameras();
+    cameraSelect.replaceChildren(...cameras.map(({ deviceId, label }, index) => {
+        const option = document.createElement('option');
+        option.value = deviceId;
+        option.innerText = label || `Camera ${index + 1}`;
+        option.selected = deviceId === selectedId;
+        return option;
+    }));
+}
+
+cameraSelect.addEventListener('change', () => {
+    reader.camera?.selectCamera(cameraSelect.value);
+});
+
+reader.addEventListener('camerachange', (event) => {
+    const { deviceId, recalibrationNeeded } = /** @type {CustomEvent} */ (event).detail;
+    if (deviceId) {
+        localStorage.setItem('cameraId', deviceId);
+    }
+    listCameras(deviceId).catch((error) => {
+        console.warn('Unable to list cameras:', error);
+    });
+    if (recalibrationNeeded) {
+        autoCalibrateButton.innerText = 'Auto Calibrate';
+        calibrateButton.innerText = 'Capture Calibration Image';
+        message.innerText = `The camera changed, so the display needs calibrating again. ${calibrationInstructions}`;
+        message.classList.remove('hidden');
+        messageHidden = false;
+    }
+});
+
+reader.addEventListener('cameraerror', (event) => {
+    const { name, message: reason } = /** @type {CustomEvent} */ (event).detail;
+    message.innerText = name === 'NotAllowedError'
+        ? 'Camera access was denied. Allow it in the browser to read the display.'
+        : `Unable to open the camera: ${reason}`;
+    message.classList.remove('hidden');
+    messageHidden = false;
+    cameraSelect.value = reader.camera?.deviceId ?? '';
+});
+
+reader.addEventListener('cameraended', () => {
+    message.innerText = 'The camera stopped. Plug it back in or pick another camera in the settings.';
+    message.classList.remove('hidden');
+    messageHidden = false;
+});
+
+pauseButton.addEventListener('click', () => {
+    if (reader.state === 'paused') {
+        reader.resume();
+    } else {
+        reader.pause();
+    }
+});
+
+reader.addEventListener('statechange', (event) => {
+    const { state } = /** @type {CustomEvent} */ (event).detail;
+    pauseButton.innerText = state === 'paused' ? 'Resume' : 'Pause';
+});
+
+reader.addEventListener('misaligned', () => {
+    message.innerText = 'The display moved too far to follow. Put it back or recalibrate.';
+    message.classList.remove('hidden');
+    messageHidden = false;
+});
+
+reader.addEventListener('realigned', (event) => {
+    const { status } = /** @type {CustomEvent} */ (event).detail;
+    if (status === 'recovered') {
+        message.classList.add('hidden');
+        messageHidden = true;
+    }
+});
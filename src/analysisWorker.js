@@ -0,0 +1,227 @@
+import { DisplayRegion } from './classes/DisplayRegion.js';
+import { OverlayPainter } from './classes/OverlayPainter.js';
+import { SegmentDisplayEngine } from './classes/SegmentDisplayEngine.js';
+import { SegmentDisplayReaderConfiguration } from './classes/SegmentDisplayReaderConfiguration.js';
+
+/** @typedef {import('./classes/AnalysisWorker.js').AnalysisSettings} AnalysisSettings */
+/** @typedef {import('./classes/AnalysisWorker.js').FrameOptions} FrameOptions */
+/** @typedef {import('./classes/AnalysisWorker.js').WorkerReading} WorkerReading */
+/** @typedef {import('./classes/SegmentDisplayEngine.js').Frame} Frame */
+
+/**
+ * Calibrates and samples frames for an {@link AnalysisWorker}.  Frames arrive as `ImageBitmap`
+ * or `VideoFrame` objects and are drawn onto an `OffscreenCanvas` here; only segment states,
+ * calibration results and overlays are posted back.  Every message carries an `id` that the
+ * reply echoes.
+ */
+
+const ERROR_STRINGS_US = {
+    badContext: 'Unable to get 2D context from the worker canvas.',
+    unknownRegion: 'No display region has that id.'
+};
+
+/** The whole-frame engine. */
+let engine = new SegmentDisplayEngine();
+/** @type {Map<string, DisplayRegion>} */
+const regions = new Map();
+/** @type {OffscreenCanvas|null} */
+let canvas = null;
+/** @type {OffscreenCanvasRenderingContext2D|null} */
+let context = null;
+
+/**
+ * Builds a configuration holding the settings the engine uses.
+ *
+ * @param {AnalysisSettings} settings
+ * @returns {SegmentDisplayReaderConfiguration}
+ */
+function createConfiguration({
+    grayThreshold,
+    decimalPointFloodFillThreshold,
+    rowLayout,
+    alignmentCheckInterval,
+    maxAlignmentShift,
+    pixelClassifier,
+    polarity,
+    displayType
+}) {
+    const configuration = new SegmentDisplayReaderConfiguration();
+    configuration.grayThreshold = grayThreshold;
+    configuration.decimalPointFloodFillThreshold = decimalPointFloodFillThreshold;
+    configuration.rowLayout = rowLayout;
+    configuration.alignmentCheckInterval = alignmentCheckInterval;
+    configuration.maxAlignmentShift = maxAlignmentShift;
+    configuration.pixelClassifier = pixelClassifier;
+    configuration.polarity = polarity;
+    configuration.displayType = displayType;
+    return configuration;
+}
+
+/**
+ * Draws a transferred frame onto the canvas, rotated like the reader's captures, and releases it.
+ *
+ * @param {ImageBitmap|VideoFrame} frame
+ * @param {FrameOptions} options
+ * @returns {ImageData}
+ */
+function drawFrame(frame, { width, height, rotate180 }) {
+    if (!canvas || !context || canvas.width !== width || canvas.height !== height) {
+        canvas = new OffscreenCanvas(width, height);
+        context = canvas.getContext('2d', { willReadFrequently: true });
+    }
+    if (!context) {
+        throw new Error(ERROR_STRINGS_US.badContext);
+    }
+    context.save();
+    if (rotate180) {
+        context.translate(width / 2, height / 2);
+        context.rotate(Math.PI);
+        context.drawImage(frame, -width / 2, -height / 2, width, height);
+    } else {
+        context.drawImage(frame, 0, 0, width, height);
+    }
+    context.restore();
+    frame.close();
+    return context.getImageData(0, 0, width, height);
+}
+
+/**
+ * Checks an engine's alignment and samples its segments.  Samples that moved with the display are
+ * posted back so the main thread engine can follow.
+ *
+ * @param {SegmentDisplayEngine} target
+ * @param {string|null} region
+ * @param {Frame} frame The frame, already cropped to the region
+ * @returns {WorkerReading}
+ */
+function readEngine(target, region, frame) {
+    const alignment = target.checkAlignment(frame);
+    const { digits, ambientOffset } = target.sampleDigits(frame);
+    return {
+        region,
+        digits,
+        ambientOffset,
+        alignment: alignment?.status === 'shifted' ? { ...alignment, segmentSamples: target.segmentSamples } : alignment
+    };
+}
+
+/**
+ * @param {string|null} region A region id, or `null` for the whole frame
+ * @returns {SegmentDisplayEngine}
+ */
+function engineFor(region) {
+    const target = region === null ? engine : regions.get(region)?.engine;
+    if (!target) {
+        throw new Error(ERROR_STRINGS_US.unknownRegion);
+    }
+    return target;
+}
+
+/**
+ * Message handlers, each returns the reply and anything to transfer with it.
+ * @type {Object<string, (message: any) => { result?: any, transfer?: Array<Transferable> }>}
+ */
+const handlers = {
+    addRegion({ region, rect, settings }) {
+        regions.set(region, new DisplayRegion(region, rect, createConfiguration(settings)));
+        return {};
+    },
+
+    calibrate({ region, imageA, imageB, grayThreshold, floodFillDpThreshold }) {
+        const target = engineFor(region);
+        target.grayThreshold = grayThreshold;
+        target.floodFillDpThreshold = floodFillDpThreshold;
+        const success = target.calibrate(imageA, imageB);
+        return {
+            result: {
+                success,
+                report: target.calibrationReport,
+                diagnostics: target.calibrationDiagnostics,
+                calibration: success ? target.exportCalibration() : null
+            }
+        };
+    },
+
+    configure({ settings, width, height }) {
+        engine = new SegmentDisplayEngine(createConfiguration(settings), width, height);
+        return {};
+    },
+
+    importCalibration({ region, calibration, options, width, height }) {
+        const target = engineFor(region);
+        target.width = width;
+        target.height = height;
+        target.importCalibration(calibration, options);
+        return {};
+    },
+
+    read({ frame, options }) {
+        const currentData = drawFrame(frame, options);
+        /** @type {Array<WorkerReading>} */
+        const readings = [];
+        const painter = new OverlayPainter(options.colors);
+        if (regions.size) {
+            // Every region is cut from the same capture
+            regions.forEach((displayRegion) => {
+                if (displayRegion.engine.calibrated) {
+                    readings.push(readEngine(displayRegion.engine, displayRegion.id, displayRegion.crop(currentData)));
+                }
+            });
+            if (options.overlay !== 'diagnostics' || !canvas || !context) {
+                return { result: { readings, overlay: null } };
+            }
+            regions.forEach(({ engine: regionEngine, rect }) => {
+                if (regionEngine.calibrationDiagnostics) {
+                    painter.paintDiagnostics(regionEngine.calibrationDiagnostics, currentData, rect);
+                }
+            });
+            context.putImageData(currentData, 0, 0);
+            const overlay = canvas.transferToImageBitmap();
+            return { result: { readings, overlay }, transfer: [overlay] };
+        }
+
+        const reading = readEngine(engine, null, currentData);
+        readings.push(reading);
+
+        /** @type {ImageBitmap|null} */
+        let overlay = null;
+        if (options.overlay === 'diagnostics' && engine.calibrationDiagnostics) {
+            painter.paintDiagnostics(engine.calibrationDiagnostics, currentData);
+        } else if (options.overlay === 'debugMask') {
+            painter.paintDebugMask(engine, currentData, reading.ambientOffset);
+        }
+        if (options.overlay && canvas && context) {
+            context.putImageData(currentData, 0, 0);
+            overlay = canvas.transferToImageBitmap();
+        }
+        return { result: { readings, overlay }, transfer: overlay ? [overlay] : [] };
+    },
+
+    refine({ frame, options }) {
+        engine.refine(drawFrame(frame, options));
+        return { result: engine.segmentSamples };
+    },
+
+    removeRegion({ region }) {
+        regions.delete(region);
+        return {};
+    },
+
+    reset() {
+        engine.reset();
+        regions.forEach((displayRegion) => {
+            displayRegion.engine.reset();
+        });
+        return {};
+    }
+};
+
+self.addEventListener('message', (event) => {
+    const { id, command, ...message } = event.data;
+    try {
+        const { result, transfer = [] } = handlers[command](message);
+        self.postMessage({ id, result }, { transfer });
+    } catch (error) {
+        self.postMessage({ id, error: error instanceof Error ? error.message : String(error) });
+    }
+});
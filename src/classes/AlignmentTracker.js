@@ -0,0 +1,245 @@
+/** @typedef {import('./SegmentDisplayEngine.js').Frame} Frame */
+/** @typedef {import('./SegmentDisplayEngine.js').OutputDisplays} OutputDisplays */
+/** @typedef {import('./SegmentDisplayEngine.js').SegmentDisplayEngine} SegmentDisplayEngine */
+
+/**
+ * @typedef {Object} AlignmentTrackerOptions
+ * @property {number} [interval=15] Frames between alignment checks, `0` turns checking off
+ * @property {number} [maxShift=6] The largest movement, in pixels along either axis, that is corrected without recalibrating
+ * @property {number} [confirmations=2] Consecutive checks that must agree before a shift is applied or the display reported misaligned
+ * @property {number} [maxSamples=4000] The most pixels compared per candidate position
+ */
+
+/**
+ * How well a frame lines up with the calibration references at the best position found.
+ *
+ * @typedef {Object} AlignmentMeasurement
+ * @property {number} dx - How far the display moved right, in pixels
+ * @property {number} dy - How far the display moved down, in pixels
+ * @property {number} error - The mean classified difference from the nearer reference at the best position
+ * @property {number} alignedError - The mean classified difference where the display was calibrated
+ */
+
+/**
+ * What an alignment check decided.  `shifted` means the display moved a little and the
+ * calibration should be moved to follow it, `misaligned` that it moved too far or can't be found
+ * and needs recalibrating, and `recovered` that a misaligned display lines up again.
+ *
+ * @typedef {AlignmentMeasurement & {
+ *     status: 'shifted'|'misaligned'|'recovered',
+ *     baseline: number,
+ *     segmentSamples?: OutputDisplays
+ * }} AlignmentResult
+ */
+
+/**
+ * Per-pixel differences are capped at this so a hand or reflection crossing part of the display
+ * can't outweigh the rest of it.
+ */
+const MAX_PIXEL_ERROR = 64;
+
+/**
+ * @class AlignmentTracker
+ * @description Notices when the camera or the trainer moves after calibration.  Every few frames
+ * it slides the frame around its calibrated position and compares each pixel with whichever of
+ * the lit and unlit references it is closer to, so the comparison holds whatever the display
+ * shows.  The holes and the edges of the segments pin down the position.  Small movements are
+ * reported as a shift to apply, movements beyond `maxShift` or frames that match nowhere as
+ * misaligned.
+ */
+export class AlignmentTracker {
+    /**
+     * Creates a new AlignmentTracker instance.
+     *
+     * @param {AlignmentTrackerOptions} [options]
+     */
+    constructor({
+        interval = 15,
+        maxShift = 6,
+        confirmations = 2,
+        maxSamples = 4000
+    } = {}) {
+        this.interval = interval;
+        this.maxShift = maxShift;
+        this.confirmations = confirmations;
+        this.maxSamples = maxSamples;
+
+        /**
+         * The error of a well aligned frame, learned from the first check after calibration.
+         * @type {number|null}
+         */
+        this.baseline = null;
+        this.framesSinceCheck = 0;
+        this.misaligned = false;
+        /** @type {{ status: string, dx: number, dy: number, count: number }|null} */
+        this.pending = null;
+    }
+
+    /**
+     * Finds where the calibrated display sits in a frame, searching `maxShift + 2` pixels around
+     * its calibrated position so movements just beyond `maxShift` are recognized as such.
+     *
+     * @param {SegmentDisplayEngine} engine A calibrated engine
+     * @param {Frame} frame
+     * @returns {AlignmentMeasurement|null} `null` when the engine has no segment samples
+     */
+    measure(engine, frame) {
+        const { width, height, litReference, pixelClassifier, unlitReference } = engine;
+        const { data } = frame;
+        const radius = this.maxShift + 2;
+
+        // Compare the area around each digit, which is all an imported calibration has references for
+        const bounds = engine.digitBounds;
+        if (!bounds.length) {
+            return null;
+        }
+        const area = bounds.reduce((total, rect) => {
+            return total + rect.width * rect.height;
+        }, 0);
+        const step = Math.max(1, Math.ceil(Math.sqrt(area / this.maxSamples)));
+        /** @type {Array<number>} */
+        const xs = [];
+        /** @type {Array<number>} */
+        const ys = [];
+        bounds.forEach((rect) => {
+            for (let y = rect.y; y < rect.y + rect.height; y += step) {
+                for (let x = rect.x; x < rect.x + rect.width; x += step) {
+                    xs.push(x);
+                    ys.push(y);
+                }
+            }
+        });
+        const sampleCount = xs.length;
+        const sampleX = Int32Array.from(xs);
+        const sampleY = Int32Array.from(ys);
+
+        /**
+         * @param {number} dx
+         * @param {number} dy
+         * @param {number} ambientOffset
+         * @returns {number} The mean capped difference from the nearer reference
+         */
+        const errorAt = (dx, dy, ambientOffset) => {
+            let sum = 0;
+            let count = 0;
+            for (let sampleIndex = 0; sampleIndex < sampleCount; sampleIndex++) {
+                const x = sampleX[sampleIndex] + dx;
+                const y = sampleY[sampleIndex] + dy;
+                if (x < 0 || y < 0 || x >= width || y >= height) {
+                    continue;
+                }
+                const index = sampleY[sampleIndex] * width + sampleX[sampleIndex];
+                const offset = (y * width + x) * 4;
+                const gray = pixelClassifier.valueAt(data, offset) - ambientOffset;
+                const difference = Math.min(
+                    Math.abs(gray - litReference[index]),
+                    Math.abs(gray - unlitReference[index])
+                );
+                sum += Math.min(difference, MAX_PIXEL_ERROR);
+                count++;
+            }
+            return count ? sum / count : Infinity;
+        };
+
+        // Searching with the ambient offset of the calibrated position is close enough to find the
+        // best position, but where the display moved the background sampled for it is partly display
+        const ambientOffset = engine.estimateAmbientOffset(frame);
+        const alignedError = errorAt(0, 0, ambientOffset);
+        let best = { dx: 0, dy: 0, error: alignedError };
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                if (dx === 0 && dy === 0) {
+                    continue;
+                }
+                const error = errorAt(dx, dy, ambientOffset);
+                // Ties go to the smaller movement
+                if (error < best.error
+                    || (error === best.error && Math.hypot(dx, dy) < Math.hypot(best.dx, best.dy))
+                ) {
+                    best = { dx, dy, error };
+                }
+            }
+        }
+
+        if (best.dx !== 0 || best.dy !== 0) {
+            best.error = errorAt(best.dx, best.dy, engine.estimateAmbientOffset(frame, best.dx, best.dy));
+        }
+        return { ...best, alignedError };
+    }
+
+    /**
+     * Feeds the next frame.  Only every `interval`th frame is checked.
+     *
+     * @param {SegmentDisplayEngine} engine A calibrated engine
+     * @param {Frame} frame
+     * @returns {AlignmentResult|null} What to do about the display's position, `null` when nothing needs doing
+     */
+    push(engine, frame) {
+        if (this.interval <= 0 || ++this.framesSinceCheck < this.interval) {
+            return null;
+        }
+        this.framesSinceCheck = 0;
+
+        const measurement = this.measure(engine, frame);
+        if (!measurement) {
+            return null;
+        }
+        const { dx, dy, error, alignedError } = measurement;
+        this.baseline ??= alignedError;
+        const { baseline } = this;
+
+        // A shift has to beat staying put clearly and match about as well as a calibrated frame
+        const moved = (dx !== 0 || dy !== 0)
+            && error < alignedError * 0.8
+            && error <= baseline * 1.5 + 3;
+        /** @type {'aligned'|'shifted'|'misaligned'} */
+        let status = 'aligned';
+        if (moved && Math.max(Math.abs(dx), Math.abs(dy)) <= this.maxShift) {
+            status = 'shifted';
+        } else if (moved || alignedError > baseline * 2 + 4) {
+            status = 'misaligned';
+        }
+
+        if (status === 'aligned') {
+            this.pending = null;
+            // Follow slow lighting changes
+            this.baseline += (alignedError - baseline) * 0.1;
+            if (this.misaligned) {
+                this.misaligned = false;
+                return { status: 'recovered', ...measurement, baseline };
+            }
+            return null;
+        }
+
+        const { pending } = this;
+        if (pending && pending.status === status && (status === 'misaligned' || (pending.dx === dx && pending.dy === dy))) {
+            pending.count++;
+        } else {
+            this.pending = { status, dx, dy, count: 1 };
+        }
+        if (/** @type {{ count: number }} */ (this.pending).count < this.confirmations) {
+            return null;
+        }
+        this.pending = null;
+
+        if (status === 'shifted') {
+            this.misaligned = false;
+            return { status, ...measurement, baseline };
+        }
+        if (this.misaligned) {
+            return null;
+        }
+        this.misaligned = true;
+        return { status, ...measurement, baseline };
+    }
+
+    /**
+     * Forgets what was learned about the last calibration.
+     */
+    reset() {
+        this.baseline = null;
+        this.framesSinceCheck = 0;
+        this.misaligned = false;
+        this.pending = null;
+    }
+}
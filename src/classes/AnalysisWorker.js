@@ -0,0 +1,297 @@
+/** @typedef {import('./AlignmentTracker.js').AlignmentResult} AlignmentResult */
+/** @typedef {import('./SegmentDisplayEngine.js').BoundingRect} BoundingRect */
+/** @typedef {import('./SegmentDisplayEngine.js').CalibrationDocument} CalibrationDocument */
+/** @typedef {import('./SegmentDisplayEngine.js').CalibrationImportOptions} CalibrationImportOptions */
+/** @typedef {import('./SegmentDisplayEngine.js').DigitReading} DigitReading */
+/** @typedef {import('./SegmentDisplayEngine.js').DisplayPolarity} DisplayPolarity */
+/** @typedef {import('./DisplayType.js').DisplayTypeName} DisplayTypeName */
+/** @typedef {import('./SegmentDisplayEngine.js').Frame} Frame */
+/** @typedef {import('./SegmentDisplayEngine.js').OutputDisplays} OutputDisplays */
+/** @typedef {import('./SegmentDisplayEngine.js').Pixel} Pixel */
+/** @typedef {import('./PixelClassifier.js').PixelClassifierMode} PixelClassifierMode */
+/** @typedef {import('./SegmentDisplayEngine.js').SegmentDisplayEngine} SegmentDisplayEngine */
+/** @typedef {import('./SegmentDisplayReaderConfiguration.js').SegmentDisplayReaderConfiguration} SegmentDisplayReaderConfiguration */
+
+/**
+ * The parts of a configuration the worker's engines need.  Glyph tables hold functions and
+ * can't be posted, so decoding stays on the main thread.
+ *
+ * @typedef {Object} AnalysisSettings
+ * @property {number} grayThreshold
+ * @property {number} decimalPointFloodFillThreshold
+ * @property {Array<number>} rowLayout
+ * @property {number} alignmentCheckInterval
+ * @property {number} maxAlignmentShift
+ * @property {PixelClassifierMode} pixelClassifier
+ * @property {DisplayPolarity|'auto'} polarity
+ * @property {DisplayTypeName} displayType
+ */
+
+/**
+ * How the worker draws a frame, and which overlay it paints over it.
+ *
+ * @typedef {Object} FrameOptions
+ * @property {number} width - The width to draw the frame at, the reader's canvas width
+ * @property {number} height - The height to draw the frame at, the reader's canvas height
+ * @property {boolean} rotate180 - Whether to rotate the frame 180 degrees
+ * @property {'debugMask'|'diagnostics'|null} [overlay] - The overlay to paint, if any
+ * @property {Array<Array<Pixel>>} [colors] - Dim and bright overlay colors for each digit
+ */
+
+/**
+ * The segment states the worker sampled for one display.
+ *
+ * @typedef {Object} WorkerReading
+ * @property {string|null} region - The display region read, `null` for the whole frame
+ * @property {Array<DigitReading>} digits - The digits with their characters left blank
+ * @property {number} ambientOffset - The ambient brightness offset applied to the frame
+ * @property {AlignmentResult|null} alignment - What the alignment check on this frame did, with the moved samples when it shifted the calibration
+ */
+
+/**
+ * @typedef {Object} WorkerReadResult
+ * @property {Array<WorkerReading>} readings - One reading per calibrated display
+ * @property {ImageBitmap|null} overlay - The frame with the requested overlay painted on it
+ */
+
+/** @typedef {CanvasImageSource|VideoFrame} AnalysisSource */
+
+const ERROR_STRINGS_US = {
+    workerStopped: 'The analysis worker was stopped.'
+};
+
+/**
+ * Picks the settings the worker needs out of a configuration.
+ *
+ * @param {SegmentDisplayReaderConfiguration} configuration
+ * @returns {AnalysisSettings}
+ */
+function analysisSettings({
+    grayThreshold,
+    decimalPointFloodFillThreshold,
+    rowLayout,
+    alignmentCheckInterval,
+    maxAlignmentShift,
+    pixelClassifier,
+    polarity,
+    displayType
+}) {
+    return {
+        grayThreshold,
+        decimalPointFloodFillThreshold,
+        rowLayout,
+        alignmentCheckInterval,
+        maxAlignmentShift,
+        pixelClassifier,
+        polarity,
+        displayType
+    };
+}
+
+/**
+ * @class AnalysisWorker
+ * @description Runs calibration, segment sampling and overlays in a worker so they don't hold
+ * up the page.  Frames are transferred as `VideoFrame` or `ImageBitmap` objects and drawn onto
+ * an `OffscreenCanvas` in the worker.  After each calibration the engine passed in is updated to
+ * match the worker's, so its samples, report and exports stay usable on the main thread.
+ */
+export class AnalysisWorker {
+    /**
+     * Whether the browser can run analysis in a worker.
+     */
+    static get supported() {
+        return typeof Worker !== 'undefined'
+            && typeof OffscreenCanvas !== 'undefined'
+            && typeof createImageBitmap === 'function';
+    }
+
+    /**
+     * Creates a new AnalysisWorker instance.
+     *
+     * @param {SegmentDisplayReaderConfiguration} configuration The configuration of the whole-frame engine
+     * @param {number} width The width of the reader's canvas
+     * @param {number} height The height of the reader's canvas
+     */
+    constructor(configuration, width, height) {
+        this.worker = new Worker(new URL('../analysisWorker.js', import.meta.url), { type: 'module' });
+        this.nextId = 0;
+        /** @type {Map<number, { resolve: (result: any) => void, reject: (error: Error) => void }>} */
+        this.pending = new Map();
+
+        this.worker.addEventListener('message', (event) => {
+            const { id, result, error } = event.data;
+            const request = this.pending.get(id);
+            if (!request) {
+                return;
+            }
+            this.pending.delete(id);
+            if (error === undefined) {
+                request.resolve(result);
+            } else {
+                request.reject(new Error(error));
+            }
+        });
+
+        /**
+         * Settles once the worker has set up its engine, rejects if it couldn't.
+         * @type {Promise<void>}
+         */
+        this.configured = this.request('configure', { settings: analysisSettings(configuration), width, height });
+    }
+
+    /**
+     * Adds a display region to the worker.
+     *
+     * @param {string} id
+     * @param {BoundingRect} rect
+     * @param {SegmentDisplayReaderConfiguration} configuration
+     * @returns {Promise<void>}
+     */
+    addRegion(id, rect, configuration) {
+        return this.request('addRegion', { region: id, rect, settings: analysisSettings(configuration) });
+    }
+
+    /**
+     * Calibrates in the worker with the engine's current thresholds, then updates the engine with
+     * the result.
+     *
+     * @param {SegmentDisplayEngine} engine The main thread engine mirroring the worker's
+     * @param {string|null} region The display region to calibrate, `null` for the whole frame
+     * @param {Frame} imageA
+     * @param {Frame} imageB
+     * @returns {Promise<boolean>} Whether calibration succeeded
+     */
+    async calibrate(engine, region, imageA, imageB) {
+        const { success, report, diagnostics, calibration } = await this.request('calibrate', {
+            region,
+            imageA,
+            imageB,
+            grayThreshold: engine.grayThreshold,
+            floodFillDpThreshold: engine.floodFillDpThreshold
+        });
+        if (calibration) {
+            // The worker calibrated at the size of the frames it was given
+            engine.width = calibration.width;
+            engine.height = calibration.height;
+            engine.importCalibration(calibration);
+        } else {
+            engine.reset();
+        }
+        engine.calibrationReport = report;
+        engine.calibrationDiagnostics = diagnostics;
+        return success;
+    }
+
+    /**
+     * Stops the worker.  Requests still waiting are rejected.
+     */
+    dispose() {
+        this.worker.terminate();
+        this.pending.forEach(({ reject }) => {
+            reject(new Error(ERROR_STRINGS_US.workerStopped));
+        });
+        this.pending.clear();
+    }
+
+    /**
+     * Grabs the frame a source is showing in a form that can be transferred to the worker.
+     *
+     * @param {AnalysisSource} source
+     * @returns {Promise<VideoFrame|ImageBitmap>}
+     */
+    async grabFrame(source) {
+        if (typeof VideoFrame !== 'undefined') {
+            if (source instanceof VideoFrame) {
+                return source.clone();
+            }
+            if (source instanceof HTMLVideoElement) {
+                return new VideoFrame(source);
+            }
+        }
+        return createImageBitmap(/** @type {ImageBitmapSource} */ (source));
+    }
+
+    /**
+     * Restores a calibration in the worker, at the size the main thread engine took it in at so
+     * both sides rescale the same way.
+     *
+     * @param {SegmentDisplayEngine} engine The main thread engine mirroring the worker's, already
+     * holding the calibration
+     * @param {string|null} region The display region, `null` for the whole frame
+     * @param {CalibrationDocument} calibration
+     * @param {CalibrationImportOptions} [options]
+     * @returns {Promise<void>}
+     */
+    importCalibration(engine, region, calibration, options) {
+        return this.request('importCalibration', {
+            region,
+            calibration,
+            options,
+            width: engine.width,
+            height: engine.height
+        });
+    }
+
+    /**
+     * Samples the segments of every calibrated display in the source's current frame.
+     *
+     * @param {AnalysisSource} source
+     * @param {FrameOptions} options
+     * @returns {Promise<WorkerReadResult>}
+     */
+    async read(source, options) {
+        const frame = await this.grabFrame(source);
+        return this.request('read', { frame, options }, [frame]);
+    }
+
+    /**
+     * Refines the whole-frame segment samples against the source's current frame.
+     *
+     * @param {SegmentDisplayEngine} engine The main thread engine, its samples are replaced with the refined ones
+     * @param {AnalysisSource} source
+     * @param {FrameOptions} options
+     * @returns {Promise<void>}
+     */
+    async refine(engine, source, options) {
+        const frame = await this.grabFrame(source);
+        /** @type {OutputDisplays} */
+        const segmentSamples = await this.request('refine', { frame, options }, [frame]);
+        engine.segmentSamples = segmentSamples;
+        engine.sampleTables = null;
+    }
+
+    /**
+     * Removes a display region from the worker.
+     *
+     * @param {string} id
+     * @returns {Promise<void>}
+     */
+    removeRegion(id) {
+        return this.request('removeRegion', { region: id });
+    }
+
+    /**
+     * Posts a command to the worker.
+     *
+     * @param {string} command
+     * @param {Object} [message] The command's arguments
+     * @param {Array<Transferable>} [transfer] Objects to transfer rather than copy
+     * @returns {Promise<any>} The worker's reply
+     */
+    request(command, message = {}, transfer = []) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, command, ...message }, transfer);
+        });
+    }
+
+    /**
+     * Resets every engine in the worker.
+     *
+     * @returns {Promise<void>}
+     */
+    reset() {
+        return this.request('reset');
+    }
+}
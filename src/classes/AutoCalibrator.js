@@ -0,0 +1,200 @@
+/** @typedef {import('./SegmentDisplayEngine.js').Frame} Frame */
+
+/**
+ * @typedef {Object} AutoCalibratorOptions
+ * @property {number} [grayThreshold=90] Gray difference a pixel needs between the dark and bright frames to count towards contrast
+ * @property {number} [minContrast=0.005] Fraction of sampled pixels that must differ by more than `grayThreshold` before the pair is used
+ * @property {number} [motionThreshold=2] Largest mean gray change between frames that still counts as the scene holding still
+ * @property {number} [stableFrames=5] Consecutive still frames required before a frame is considered stable
+ * @property {number} [sampleStep=4] Only every `sampleStep`th pixel in each direction is compared
+ */
+
+/**
+ * @typedef {Object} CapturedFrame
+ * @property {Frame} frame - A copy of the captured frame
+ * @property {number} brightness - The mean gray value of the frame
+ * @property {number} frameIndex - The number of frames seen when it was captured
+ */
+
+/**
+ * @typedef {Object} AutoCalibrationProgress
+ * @property {'watching'|'ready'|'calibrated'|'failed'} status - `ready` once the dark and bright frames differ enough to
+ * calibrate from.  Readers report `calibrated` or `failed` after trying to calibrate from them.
+ * @property {boolean} stable - Whether the current frame is stable
+ * @property {boolean} changed - Whether a new dark or bright frame was captured from this frame
+ * @property {{ brightness: number, frameIndex: number }|null} dark - The darkest stable frame so far
+ * @property {{ brightness: number, frameIndex: number }|null} bright - The brightest stable frame so far
+ * @property {number} contrast - Fraction of sampled pixels that differ by more than the gray threshold between the two
+ */
+
+/**
+ * Calculates the gray value of a pixel.
+ *
+ * @param {Frame} frame
+ * @param {number} index The pixel index, `y * width + x`
+ * @returns {number}
+ */
+function grayAt({ data }, index) {
+    const offset = index * 4;
+    return (data[offset] + data[offset + 1] + data[offset + 2]) / 3;
+}
+
+/**
+ * @class AutoCalibrator
+ * @description Watches a stream of frames for hands-free calibration.  It waits for the scene to
+ * hold still, keeps the darkest and the brightest of the stable frames it has seen, and reports
+ * `ready` once those two differ on enough pixels to calibrate from: that's the all-off frame
+ * and the all-on frame captured while someone shorts the segment test terminals.  On a
+ * dark-on-light display the all-on frame is the darker one, the engine sorts that out when it
+ * calibrates.
+ */
+export class AutoCalibrator {
+    /**
+     * Creates a new AutoCalibrator instance.
+     *
+     * @param {AutoCalibratorOptions} [options]
+     */
+    constructor({
+        grayThreshold = 90,
+        minContrast = 0.005,
+        motionThreshold = 2,
+        stableFrames = 5,
+        sampleStep = 4
+    } = {}) {
+        this.grayThreshold = grayThreshold;
+        this.minContrast = minContrast;
+        this.motionThreshold = motionThreshold;
+        this.stableFrames = stableFrames;
+        this.sampleStep = sampleStep;
+
+        /** @type {CapturedFrame|null} */
+        this.dark = null;
+        /** @type {CapturedFrame|null} */
+        this.bright = null;
+        this.contrast = 0;
+        this.frameIndex = 0;
+        this.stillCount = 0;
+        /** @type {Float32Array|null} */
+        this.previousSample = null;
+    }
+
+    /**
+     * Forgets the dark and bright frames after calibrating from them failed, so the stable frames
+     * that follow are considered afresh rather than measured against a frame that can't be used.
+     * Motion tracking carries on.
+     */
+    discardPair() {
+        this.dark = null;
+        this.bright = null;
+        this.contrast = 0;
+    }
+
+    /**
+     * Measures how many sampled pixels differ by more than the gray threshold between two frames.
+     *
+     * @param {Frame} frameA
+     * @param {Frame} frameB
+     * @returns {number} The fraction of sampled pixels that differ
+     */
+    measureContrast(frameA, frameB) {
+        const { width, height } = frameA;
+        const step = this.sampleStep;
+        let differing = 0;
+        let count = 0;
+        for (let y = 0; y < height; y += step) {
+            for (let x = 0; x < width; x += step) {
+                const index = y * width + x;
+                if (Math.abs(grayAt(frameA, index) - grayAt(frameB, index)) > this.grayThreshold) {
+                    differing++;
+                }
+                count++;
+            }
+        }
+        return count ? differing / count : 0;
+    }
+
+    /**
+     * Feeds the next frame from the stream.
+     *
+     * @param {Frame} frame
+     * @returns {AutoCalibrationProgress}
+     */
+    push(frame) {
+        const { width, height } = frame;
+        const step = this.sampleStep;
+        this.frameIndex++;
+
+        // Sample the frame and compare it to the previous one to tell whether the scene is moving
+        const sampleLength = Math.ceil(width / step) * Math.ceil(height / step);
+        const sample = new Float32Array(sampleLength);
+        let sampleIndex = 0;
+        let brightnessSum = 0;
+        let motionSum = 0;
+        const previous = this.previousSample?.length === sampleLength ? this.previousSample : null;
+        for (let y = 0; y < height; y += step) {
+            for (let x = 0; x < width; x += step) {
+                const gray = grayAt(frame, y * width + x);
+                sample[sampleIndex] = gray;
+                brightnessSum += gray;
+                if (previous) {
+                    motionSum += Math.abs(gray - previous[sampleIndex]);
+                }
+                sampleIndex++;
+            }
+        }
+        this.previousSample = sample;
+
+        const still = previous !== null && motionSum / sampleLength < this.motionThreshold;
+        this.stillCount = still ? this.stillCount + 1 : 0;
+        const stable = this.stillCount >= this.stableFrames;
+
+        let changed = false;
+        if (stable) {
+            const brightness = brightnessSum / sampleLength;
+            /** @type {() => CapturedFrame} */
+            const capture = () => {
+                return {
+                    frame: { width, height, data: new Uint8ClampedArray(frame.data) },
+                    brightness,
+                    frameIndex: this.frameIndex
+                };
+            };
+            if (!this.dark || brightness < this.dark.brightness) {
+                this.dark = capture();
+                changed = true;
+            }
+            if (!this.bright || brightness > this.bright.brightness) {
+                this.bright = capture();
+                changed = true;
+            }
+            if (changed && this.dark && this.bright && this.dark !== this.bright) {
+                this.contrast = this.measureContrast(this.dark.frame, this.bright.frame);
+            }
+        }
+
+        /** @param {CapturedFrame|null} captured */
+        const summarize = (captured) => {
+            return captured ? { brightness: captured.brightness, frameIndex: captured.frameIndex } : null;
+        };
+        return {
+            status: this.contrast >= this.minContrast ? 'ready' : 'watching',
+            stable,
+            changed,
+            dark: summarize(this.dark),
+            bright: summarize(this.bright),
+            contrast: this.contrast
+        };
+    }
+
+    /**
+     * Forgets the captured frames and starts watching again.
+     */
+    reset() {
+        this.dark = null;
+        this.bright = null;
+        this.contrast = 0;
+        this.frameIndex = 0;
+        this.stillCount = 0;
+        this.previousSample = null;
+    }
+}
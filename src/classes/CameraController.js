@@ -0,0 +1,230 @@
+/**
+ * Track constraints for the camera.  Besides the standard `deviceId`, `width`, `height` and
+ * `frameRate`, cameras that support them take focus and exposure constraints.
+ *
+ * @typedef {MediaTrackConstraints & {
+ *     focusMode?: ConstrainDOMString,
+ *     focusDistance?: ConstrainDouble,
+ *     exposureMode?: ConstrainDOMString,
+ *     exposureCompensation?: ConstrainDouble,
+ *     exposureTime?: ConstrainDouble
+ * }} CameraConstraints
+ */
+
+/**
+ * @typedef {Object} CameraInfo
+ * @property {string} deviceId - Identifies the camera, pass it to {@link CameraController#selectCamera}
+ * @property {string} label - The camera's name, empty until the page has been allowed camera access
+ * @property {string} groupId - Shared by devices that belong to the same physical device
+ */
+
+/**
+ * @class CameraController
+ * @extends EventTarget
+ * @description Opens the camera a video element shows, and lets it be chosen, constrained and
+ * switched while running.  Failures are reported as events instead of being thrown.
+ *
+ * @event CameraController#change
+ * @property {Object} detail - The event details
+ * @property {string|null} detail.deviceId - The camera now streaming
+ * @property {string} detail.label - The camera's name
+ * @property {MediaTrackSettings} detail.settings - The resolution, frame rate and other settings the camera settled on
+ * @property {MediaTrackSettings|null} detail.previousSettings - The settings before the change, `null` if no camera was open
+ *
+ * @event CameraController#error
+ * @property {Object} detail - The event details
+ * @property {Error} detail.error - The error raised by the browser
+ * @property {string} detail.name - The error name, such as `NotAllowedError`, `NotFoundError` or `OverconstrainedError`
+ * @property {string} detail.message - A description of the error
+ * @property {CameraConstraints} detail.constraints - The constraints that were requested
+ *
+ * @event CameraController#ended
+ * @property {Object} detail - The event details
+ * @property {string|null} detail.deviceId - The camera that stopped
+ * @property {string} detail.label - The camera's name
+ */
+export class CameraController extends EventTarget {
+    /**
+     * Lists the video input devices.  Labels are only filled in once the page has been allowed
+     * camera access.
+     *
+     * @returns {Promise<Array<CameraInfo>>}
+     */
+    static async listCameras() {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices.filter(({ kind }) => {
+            return kind === 'videoinput';
+        }).map(({ deviceId, label, groupId }) => {
+            return { deviceId, label, groupId };
+        });
+    }
+
+    /**
+     * Creates a new CameraController instance.
+     *
+     * @param {HTMLVideoElement} video The element to show the camera in
+     * @param {CameraConstraints} [constraints={}] The constraints to open the camera with
+     */
+    constructor(video, constraints = {}) {
+        super();
+
+        this.video = video;
+        /** @type {CameraConstraints} */
+        this.constraints = { ...constraints };
+        /** @type {MediaStream|null} */
+        this.stream = null;
+    }
+
+    /**
+     * The id of the camera that is streaming, `null` when none is.
+     * @type {string|null}
+     */
+    get deviceId() {
+        return this.track?.getSettings().deviceId ?? null;
+    }
+
+    /**
+     * The settings the camera settled on, `null` when none is streaming.
+     * @type {MediaTrackSettings|null}
+     */
+    get settings() {
+        return this.track?.getSettings() ?? null;
+    }
+
+    /**
+     * The video track being shown.
+     * @type {MediaStreamTrack|null}
+     */
+    get track() {
+        return this.stream?.getVideoTracks()[0] ?? null;
+    }
+
+    /**
+     * Changes constraints while the camera is running, such as focus, exposure or resolution.  The
+     * camera is reopened if the device changes or nothing is streaming.
+     *
+     * @param {CameraConstraints} constraints The constraints to change, the others are kept
+     * @returns {Promise<boolean>} Whether the camera accepted them
+     * @fires CameraController#change
+     * @fires CameraController#error
+     */
+    async applyConstraints(constraints) {
+        const merged = { ...this.constraints, ...constraints };
+        const { track } = this;
+        if (!track || ('deviceId' in constraints && constraints.deviceId !== this.constraints.deviceId)) {
+            return this.start(merged);
+        }
+
+        const previousSettings = track.getSettings();
+        try {
+            await track.applyConstraints(merged);
+        } catch (error) {
+            this.reportError(error, merged);
+            return false;
+        }
+        this.constraints = merged;
+        this.reportChange(previousSettings);
+        return true;
+    }
+
+    /**
+     * Reports the camera that is now streaming.
+     *
+     * @param {MediaTrackSettings|null} previousSettings
+     * @fires CameraController#change
+     */
+    reportChange(previousSettings) {
+        const { track } = this;
+        this.dispatchEvent(new CustomEvent('change', {
+            detail: {
+                deviceId: this.deviceId,
+                label: track?.label ?? '',
+                settings: track?.getSettings() ?? {},
+                previousSettings
+            }
+        }));
+    }
+
+    /**
+     * Reports a camera error.
+     *
+     * @param {unknown} error
+     * @param {CameraConstraints} constraints The constraints that were requested
+     * @fires CameraController#error
+     */
+    reportError(error, constraints) {
+        const cause = error instanceof Error ? error : new Error(String(error));
+        this.dispatchEvent(new CustomEvent('error', {
+            detail: { error: cause, name: cause.name, message: cause.message, constraints }
+        }));
+    }
+
+    /**
+     * Switches to another camera, keeping the other constraints.
+     *
+     * @param {string} deviceId A device id from {@link CameraController.listCameras}
+     * @returns {Promise<boolean>} Whether the camera opened
+     * @fires CameraController#change
+     * @fires CameraController#error
+     */
+    selectCamera(deviceId) {
+        return this.start({ ...this.constraints, deviceId: { exact: deviceId } });
+    }
+
+    /**
+     * Opens the camera, closing the one that was open first since many devices can only stream
+     * from one camera at a time.  If the new camera can't be opened the previous one is reopened.
+     *
+     * @param {CameraConstraints} [constraints] The constraints to open it with, the current ones by default
+     * @returns {Promise<boolean>} Whether the camera opened
+     * @fires CameraController#change
+     * @fires CameraController#error
+     */
+    async start(constraints = this.constraints) {
+        const previousSettings = this.settings;
+        const previousConstraints = this.constraints;
+        this.stop();
+
+        /** @type {MediaStream} */
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ audio: false, video: constraints });
+        } catch (error) {
+            this.reportError(error, constraints);
+            if (previousSettings && constraints !== previousConstraints) {
+                await this.start(previousConstraints);
+            }
+            return false;
+        }
+
+        this.constraints = { ...constraints };
+        this.stream = stream;
+        this.video.srcObject = stream;
+        const track = this.track;
+        // Stopping a track ourselves doesn't fire `ended`, unplugging the camera does
+        track?.addEventListener('ended', () => {
+            if (this.track === track) {
+                this.dispatchEvent(new CustomEvent('ended', {
+                    detail: { deviceId: track.getSettings().deviceId ?? null, label: track.label }
+                }));
+            }
+        });
+        this.reportChange(previousSettings);
+        return true;
+    }
+
+    /**
+     * Closes the camera.
+     */
+    stop() {
+        if (this.stream) {
+            this.stream.getTracks().forEach((track) => {
+                track.stop();
+            });
+            this.stream = null;
+        }
+        if (this.video.srcObject) {
+            this.video.srcObject = null;
+        }
+    }
+}
@@ -0,0 +1,68 @@
+import { SegmentDisplayEngine } from './SegmentDisplayEngine.js';
+import { SegmentDisplayReaderConfiguration } from './SegmentDisplayReaderConfiguration.js';
+
+/** @typedef {import('./SegmentDisplayEngine.js').BoundingRect} BoundingRect */
+/** @typedef {import('./SegmentDisplayEngine.js').Frame} Frame */
+
+const ERROR_STRINGS_US = {
+    badRect: 'Display region rectangles need a whole-pixel position and a positive whole-pixel size.',
+    rectOutsideFrame: 'Display region does not fit inside the frame.'
+};
+
+/**
+ * @class DisplayRegion
+ * @description A named part of the frame holding one display, with its own
+ * {@link SegmentDisplayEngine} so it is calibrated and read independently of the others.
+ */
+export class DisplayRegion {
+    /**
+     * Creates a new DisplayRegion instance.
+     *
+     * @param {string} id The name reported in events for this region
+     * @param {BoundingRect} rect Where the display is in the frame, in pixels
+     * @param {SegmentDisplayReaderConfiguration} [configuration] The configuration for the region's engine
+     */
+    constructor(id, rect, configuration = new SegmentDisplayReaderConfiguration()) {
+        const { x, y, width, height } = rect;
+        if (![x, y, width, height].every(Number.isInteger) || x < 0 || y < 0 || width < 1 || height < 1) {
+            throw new Error(ERROR_STRINGS_US.badRect);
+        }
+        this.id = id;
+        /** @type {BoundingRect} */
+        this.rect = { x, y, width, height };
+        /** Calibrates and decodes the region. */
+        this.engine = new SegmentDisplayEngine(configuration, width, height);
+    }
+
+    /**
+     * Copies the region out of a full frame.
+     *
+     * @param {Frame} frame
+     * @returns {Frame}
+     */
+    crop(frame) {
+        if (!this.fits(frame.width, frame.height)) {
+            throw new Error(ERROR_STRINGS_US.rectOutsideFrame);
+        }
+        const { x, y, width, height } = this.rect;
+        const rowLength = width * 4;
+        const data = new Uint8ClampedArray(rowLength * height);
+        for (let row = 0; row < height; row++) {
+            const start = ((y + row) * frame.width + x) * 4;
+            data.set(frame.data.slice(start, start + rowLength), row * rowLength);
+        }
+        return { width, height, data };
+    }
+
+    /**
+     * Whether the region lies inside a frame of the given size.
+     *
+     * @param {number} frameWidth
+     * @param {number} frameHeight
+     * @returns {boolean}
+     */
+    fits(frameWidth, frameHeight) {
+        const { x, y, width, height } = this.rect;
+        return x + width <= frameWidth && y + height <= frameHeight;
+    }
+}
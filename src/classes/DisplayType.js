@@ -0,0 +1,592 @@
+import { GlyphSet } from './GlyphSet.js';
+
+/** @typedef {import('./SegmentDisplayEngine.js').Coordinate} Coordinate */
+/** @typedef {import('./SegmentDisplayEngine.js').HoleComponent} HoleComponent */
+
+/**
+ * The display types built in.
+ *
+ * @typedef {'sevenSegment'|'fourteenSegment'|'sixteenSegment'} DisplayTypeName
+ */
+
+/**
+ * Where the pixels of a segment are sampled: every pixel of the digit's upper or lower hole,
+ * shifted by `dx` and `dy`.
+ *
+ * @typedef {Object} SamplingOffset
+ * @property {number} segment - The segment index, 0 for A through 6 for G
+ * @property {'upper'|'lower'} hole - The hole the segment is sampled from
+ * @property {number} dx - The horizontal shift from the hole, in pixels
+ * @property {number} dy - The vertical shift from the hole, in pixels
+ */
+
+/**
+ * The center line of a segment in digit units, from `[x0, y0]` to `[x1, y1]`.  Digit units put
+ * the outer segments' center lines at x 0 and 1, and y 0 (top), 1 (middle) and 2 (bottom).
+ *
+ * @typedef {[number, number, number, number]} SegmentStroke
+ */
+
+/**
+ * @typedef {Object} DisplayTypeOptions
+ * @property {DisplayTypeName} name
+ * @property {Array<string>} segmentNames - Segment names in mask bit order, without the decimal point
+ * @property {Array<Coordinate>} holes - Where the center of each hole sits with every segment lit, in digit units
+ * @property {Array<SegmentStroke>} strokes - The center line of each segment, in mask bit order
+ * @property {() => GlyphSet} createGlyphSet - Creates the default glyph table
+ * @property {Coordinate|null} [decimalPoint=null] - Where the decimal point sits, in digit units.  Without it the decimal
+ * point is looked for just past the bottom right corner of the segment samples.
+ * @property {Array<SamplingOffset>|null} [samplingOffsets=null] - Sample by shifting hole pixels instead of along the
+ * strokes, for displays with too few holes to fit the strokes to
+ */
+
+/**
+ * @typedef {Object} AffineTransform
+ * @property {number} xx
+ * @property {number} xy
+ * @property {number} x0
+ * @property {number} yx
+ * @property {number} yy
+ * @property {number} y0
+ */
+
+/**
+ * Distance to search for vertical and horizontal segments around each seven-segment hole.
+ * @type {Array<SamplingOffset>}
+ */
+const SEVEN_SEGMENT_OFFSETS = [
+    { segment: 0, hole: 'upper', dx: 0, dy: -6 },
+    { segment: 5, hole: 'upper', dx: -7, dy: 0 },
+    { segment: 1, hole: 'upper', dx: 7, dy: 0 },
+    { segment: 6, hole: 'upper', dx: 0, dy: 6 },
+    // No need to sample G again from the lower hole
+    { segment: 4, hole: 'lower', dx: -7, dy: 0 },
+    { segment: 2, hole: 'lower', dx: 7, dy: 0 },
+    { segment: 3, hole: 'lower', dx: 0, dy: 6 }
+];
+
+/**
+ * Fourteen-segment names in mask bit order, the order most alphanumeric font tables use:
+ * `a`-`f` around the edge, `g1` and `g2` the left and right halves of the middle bar, `h`, `i`
+ * and `j` the upper left diagonal, vertical and right diagonal, and `k`, `l` and `m` the lower
+ * left diagonal, vertical and right diagonal.
+ */
+const FOURTEEN_SEGMENT_NAMES = ['a', 'b', 'c', 'd', 'e', 'f', 'g1', 'g2', 'h', 'i', 'j', 'k', 'l', 'm'];
+
+/** Sixteen-segment names in mask bit order: fourteen segments with the top and bottom bars split. */
+const SIXTEEN_SEGMENT_NAMES = ['a1', 'a2', 'b', 'c', 'd1', 'd2', 'e', 'f', 'g1', 'g2', 'h', 'i', 'j', 'k', 'l', 'm'];
+
+/** @type {Record<string, SegmentStroke>} */
+const STARBURST_STROKES = {
+    a: [0, 0, 1, 0],
+    a1: [0, 0, 0.5, 0],
+    a2: [0.5, 0, 1, 0],
+    b: [1, 0, 1, 1],
+    c: [1, 1, 1, 2],
+    d: [0, 2, 1, 2],
+    d1: [0, 2, 0.5, 2],
+    d2: [0.5, 2, 1, 2],
+    e: [0, 1, 0, 2],
+    f: [0, 0, 0, 1],
+    g1: [0, 1, 0.5, 1],
+    g2: [0.5, 1, 1, 1],
+    h: [0, 0, 0.5, 1],
+    i: [0.5, 0, 0.5, 1],
+    j: [1, 0, 0.5, 1],
+    k: [0.5, 1, 0, 2],
+    l: [0.5, 1, 0.5, 2],
+    m: [0.5, 1, 1, 2]
+};
+
+/**
+ * The centroids of the eight triangles the diagonals, verticals and bars cut a starburst digit
+ * into: above the middle bar the left, upper left, upper right and right ones, then below it
+ * the left, lower left, lower right and right ones.
+ * @type {Array<Coordinate>}
+ */
+const STARBURST_HOLES = [
+    [1 / 6, 2 / 3], [1 / 3, 1 / 3], [2 / 3, 1 / 3], [5 / 6, 2 / 3],
+    [1 / 6, 4 / 3], [1 / 3, 5 / 3], [2 / 3, 5 / 3], [5 / 6, 4 / 3]
+];
+
+/**
+ * Where a starburst digit's decimal point sits: right of the bottom of segment `c`.  The samples
+ * stop short of the corner, so it can't be found past them like a seven-segment one.
+ * @type {Coordinate}
+ */
+const STARBURST_DECIMAL_POINT = [1.2, 2];
+
+/**
+ * Printable ASCII on a starburst display, by the fourteen-segment names of the segments each
+ * character lights.  Sixteen-segment displays light both halves of `a` and `d`.  The period is
+ * left to the decimal point.  Characters drawn like an earlier one decode as the earlier one,
+ * so digits and capitals win over lower case and punctuation.
+ * @type {Array<[string, string]>}
+ */
+const STARBURST_GLYPHS = [
+    [' ', ''],
+    ['0', 'a b c d e f j k'],
+    ['1', 'b c j'],
+    ['2', 'a b d e g1 g2'],
+    ['3', 'a b c d g2'],
+    ['4', 'b c f g1 g2'],
+    ['5', 'a d f g1 m'],
+    ['6', 'a c d e f g1 g2'],
+    ['7', 'a b c'],
+    ['8', 'a b c d e f g1 g2'],
+    ['9', 'a b c d f g1 g2'],
+    ['A', 'a b c e f g1 g2'],
+    ['B', 'a b c d g2 i l'],
+    ['C', 'a d e f'],
+    ['D', 'a b c d i l'],
+    ['E', 'a d e f g1 g2'],
+    ['F', 'a e f g1'],
+    ['G', 'a c d e f g2'],
+    ['H', 'b c e f g1 g2'],
+    ['I', 'a d i l'],
+    ['J', 'b c d e'],
+    ['K', 'e f g1 j m'],
+    ['L', 'd e f'],
+    ['M', 'b c e f h j'],
+    ['N', 'b c e f h m'],
+    ['O', 'a b c d e f'],
+    ['P', 'a b e f g1 g2'],
+    ['Q', 'a b c d e f m'],
+    ['R', 'a b e f g1 g2 m'],
+    ['S', 'a c d f g1 g2'],
+    ['T', 'a i l'],
+    ['U', 'b c d e f'],
+    ['V', 'e f j k'],
+    ['W', 'b c e f k m'],
+    ['X', 'h j k m'],
+    ['Y', 'h j l'],
+    ['Z', 'a d j k'],
+    ['a', 'd e g1 l'],
+    ['b', 'd e f g1 m'],
+    ['c', 'd e g1 g2'],
+    ['d', 'b c d g2 k'],
+    ['e', 'd e g1 k'],
+    ['f', 'g1 g2 j l'],
+    ['g', 'b c d g2 j'],
+    ['h', 'e f g1 l'],
+    ['i', 'l'],
+    ['j', 'b c d'],
+    ['k', 'i j l m'],
+    ['l', 'e f'],
+    ['m', 'c e g1 g2 l'],
+    ['n', 'e g1 l'],
+    ['o', 'c d e g1 g2'],
+    ['p', 'e f g1 h'],
+    ['q', 'b c g2 j'],
+    ['r', 'e g1'],
+    ['s', 'd g2 m'],
+    ['t', 'd e f g1'],
+    ['u', 'c d e'],
+    ['v', 'e k'],
+    ['w', 'c e k m'],
+    ['x', 'h j k m'],
+    ['y', 'b c d g2 i'],
+    ['z', 'd g1 k'],
+    ['!', 'i'],
+    ['"', 'f i'],
+    ['#', 'b c d g1 g2 i l'],
+    ['$', 'a c d f g1 g2 i l'],
+    ['%', 'c f j k'],
+    ['&', 'a c d e g1 h i m'],
+    ['\'', 'j'],
+    ['(', 'j m'],
+    [')', 'h k'],
+    ['*', 'g1 g2 h i j k l m'],
+    ['+', 'g1 g2 i l'],
+    [',', 'k'],
+    ['-', 'g1 g2'],
+    ['/', 'j k'],
+    ['|', 'i l'],
+    [':', 'i l'],
+    [';', 'i k'],
+    ['<', 'g1 j m'],
+    ['=', 'd g1 g2'],
+    ['>', 'g2 h k'],
+    ['?', 'a b g2 l'],
+    ['@', 'a b d e f g2 i'],
+    ['[', 'a d e f'],
+    ['\\', 'h m'],
+    [']', 'a b c d'],
+    ['^', 'k m'],
+    ['_', 'd'],
+    ['`', 'h'],
+    ['{', 'a d g1 i l'],
+    ['}', 'a d g2 i l'],
+    ['~', 'f h j']
+];
+
+/**
+ * Builds a glyph table from {@link STARBURST_GLYPHS} for the given segment names.
+ *
+ * @param {Array<string>} segmentNames
+ * @returns {Object<number, string>}
+ */
+function starburstCharMap(segmentNames) {
+    /** @type {Object<number, string>} */
+    const charMap = {};
+    STARBURST_GLYPHS.forEach(([character, segments]) => {
+        let mask = 0;
+        segments.split(' ').filter(Boolean).forEach((name) => {
+            // Split bars light both halves
+            const halves = segmentNames.includes(name) ? [name] : [`${name}1`, `${name}2`];
+            halves.forEach((half) => {
+                mask |= 1 << segmentNames.indexOf(half);
+            });
+        });
+        charMap[mask] ??= character;
+    });
+    return charMap;
+}
+
+/**
+ * Fits the affine transform that best maps one set of points onto another, by least squares.
+ *
+ * @param {Array<Coordinate>} from
+ * @param {Array<Coordinate>} to
+ * @returns {AffineTransform|null} `null` when the points don't span an area
+ */
+function fitAffine(from, to) {
+    // Normal equations for [x, y, 1], shared by both output coordinates
+    let sxx = 0;
+    let sxy = 0;
+    let sx = 0;
+    let syy = 0;
+    let sy = 0;
+    const n = from.length;
+    const bx = [0, 0, 0];
+    const by = [0, 0, 0];
+    from.forEach(([x, y], index) => {
+        const [u, v] = to[index];
+        sxx += x * x;
+        sxy += x * y;
+        sx += x;
+        syy += y * y;
+        sy += y;
+        bx[0] += x * u;
+        bx[1] += y * u;
+        bx[2] += u;
+        by[0] += x * v;
+        by[1] += y * v;
+        by[2] += v;
+    });
+    const determinant = sxx * (syy * n - sy * sy) - sxy * (sxy * n - sy * sx) + sx * (sxy * sy - syy * sx);
+    if (Math.abs(determinant) < 1e-9) {
+        return null;
+    }
+
+    /**
+     * Solves the normal equations for one output coordinate by Cramer's rule.
+     *
+     * @param {Array<number>} b
+     * @returns {[number, number, number]}
+     */
+    const solve = ([b0, b1, b2]) => {
+        return [
+            (b0 * (syy * n - sy * sy) - sxy * (b1 * n - sy * b2) + sx * (b1 * sy - syy * b2)) / determinant,
+            (sxx * (b1 * n - sy * b2) - b0 * (sxy * n - sy * sx) + sx * (sxy * b2 - b1 * sx)) / determinant,
+            (sxx * (syy * b2 - b1 * sy) - sxy * (sxy * b2 - b1 * sx) + b0 * (sxy * sy - syy * sx)) / determinant
+        ];
+    };
+    const [xx, xy, x0] = solve(bx);
+    const [yx, yy, y0] = solve(by);
+    return { xx, xy, x0, yx, yy, y0 };
+}
+
+/**
+ * @class DisplayType
+ * @description Describes the kind of display a reader looks at: its segments, where the holes
+ * the lit segments enclose sit in each digit, and how characters are drawn on it.  Calibration
+ * finds the holes, matches them to the display type's holes and samples each segment from
+ * them.  Seven-segment digits have two holes, too few to fit a shape to, so their segments are
+ * sampled at fixed offsets from the holes.  Starburst digits have eight, and the segment strokes
+ * are fitted to them, which also follows slanted digits.
+ */
+export class DisplayType {
+    /**
+     * The names of the built-in display types.
+     * @type {Array<DisplayTypeName>}
+     */
+    static names = ['sevenSegment', 'fourteenSegment', 'sixteenSegment'];
+
+    /**
+     * Creates the seven-segment display type, the ET-3400's.
+     *
+     * @returns {DisplayType}
+     */
+    static sevenSegment() {
+        return new DisplayType({
+            name: 'sevenSegment',
+            segmentNames: ['a', 'b', 'c', 'd', 'e', 'f', 'g'],
+            holes: [[0.5, 0.5], [0.5, 1.5]],
+            strokes: [[0, 0, 1, 0], [1, 0, 1, 1], [1, 1, 1, 2], [0, 2, 1, 2], [0, 1, 0, 2], [0, 0, 0, 1], [0, 1, 1, 1]],
+            createGlyphSet: GlyphSet.et3400,
+            samplingOffsets: SEVEN_SEGMENT_OFFSETS
+        });
+    }
+
+    /**
+     * Creates the fourteen-segment alphanumeric display type.
+     *
+     * @returns {DisplayType}
+     */
+    static fourteenSegment() {
+        return new DisplayType({
+            name: 'fourteenSegment',
+            segmentNames: FOURTEEN_SEGMENT_NAMES,
+            holes: STARBURST_HOLES,
+            strokes: FOURTEEN_SEGMENT_NAMES.map((name) => {
+                return STARBURST_STROKES[name];
+            }),
+            createGlyphSet: () => {
+                return new GlyphSet(starburstCharMap(FOURTEEN_SEGMENT_NAMES));
+            },
+            decimalPoint: STARBURST_DECIMAL_POINT
+        });
+    }
+
+    /**
+     * Creates the sixteen-segment alphanumeric display type.
+     *
+     * @returns {DisplayType}
+     */
+    static sixteenSegment() {
+        return new DisplayType({
+            name: 'sixteenSegment',
+            segmentNames: SIXTEEN_SEGMENT_NAMES,
+            holes: STARBURST_HOLES,
+            strokes: SIXTEEN_SEGMENT_NAMES.map((name) => {
+                return STARBURST_STROKES[name];
+            }),
+            createGlyphSet: () => {
+                return new GlyphSet(starburstCharMap(SIXTEEN_SEGMENT_NAMES));
+            },
+            decimalPoint: STARBURST_DECIMAL_POINT
+        });
+    }
+
+    /**
+     * Creates a built-in display type by name.
+     *
+     * @param {DisplayTypeName} name
+     * @returns {DisplayType}
+     */
+    static named(name) {
+        switch (name) {
+            case 'fourteenSegment':
+                return DisplayType.fourteenSegment();
+            case 'sixteenSegment':
+                return DisplayType.sixteenSegment();
+            default:
+                return DisplayType.sevenSegment();
+        }
+    }
+
+    /**
+     * Creates a new DisplayType instance.
+     *
+     * @param {DisplayTypeOptions} options
+     */
+    constructor({ name, segmentNames, holes, strokes, createGlyphSet, decimalPoint = null, samplingOffsets = null }) {
+        this.name = name;
+        this.segmentNames = [...segmentNames];
+        this.holes = holes;
+        this.strokes = strokes;
+        this.createGlyphSet = createGlyphSet;
+        this.decimalPoint = decimalPoint;
+        this.samplingOffsets = samplingOffsets;
+    }
+
+    /**
+     * The index of the decimal point in segment samples and lit fractions, after every segment.
+     */
+    get decimalPointIndex() {
+        return this.segmentNames.length;
+    }
+
+    /**
+     * The number of holes in a digit with every segment lit.
+     */
+    get holeCount() {
+        return this.holes.length;
+    }
+
+    /**
+     * Where to start looking for a digit's decimal point, for display types that know where it
+     * sits.
+     *
+     * @param {HoleComponent[]} group The holes of one digit, one per display type hole
+     * @returns {Coordinate|null} `null` when the caller should look past the segment samples
+     */
+    decimalPointOrigin(group) {
+        if (!this.decimalPoint) {
+            return null;
+        }
+        const transform = this.fitHoles(group);
+        if (!transform) {
+            return null;
+        }
+        const { xx, xy, x0, yx, yy, y0 } = transform;
+        const [x, y] = this.decimalPoint;
+        return [Math.round(xx * x + xy * y + x0), Math.round(yx * x + yy * y + y0)];
+    }
+
+    /**
+     * Maps digit units onto the frame by fitting the display type's holes to a digit's holes.
+     *
+     * @param {HoleComponent[]} group The holes of one digit
+     * @returns {AffineTransform|null} `null` when the holes don't span an area
+     */
+    fitHoles(group) {
+        const ordered = this.orderHoles(group);
+        return fitAffine(this.holes, ordered.map(({ centerX, centerY }) => {
+            return /** @type {Coordinate} */ ([centerX ?? 0, centerY ?? 0]);
+        }));
+    }
+
+    /**
+     * Puts a digit's holes in the order of the display type's holes.  Both sets of centers are
+     * scaled to their bounding boxes, then the closest pairs are matched first.
+     *
+     * @param {HoleComponent[]} group The holes of one digit, one per display type hole
+     * @returns {HoleComponent[]}
+     */
+    orderHoles(group) {
+        /**
+         * @param {Array<Coordinate>} points
+         * @returns {Array<Coordinate>}
+         */
+        const normalize = (points) => {
+            const xs = points.map(([x]) => {
+                return x;
+            });
+            const ys = points.map(([, y]) => {
+                return y;
+            });
+            const left = Math.min(...xs);
+            const top = Math.min(...ys);
+            const width = Math.max(...xs) - left || 1;
+            const height = Math.max(...ys) - top || 1;
+            return points.map(([x, y]) => {
+                return [(x - left) / width, (y - top) / height];
+            });
+        };
+        const slots = normalize(this.holes);
+        const found = normalize(group.map(({ centerX, centerY }) => {
+            return /** @type {Coordinate} */ ([centerX ?? 0, centerY ?? 0]);
+        }));
+
+        /** @type {Array<{ slot: number, hole: number, distance: number }>} */
+        const pairs = [];
+        slots.forEach(([slotX, slotY], slot) => {
+            found.forEach(([x, y], hole) => {
+                pairs.push({ slot, hole, distance: Math.hypot(x - slotX, y - slotY) });
+            });
+        });
+        pairs.sort((a, b) => {
+            return a.distance - b.distance;
+        });
+
+        /** @type {Array<HoleComponent>} */
+        const ordered = new Array(slots.length);
+        const used = new Set();
+        pairs.forEach(({ slot, hole }) => {
+            if (!ordered[slot] && !used.has(hole)) {
+                ordered[slot] = group[hole];
+                used.add(hole);
+            }
+        });
+        return ordered;
+    }
+
+    /**
+     * Samples every segment of a digit, leaving the decimal point to the caller.
+     *
+     * @param {HoleComponent[]} group The holes of one digit, one per display type hole
+     * @param {(segment: number, x: number, y: number) => void} addToSegment Adds a pixel to a segment's samples if it is part of a segment
+     */
+    sampleDigit(group, addToSegment) {
+        const ordered = this.orderHoles(group);
+        if (this.samplingOffsets) {
+            this.samplingOffsets.forEach(({ segment, hole, dx, dy }) => {
+                ordered[hole === 'upper' ? 0 : 1].pixels.forEach(([x, y]) => {
+                    addToSegment(segment, x + dx, y + dy);
+                });
+            });
+            return;
+        }
+
+        const transform = this.fitHoles(group);
+        if (!transform) {
+            return;
+        }
+        this.strokes.forEach((stroke, segment) => {
+            const [[x0, y0], [x1, y1]] = this.strokeGuide(transform, stroke);
+            // The ends of a stroke run into its neighbours, so only its middle half is sampled
+            const steps = Math.max(2, Math.ceil(Math.hypot(x1 - x0, y1 - y0)));
+            const seen = new Set();
+            for (let step = 0; step <= steps; step++) {
+                const x = Math.round(x0 + (x1 - x0) * step / steps);
+                const y = Math.round(y0 + (y1 - y0) * step / steps);
+                [[x, y], [x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]].forEach(([px, py]) => {
+                    const key = `${px},${py}`;
+                    if (!seen.has(key)) {
+                        seen.add(key);
+                        addToSegment(segment, px, py);
+                    }
+                });
+            }
+        });
+    }
+
+    /**
+     * Lines from where each segment's samples are taken, for drawing calibration diagnostics:
+     * from the hole to the shifted hole for offset sampling, the sampled middle of each stroke
+     * otherwise.
+     *
+     * @param {HoleComponent[]} group The holes of one digit, one per display type hole
+     * @returns {Array<[Coordinate, Coordinate]>}
+     */
+    samplingGuides(group) {
+        if (this.samplingOffsets) {
+            const ordered = this.orderHoles(group);
+            return this.samplingOffsets.map(({ hole, dx, dy }) => {
+                const { centerX, centerY } = ordered[hole === 'upper' ? 0 : 1];
+                const x = centerX ?? 0;
+                const y = centerY ?? 0;
+                return /** @type {[Coordinate, Coordinate]} */ ([[x, y], [x + dx, y + dy]]);
+            });
+        }
+        const transform = this.fitHoles(group);
+        if (!transform) {
+            return [];
+        }
+        return this.strokes.map((stroke) => {
+            return this.strokeGuide(transform, stroke);
+        });
+    }
+
+    /**
+     * Maps the middle half of a stroke onto the frame.
+     *
+     * @param {AffineTransform} transform
+     * @param {SegmentStroke} stroke
+     * @returns {[Coordinate, Coordinate]}
+     */
+    strokeGuide({ xx, xy, x0, yx, yy, y0 }, [startX, startY, endX, endY]) {
+        /**
+         * @param {number} t How far along the stroke, 0 to 1
+         * @returns {Coordinate}
+         */
+        const at = (t) => {
+            const x = startX + (endX - startX) * t;
+            const y = startY + (endY - startY) * t;
+            return [xx * x + xy * y + x0, yx * x + yy * y + y0];
+        };
+        return [at(0.25), at(0.75)];
+    }
+}
@@ -0,0 +1,249 @@
+/**
+ * Hex digits as the ET-3400 draws them on a seven segment display.
+ * `b` and `d` are lowercase so they can be told apart from `8` and `0`.
+ */
+const HEX = '[0-9AbCdEF]';
+
+/**
+ * @typedef {Object} ConditionCodes
+ * @property {boolean} H - Half carry
+ * @property {boolean} I - Interrupt mask
+ * @property {boolean} N - Negative
+ * @property {boolean} Z - Zero
+ * @property {boolean} V - Overflow
+ * @property {boolean} C - Carry
+ */
+
+/**
+ * @typedef {Object} RegisterView
+ * @property {string} name - The register name reported in `register` events
+ * @property {RegExp} pattern - Matches the display with decimal points removed, capturing the hex value
+ */
+
+/**
+ * @typedef {Object} MemoryState
+ * @property {'memory'} type
+ * @property {string} raw - The display value that was parsed
+ * @property {number} address - The 16-bit address being examined
+ * @property {number} data - The byte stored at the address
+ */
+
+/**
+ * @typedef {Object} RegisterState
+ * @property {'register'} type
+ * @property {string} raw - The display value that was parsed
+ * @property {string} name - The register name (ACCA, ACCB, PC, IX, SP or CC)
+ * @property {number} value - The register contents
+ * @property {ConditionCodes} [flags] - Flag breakdown, only present for CC
+ */
+
+/**
+ * @typedef {Object} PromptState
+ * @property {'prompt'} type
+ * @property {string} raw - The display value that was parsed
+ * @property {string} entered - The hex digits keyed in so far
+ */
+
+/**
+ * @typedef {Object} BannerState
+ * @property {'banner'} type
+ * @property {string} raw - The display value that was parsed
+ * @property {string} text - The banner text
+ */
+
+/**
+ * @typedef {Object} UnknownState
+ * @property {'unknown'} type
+ * @property {string} raw - The display value that was parsed
+ */
+
+/** @typedef {MemoryState|RegisterState|PromptState|BannerState|UnknownState} MonitorState */
+
+/**
+ * @class ET3400MonitorParser
+ * @extends EventTarget
+ * @description Interprets confirmed display readings as ET-3400 monitor state.  Attach it to a
+ * {@link SegmentDisplayReader} (or anything else that fires `output` events) and listen for the
+ * typed events below instead of parsing display strings by hand.
+ *
+ * @event ET3400MonitorParser#memory
+ * @property {MemoryState} detail - The address and data being examined
+ *
+ * @event ET3400MonitorParser#register
+ * @property {RegisterState} detail - The register being displayed and its value
+ *
+ * @event ET3400MonitorParser#prompt
+ * @property {PromptState} detail - The monitor is waiting for hex input
+ *
+ * @event ET3400MonitorParser#banner
+ * @property {BannerState} detail - The monitor banner, such as `CPU UP` after a reset
+ *
+ * @event ET3400MonitorParser#unknown
+ * @property {UnknownState} detail - A reading that didn't match any known monitor display
+ */
+export class ET3400MonitorParser extends EventTarget {
+    /**
+     * Banner messages shown by the monitor, matched with spaces and decimal points removed.
+     * @type {Object<string, string>}
+     */
+    static banners = {
+        CPUUP: 'CPU UP'
+    };
+
+    /**
+     * Register views, checked in order.  The `5P` and `1n` spellings are accepted in case
+     * the reader hasn't corrected them to `SP` and `In`.
+     * @type {Array<RegisterView>}
+     */
+    static registers = [
+        { name: 'ACCA', pattern: new RegExp(`^Acca(${HEX}{2})$`) },
+        { name: 'ACCB', pattern: new RegExp(`^Accb(${HEX}{2})$`) },
+        { name: 'PC', pattern: new RegExp(`^PC(${HEX}{4})$`) },
+        { name: 'IX', pattern: new RegExp(`^[I1]n(${HEX}{4})$`) },
+        { name: 'SP', pattern: new RegExp(`^[S5]P(${HEX}{4})$`) },
+        { name: 'CC', pattern: new RegExp(`^CC(${HEX}{2})$`) }
+    ];
+
+    /**
+     * Breaks the condition code register into its individual flags.
+     *
+     * @param {number} value The condition code register contents
+     * @returns {ConditionCodes}
+     */
+    static decodeConditionCodes(value) {
+        return {
+            H: (value & 0x20) !== 0,
+            I: (value & 0x10) !== 0,
+            N: (value & 0x08) !== 0,
+            Z: (value & 0x04) !== 0,
+            V: (value & 0x02) !== 0,
+            C: (value & 0x01) !== 0
+        };
+    }
+
+    /**
+     * Creates a new ET3400MonitorParser instance.
+     *
+     * @param {EventTarget} [reader] A reader to attach to immediately
+     */
+    constructor(reader) {
+        super();
+
+        /** @type {EventTarget|null} */
+        this.reader = null;
+        /** @type {MonitorState|null} */
+        this.state = null;
+        /**
+         * The last value seen for each register, keyed by register name.
+         * @type {Map<string, number>}
+         */
+        this.registers = new Map();
+        /**
+         * Every memory location seen so far, keyed by address.
+         * @type {Map<number, number>}
+         */
+        this.memory = new Map();
+
+        /** @param {Event} event */
+        this.onOutput = (event) => {
+            const { value } = /** @type {CustomEvent} */ (event).detail;
+            this.update(value);
+        };
+
+        if (reader) {
+            this.attach(reader);
+        }
+    }
+
+    /**
+     * Starts parsing `output` events from a reader, detaching from any previous reader.
+     *
+     * @param {EventTarget} reader
+     */
+    attach(reader) {
+        this.detach();
+        this.reader = reader;
+        reader.addEventListener('output', this.onOutput);
+    }
+
+    /**
+     * Stops parsing events from the attached reader.
+     */
+    detach() {
+        if (this.reader) {
+            this.reader.removeEventListener('output', this.onOutput);
+            this.reader = null;
+        }
+    }
+
+    /**
+     * Interprets a display value without changing the parser state or firing events.
+     *
+     * @param {string} raw The display value
+     * @returns {MonitorState}
+     */
+    parse(raw) {
+        const value = raw.replace(/\./g, '');
+        const compact = value.replace(/\s/g, '');
+
+        const banner = ET3400MonitorParser.banners[compact];
+        if (banner) {
+            return { type: 'banner', raw, text: banner };
+        }
+
+        for (const { name, pattern } of ET3400MonitorParser.registers) {
+            const match = pattern.exec(compact);
+            if (match) {
+                const registerValue = parseInt(match[1], 16);
+                /** @type {RegisterState} */
+                const state = { type: 'register', raw, name, value: registerValue };
+                if (name === 'CC') {
+                    state.flags = ET3400MonitorParser.decodeConditionCodes(registerValue);
+                }
+                return state;
+            }
+        }
+
+        const memoryMatch = new RegExp(`^(${HEX}{4})(${HEX}{2})$`).exec(compact);
+        if (memoryMatch) {
+            return {
+                type: 'memory',
+                raw,
+                address: parseInt(memoryMatch[1], 16),
+                data: parseInt(memoryMatch[2], 16)
+            };
+        }
+
+        // While an address or data byte is being keyed in, the positions still
+        // waiting for input are blank or show a dash or underscore
+        const promptMatch = new RegExp(`^(${HEX}*)[-_ ]+$`).exec(value);
+        if (promptMatch) {
+            return { type: 'prompt', raw, entered: promptMatch[1] };
+        }
+
+        return { type: 'unknown', raw };
+    }
+
+    /**
+     * Parses a display value, records it and fires the matching event.
+     *
+     * @param {string} raw The display value
+     * @returns {MonitorState}
+     * @fires ET3400MonitorParser#memory
+     * @fires ET3400MonitorParser#register
+     * @fires ET3400MonitorParser#prompt
+     * @fires ET3400MonitorParser#banner
+     * @fires ET3400MonitorParser#unknown
+     */
+    update(raw) {
+        const state = this.parse(raw);
+        if (state.type === 'register') {
+            this.registers.set(state.name, state.value);
+        } else if (state.type === 'memory') {
+            this.memory.set(state.address, state.data);
+        }
+        this.state = state;
+        this.dispatchEvent(new CustomEvent(state.type, { detail: state }));
+        return state;
+    }
+}
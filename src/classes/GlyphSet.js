@@ -0,0 +1,228 @@
+/**
+ * A digit as seen by glyph rules.
+ *
+ * @typedef {Object} GlyphDigit
+ * @property {string} character - The character decoded so far
+ * @property {number} mask - The segment mask in the display type's segment order, for seven segment displays bit 0 is segment A through bit 6 for segment G
+ * @property {boolean} decimalPoint - Whether the decimal point is lit
+ */
+
+/**
+ * Context handed to a glyph rule for one digit.  Neighbouring digits are reached through
+ * `digits[index - 1]` and `digits[index + 1]`; their characters reflect earlier rules.
+ *
+ * @typedef {Object} GlyphRuleContext
+ * @property {number} index - The position of the digit in reading order
+ * @property {string} character - The character decoded so far for this digit
+ * @property {number} mask - The segment mask of this digit
+ * @property {boolean} decimalPoint - Whether this digit's decimal point is lit
+ * @property {Array<GlyphDigit>} digits - Every digit of the display, in reading order
+ */
+
+/**
+ * Returns a replacement character for the digit, or `undefined` to keep the current one.
+ *
+ * @callback GlyphRule
+ * @param {GlyphRuleContext} context
+ * @returns {string|undefined|void}
+ */
+
+/**
+ * Placeholder for segment patterns missing from the glyph table.
+ * @type {string}
+ */
+const UNKNOWN_GLYPH = '􏿾';
+
+/**
+ * Mapping of 7-segment bitmask to characters as drawn by the ET-3400.
+ * @type {Object<number, string>}
+ */
+const ET3400_CHAR_MAP = {
+    0: ' ',
+    2: '\'',
+    4: 'i',
+    6: '1',
+    7: '7',
+    8: '_',
+    16: ',',
+    28: 'u',
+    30: 'J',
+    32: '`',
+    34: '"',
+    48: 'I',
+    56: 'L',
+    57: 'C',
+    61: 'G',
+    62: 'U',
+    63: '0',
+    64: '-',
+    79: '3',
+    80: 'r',
+    83: '?',
+    84: 'n',
+    88: 'c',
+    91: '2',
+    92: 'o',
+    94: 'd',
+    95: 'a',
+    102: '4',
+    103: 'q',
+    109: '5',
+    110: 'Y',
+    111: '9',
+    113: 'F',
+    115: 'P',
+    116: 'h',
+    118: 'H',
+    119: 'A',
+    120: 't',
+    121: 'E',
+    123: 'e',
+    124: 'b',
+    125: '6',
+    127: '8'
+};
+
+/**
+ * Mapping of 7-segment bitmask to characters for hex-only readouts.  Every pattern resolves
+ * to a hex digit, so `5` never reads as `S`, and the common alternate forms of `7` (with
+ * segment F) and `9` (without segment D) are accepted.
+ * @type {Object<number, string>}
+ */
+const HEX_CHAR_MAP = {
+    0: ' ',
+    6: '1',
+    7: '7',
+    39: '7',
+    57: 'C',
+    63: '0',
+    79: '3',
+    91: '2',
+    94: 'd',
+    102: '4',
+    103: '9',
+    109: '5',
+    111: '9',
+    113: 'F',
+    119: 'A',
+    121: 'E',
+    124: 'b',
+    125: '6',
+    127: '8'
+};
+
+/**
+ * The ET-3400 monitor labels the stack pointer and index register as `SP.` and `In.`, which
+ * decode as `5P.` and `1n.` since `S` and `5`, and `I` and `1`, share a segment pattern.
+ *
+ * @type {GlyphRule}
+ */
+function et3400RegisterLabelRule({ index, character, decimalPoint, digits }) {
+    const next = digits[index + 1];
+    if (index !== 0 || decimalPoint || !next?.decimalPoint) {
+        return;
+    }
+    if (character === '5' && next.character === 'P') {
+        // Should be 'SP' not '5P'
+        return 'S';
+    } else if (character === '1' && next.character === 'n') {
+        // Should be 'In' not '1n'
+        return 'I';
+    }
+}
+
+/**
+ * @class GlyphSet
+ * @description Turns segment masks into characters with a glyph table, then passes the
+ * digits through an ordered chain of context rules that can look at neighbouring digits
+ * and decimal points to resolve ambiguous patterns.
+ */
+export class GlyphSet {
+    /**
+     * The ET-3400 glyph table.
+     * @type {Object<number, string>}
+     */
+    static et3400CharMap = ET3400_CHAR_MAP;
+
+    /**
+     * The hex-only glyph table.
+     * @type {Object<number, string>}
+     */
+    static hexCharMap = HEX_CHAR_MAP;
+
+    /**
+     * Creates the ET-3400 preset, the glyph table and register label correction the reader
+     * has always used.
+     *
+     * @returns {GlyphSet}
+     */
+    static et3400() {
+        return new GlyphSet(ET3400_CHAR_MAP, [et3400RegisterLabelRule]);
+    }
+
+    /**
+     * Creates the preset for hex-only readouts.
+     *
+     * @returns {GlyphSet}
+     */
+    static hex() {
+        return new GlyphSet(HEX_CHAR_MAP);
+    }
+
+    /**
+     * Creates a new GlyphSet instance.
+     *
+     * @param {Object<number, string>} charMap Mapping of segment mask to character
+     * @param {Array<GlyphRule>} [rules=[]] Context rules, applied in order
+     * @param {string} [unknown] Character used for masks missing from the table
+     */
+    constructor(charMap, rules = [], unknown = UNKNOWN_GLYPH) {
+        /** @type {Object<number, string>} */
+        this.charMap = { ...charMap };
+        /** @type {Array<GlyphRule>} */
+        this.rules = [...rules];
+        this.unknown = unknown;
+    }
+
+    /**
+     * Appends a rule to the end of the chain.
+     *
+     * @param {GlyphRule} rule
+     * @returns {GlyphSet} This glyph set, for chaining
+     */
+    addRule(rule) {
+        this.rules.push(rule);
+        return this;
+    }
+
+    /**
+     * Decodes every digit of a display, looking each mask up in the table and then
+     * running the rules over the digits from left to right.
+     *
+     * @param {Array<{ mask: number, decimalPoint: boolean }>} readings The digits in reading order
+     * @returns {Array<string>} One character per digit
+     */
+    decode(readings) {
+        /** @type {Array<GlyphDigit>} */
+        const digits = readings.map(({ mask, decimalPoint }) => {
+            return {
+                character: this.charMap[mask] ?? this.unknown,
+                mask,
+                decimalPoint
+            };
+        });
+
+        for (const rule of this.rules) {
+            digits.forEach((digit, index) => {
+                const replacement = rule({ ...digit, index, digits });
+                if (typeof replacement === 'string') {
+                    digit.character = replacement;
+                }
+            });
+        }
+
+        return digits.map(({ character }) => {
+            return character;
+        });
+    }
+}
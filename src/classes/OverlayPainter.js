@@ -0,0 +1,214 @@
+/** @typedef {import('./SegmentDisplayEngine.js').BoundingRect} BoundingRect */
+/** @typedef {import('./SegmentDisplayEngine.js').CalibrationDiagnostics} CalibrationDiagnostics */
+/** @typedef {import('./SegmentDisplayEngine.js').CoordinateArray} CoordinateArray */
+/** @typedef {import('./SegmentDisplayEngine.js').Frame} Frame */
+/** @typedef {import('./SegmentDisplayEngine.js').HoleComponent} HoleComponent */
+/** @typedef {import('./SegmentDisplayEngine.js').Pixel} Pixel */
+/** @typedef {import('./SegmentDisplayEngine.js').SegmentDisplayEngine} SegmentDisplayEngine */
+
+/**
+ * Colors used by the calibration diagnostics overlay.  Holes are drawn in the bright
+ * `debugMaskColors` entry of the digit they were clustered into.
+ * @type {Object<string, Pixel>}
+ */
+const DIAGNOSTIC_COLORS = {
+    detectable: { r: 255, g: 255, b: 255 },
+    background: { r: 0, g: 40, b: 160 },
+    unclustered: { r: 255, g: 0, b: 0 },
+    centroid: { r: 255, g: 255, b: 255 },
+    sampling: { r: 0, g: 255, b: 255 },
+    decimalPoint: { r: 255, g: 0, b: 255 },
+    decimalPointOrigin: { r: 255, g: 255, b: 0 }
+};
+
+/**
+ * @class OverlayPainter
+ * @description Paints the debug mask and calibration diagnostics straight into a frame's pixel
+ * data.  It doesn't touch the DOM, so overlays can be drawn in the analysis worker as well as
+ * by {@link SegmentDisplayReader}.
+ */
+export class OverlayPainter {
+    /**
+     * Colors used by the calibration diagnostics overlay.
+     * @type {Object<string, Pixel>}
+     */
+    static diagnosticColors = DIAGNOSTIC_COLORS;
+
+    /**
+     * Creates a new OverlayPainter instance.
+     *
+     * @param {Array<Array<Pixel>>} colors Dim and bright colors for each digit, see `debugMaskColors`
+     */
+    constructor(colors) {
+        this.colors = colors;
+    }
+
+    /**
+     * Colors every sampled segment pixel with its digit's bright color where it reads as lit and
+     * its dim color where it doesn't.
+     *
+     * @param {SegmentDisplayEngine} engine The calibrated engine whose samples are drawn
+     * @param {Frame} frame The frame to paint over
+     * @param {number} [ambientOffset=0] The offset value to adjust ambient light threshold for segment detection
+     */
+    paintDebugMask(engine, frame, ambientOffset = 0) {
+        const { colors } = this;
+        const { width, data } = frame;
+
+        const digitCount = engine.segmentSamples.length;
+        for (let digit = 0; digit < digitCount; digit++) {
+            const digitSegments = engine.segmentSamples[digit];
+            const segmentCount = digitSegments.length;
+            for (let segment = 0; segment < segmentCount; segment++) {
+                /** @type {CoordinateArray} */
+                const pixels = digitSegments[segment];
+                const length = pixels.length;
+                for (let index = 0; index < length; index++) {
+                    const [x, y] = pixels[index];
+                    const currentGray = engine.getPixelGrayValue(frame, x, y);
+                    const isOn = engine.isPixelLit(currentGray, x, y, ambientOffset);
+                    const { r, g, b } = colors[digit % colors.length][isOn ? 1 : 0];
+                    const pixelIndex = (y * width + x) * 4;
+                    data[pixelIndex] = r;
+                    data[pixelIndex + 1] = g;
+                    data[pixelIndex + 2] = b;
+                    data[pixelIndex + 3] = 255;
+                }
+            }
+        }
+    }
+
+    /**
+     * Paints what a calibration attempt found: detectable pixels in white, the background flood
+     * fill in blue, each hole filled with the color of the digit it was clustered into (red if it
+     * wasn't) with its bounding rectangle and centroid, lines showing where each segment is
+     * sampled relative to the holes, and each decimal point flood fill with its origin.
+     *
+     * @param {CalibrationDiagnostics} diagnostics
+     * @param {Frame} frame The frame to paint over
+     * @param {BoundingRect|null} [region=null] Where the display region the diagnostics belong to sits in the frame
+     */
+    paintDiagnostics(diagnostics, frame, region = null) {
+        const { width, height, data } = frame;
+        const { colors } = this;
+        const offsetX = region?.x ?? 0;
+        const offsetY = region?.y ?? 0;
+
+        /**
+         * Blends a color into a pixel.
+         *
+         * @param {number} x
+         * @param {number} y
+         * @param {Pixel} color
+         * @param {number} [alpha=1]
+         */
+        const paint = (x, y, { r, g, b }, alpha = 1) => {
+            const px = Math.round(x) + offsetX;
+            const py = Math.round(y) + offsetY;
+            if (px < 0 || py < 0 || px >= width || py >= height) {
+                return;
+            }
+            const index = (py * width + px) * 4;
+            data[index] += (r - data[index]) * alpha;
+            data[index + 1] += (g - data[index + 1]) * alpha;
+            data[index + 2] += (b - data[index + 2]) * alpha;
+            data[index + 3] = 255;
+        };
+
+        /**
+         * Draws a straight line between two points.
+         *
+         * @param {number} x0
+         * @param {number} y0
+         * @param {number} x1
+         * @param {number} y1
+         * @param {Pixel} color
+         */
+        const line = (x0, y0, x1, y1, color) => {
+            const steps = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0), 1);
+            for (let step = 0; step <= steps; step++) {
+                paint(x0 + (x1 - x0) * step / steps, y0 + (y1 - y0) * step / steps, color);
+            }
+        };
+
+        /**
+         * Draws a small cross centered on a point.
+         *
+         * @param {number} x
+         * @param {number} y
+         * @param {Pixel} color
+         * @param {number} [size=2]
+         */
+        const cross = (x, y, color, size = 2) => {
+            line(x - size, y, x + size, y, color);
+            line(x, y - size, x, y + size, color);
+        };
+
+        /**
+         * Outlines a rectangle.
+         *
+         * @param {BoundingRect} rect
+         * @param {Pixel} color
+         */
+        const outline = ({ x, y, width: rectWidth, height: rectHeight }, color) => {
+            const right = x + rectWidth - 1;
+            const bottom = y + rectHeight - 1;
+            line(x, y, right, y, color);
+            line(x, bottom, right, bottom, color);
+            line(x, y, x, bottom, color);
+            line(right, y, right, bottom, color);
+        };
+
+        // Tint detectable pixels and the background flood fill
+        const { detectableMask, backgroundMask } = diagnostics;
+        detectableMask.forEach((value, index) => {
+            const x = index % diagnostics.width;
+            const y = (index - x) / diagnostics.width;
+            if (value === 1) {
+                paint(x, y, DIAGNOSTIC_COLORS.detectable, 0.5);
+            } else if (backgroundMask[index]) {
+                paint(x, y, DIAGNOSTIC_COLORS.background, 0.35);
+            }
+        });
+
+        // Fill each hole with its digit's color and mark its bounds and centroid
+        /** @type {Map<HoleComponent, number>} */
+        const digitOf = new Map();
+        diagnostics.clusters.forEach((group, digit) => {
+            group.forEach((hole) => {
+                digitOf.set(hole, digit);
+            });
+        });
+        diagnostics.holes.forEach((hole) => {
+            const digit = digitOf.get(hole);
+            const color = digit === undefined ? DIAGNOSTIC_COLORS.unclustered : colors[digit % colors.length][1];
+            hole.pixels.forEach(([x, y]) => {
+                paint(x, y, color, 0.8);
+            });
+            if (hole.rect) {
+                outline(hole.rect, color);
+            }
+            if (hole.centerX !== null && hole.centerY !== null) {
+                cross(hole.centerX, hole.centerY, DIAGNOSTIC_COLORS.centroid);
+            }
+        });
+
+        // Show where each segment is sampled relative to the digit's holes
+        diagnostics.samplingGuides.forEach(([[fromX, fromY], [toX, toY]]) => {
+            line(fromX, fromY, toX, toY, DIAGNOSTIC_COLORS.sampling);
+            cross(toX, toY, DIAGNOSTIC_COLORS.sampling, 1);
+        });
+
+        // Mark each decimal point flood fill and where it started
+        diagnostics.decimalPoints.forEach((decimalPoint) => {
+            if (!decimalPoint) {
+                return;
+            }
+            decimalPoint.pixels.forEach(([x, y]) => {
+                paint(x, y, DIAGNOSTIC_COLORS.decimalPoint);
+            });
+            const [originX, originY] = decimalPoint.origin;
+            cross(originX, originY, DIAGNOSTIC_COLORS.decimalPointOrigin);
+        });
+    }
+}
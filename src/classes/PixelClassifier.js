@@ -0,0 +1,123 @@
+/** @typedef {import('./SegmentDisplayEngine.js').Frame} Frame */
+/** @typedef {import('./SegmentDisplayEngine.js').Pixel} Pixel */
+
+/**
+ * How a pixel's color is turned into the single value that is compared with the calibration
+ * references: `average` takes the mean of red, green and blue, `red`, `green` and `blue` take one
+ * channel, `luma` weighs the channels by how bright they look (Rec. 601), and `ledColor` measures
+ * how close the pixel is to the LED color sampled from the lit calibration frame.
+ *
+ * @typedef {'average'|'red'|'green'|'blue'|'luma'|'ledColor'} PixelClassifierMode
+ */
+
+/**
+ * The red, green and blue weights of each linear mode.  `ledColor` falls back to `average` until
+ * a color has been sampled.
+ *
+ * @type {Record<PixelClassifierMode, [number, number, number]>}
+ */
+const CHANNEL_WEIGHTS = {
+    average: [1 / 3, 1 / 3, 1 / 3],
+    red: [1, 0, 0],
+    green: [0, 1, 0],
+    blue: [0, 0, 1],
+    luma: [0.299, 0.587, 0.114],
+    ledColor: [1 / 3, 1 / 3, 1 / 3]
+};
+
+/**
+ * @class PixelClassifier
+ * @description Turns pixel colors into the values segments are classified by.  Averaging the
+ * channels throws away most of the signal of a colored LED and lets white glare pass for a lit
+ * segment, so the channel that carries the LED's color, or the distance to the LED color itself,
+ * separates lit from unlit segments better.  Calibration references, the ambient offset and every
+ * sampled pixel go through the same classifier so their values stay comparable.
+ */
+export class PixelClassifier {
+    /**
+     * The available classifier modes.
+     * @type {Array<PixelClassifierMode>}
+     */
+    static modes = ['average', 'red', 'green', 'blue', 'luma', 'ledColor'];
+
+    /**
+     * Creates a new PixelClassifier instance.
+     *
+     * @param {PixelClassifierMode} [mode='average']
+     * @param {Pixel|null} [ledColor=null] The LED color for `ledColor` mode, usually left to {@link sampleLedColor}
+     */
+    constructor(mode = 'average', ledColor = null) {
+        this.mode = mode;
+        this.weights = CHANNEL_WEIGHTS[mode] ?? CHANNEL_WEIGHTS.average;
+        /**
+         * The color of a lit segment, only used in `ledColor` mode.
+         * @type {Pixel|null}
+         */
+        this.ledColor = mode === 'ledColor' && ledColor ? { ...ledColor } : null;
+    }
+
+    /**
+     * Samples the LED color from a pair of calibration frames in `ledColor` mode: the mean lit
+     * color of the pixels whose most changed channel changed by more than the threshold, so the
+     * dark segments of an LCD are sampled as well as lit LEDs.  Glare shows in both frames, so it
+     * doesn't count towards the color.  Other modes are left as they are.
+     *
+     * @param {Frame} litImage The frame with every segment lit
+     * @param {Frame} unlitImage The frame with every segment dark
+     * @param {number} threshold The change a pixel's most changed channel needs to be sampled
+     * @returns {Pixel|null} The sampled color, `null` when no pixel changed enough
+     */
+    sampleLedColor(litImage, unlitImage, threshold) {
+        if (this.mode !== 'ledColor') {
+            return null;
+        }
+        const litData = litImage.data;
+        const unlitData = unlitImage.data;
+        const length = Math.min(litData.length, unlitData.length);
+        let red = 0;
+        let green = 0;
+        let blue = 0;
+        let count = 0;
+        for (let offset = 0; offset < length; offset += 4) {
+            const change = Math.max(
+                Math.abs(litData[offset] - unlitData[offset]),
+                Math.abs(litData[offset + 1] - unlitData[offset + 1]),
+                Math.abs(litData[offset + 2] - unlitData[offset + 2])
+            );
+            if (change > threshold) {
+                red += litData[offset];
+                green += litData[offset + 1];
+                blue += litData[offset + 2];
+                count++;
+            }
+        }
+        this.ledColor = count
+            ? { r: Math.round(red / count), g: Math.round(green / count), b: Math.round(blue / count) }
+            : null;
+        return this.ledColor;
+    }
+
+    /**
+     * Classifies the pixel at a byte offset.  In `ledColor` mode the value is 255 less the
+     * distance to the LED color, so it peaks on active segments and bottoms out on glare and
+     * anything else far from the LED color.
+     *
+     * @param {Frame['data']} data RGBA pixel data
+     * @param {number} offset The byte offset of the pixel
+     * @returns {number} A value from 0 to 255, higher where the pixel looks more like a lit segment
+     */
+    valueAt(data, offset) {
+        const red = data[offset];
+        const green = data[offset + 1];
+        const blue = data[offset + 2];
+        const { ledColor } = this;
+        if (ledColor) {
+            const dr = red - ledColor.r;
+            const dg = green - ledColor.g;
+            const db = blue - ledColor.b;
+            return Math.max(0, 255 - Math.sqrt(dr * dr + dg * dg + db * db));
+        }
+        const [redWeight, greenWeight, blueWeight] = this.weights;
+        return red * redWeight + green * greenWeight + blue * blueWeight;
+    }
+}
@@ -0,0 +1,217 @@
+/** @typedef {'interval'|'videoFrame'|'manual'} ReadSchedulerMode */
+
+/**
+ * @typedef {Object} FrameStats
+ * @property {number} reads - Frames that were handed out for reading
+ * @property {number} duplicates - Ticks skipped because the source hadn't presented a new frame
+ * @property {number} dropped - Frames the source presented that were never read
+ */
+
+/**
+ * @typedef {Object} FrameInfo
+ * @property {number|null} presentedFrames - The source's running count of presented frames, when known
+ * @property {number|null} mediaTime - The media time of the current frame, when known
+ */
+
+/**
+ * @class ReadScheduler
+ * @extends EventTarget
+ * @description Decides when a reader should sample its source.
+ *
+ * - `interval` ticks on a fixed period from a worker, so background tabs aren't throttled.
+ * - `videoFrame` ticks once per decoded frame using `requestVideoFrameCallback`.
+ * - `manual` only ticks when {@link ReadScheduler#step} is called.
+ *
+ * When the source is a video, each tick is compared against the last frame that was read so
+ * duplicate reads of the same frame are skipped and frames that were never read are counted.
+ *
+ * @event ReadScheduler#read
+ * @property {FrameInfo} detail - The frame that should be read
+ *
+ * @event ReadScheduler#frameskip
+ * @property {Object} detail - The event details
+ * @property {'duplicate'|'dropped'} detail.kind - Whether a tick was skipped or frames were missed
+ * @property {number} detail.count - The number of frames skipped or missed
+ * @property {FrameStats} detail.stats - The running totals
+ */
+export class ReadScheduler extends EventTarget {
+    /**
+     * The available scheduling modes.
+     * @type {Array<ReadSchedulerMode>}
+     */
+    static modes = ['interval', 'videoFrame', 'manual'];
+
+    /**
+     * Creates a new ReadScheduler instance.
+     *
+     * @param {any} source The source being read, frame tracking is only available for videos
+     * @param {ReadSchedulerMode} [mode='interval'] How reads are scheduled
+     * @param {number} [interval=100] The period between reads in `interval` mode, in milliseconds
+     */
+    constructor(source, mode = 'interval', interval = 100) {
+        super();
+
+        this.source = source;
+        this.interval = interval;
+        this.running = false;
+
+        const supportsVideoFrames = typeof source?.requestVideoFrameCallback === 'function';
+        if (mode === 'videoFrame' && !supportsVideoFrames) {
+            console.warn('requestVideoFrameCallback is not supported by this source, falling back to interval reads.');
+            mode = 'interval';
+        }
+        /** @type {ReadSchedulerMode} */
+        this.mode = mode;
+
+        /** @type {FrameStats} */
+        this.stats = { reads: 0, duplicates: 0, dropped: 0 };
+        /** @type {FrameInfo} */
+        this.lastFrame = { presentedFrames: null, mediaTime: null };
+        /** @type {FrameInfo} */
+        this.latestFrame = { presentedFrames: null, mediaTime: null };
+
+        /** @type {Worker|null} */
+        this.worker = null;
+        if (this.mode === 'interval') {
+            this.worker = new Worker(new URL('../timingWorker.js', import.meta.url));
+            this.worker.addEventListener('message', (event) => {
+                if (event.data === 'read') {
+                    this.tick(this.currentFrame());
+                }
+            });
+        }
+
+        /** @type {number|null} */
+        this.videoFrameHandle = null;
+
+        // Follow presented frames in the background so interval and manual
+        // reads can tell whether the video has moved on since the last read
+        if (supportsVideoFrames) {
+            /** @type {VideoFrameRequestCallback} */
+            const onVideoFrame = (_, metadata) => {
+                this.latestFrame = {
+                    presentedFrames: metadata.presentedFrames,
+                    mediaTime: metadata.mediaTime
+                };
+                if (this.running && this.mode === 'videoFrame') {
+                    this.tick(this.latestFrame);
+                }
+                this.videoFrameHandle = source.requestVideoFrameCallback(onVideoFrame);
+            };
+            this.videoFrameHandle = source.requestVideoFrameCallback(onVideoFrame);
+        }
+    }
+
+    /**
+     * Describes the frame the source is currently showing.
+     *
+     * @returns {FrameInfo}
+     */
+    currentFrame() {
+        const { source } = this;
+        if (this.latestFrame.presentedFrames !== null) {
+            return this.latestFrame;
+        }
+        if (typeof HTMLVideoElement !== 'undefined' && source instanceof HTMLVideoElement) {
+            return { presentedFrames: null, mediaTime: source.currentTime };
+        }
+        return { presentedFrames: null, mediaTime: null };
+    }
+
+    /**
+     * Stops scheduling for good and releases the worker and frame callback.
+     */
+    dispose() {
+        this.stop();
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        if (this.videoFrameHandle !== null) {
+            this.source.cancelVideoFrameCallback(this.videoFrameHandle);
+            this.videoFrameHandle = null;
+        }
+    }
+
+    /**
+     * Reports skipped or missed frames.
+     *
+     * @param {'duplicate'|'dropped'} kind
+     * @param {number} count
+     * @fires ReadScheduler#frameskip
+     */
+    reportSkip(kind, count) {
+        const event = new CustomEvent('frameskip', {
+            detail: { kind, count, stats: { ...this.stats } }
+        });
+        this.dispatchEvent(event);
+    }
+
+    /**
+     * Resets the frame statistics.
+     */
+    resetStats() {
+        this.stats = { reads: 0, duplicates: 0, dropped: 0 };
+        this.lastFrame = { presentedFrames: null, mediaTime: null };
+    }
+
+    /**
+     * Starts scheduling reads.
+     */
+    start() {
+        this.running = true;
+        this.lastFrame = { presentedFrames: null, mediaTime: null };
+        if (this.worker) {
+            this.worker.postMessage({ command: 'readStart', interval: this.interval });
+        }
+    }
+
+    /**
+     * Reads the current frame once, whatever the mode.
+     */
+    step() {
+        this.tick(this.currentFrame());
+    }
+
+    /**
+     * Stops scheduling reads.
+     */
+    stop() {
+        this.running = false;
+        if (this.worker) {
+            this.worker.postMessage('readStop');
+        }
+    }
+
+    /**
+     * Handles a scheduled read, skipping it if the source hasn't presented a new frame.
+     *
+     * @param {FrameInfo} frame The frame the source is showing
+     * @fires ReadScheduler#read
+     * @fires ReadScheduler#frameskip
+     */
+    tick(frame) {
+        const { lastFrame, stats } = this;
+
+        if (frame.presentedFrames !== null && lastFrame.presentedFrames !== null) {
+            const presented = frame.presentedFrames - lastFrame.presentedFrames;
+            if (presented === 0) {
+                stats.duplicates++;
+                this.reportSkip('duplicate', 1);
+                return;
+            }
+            if (presented > 1) {
+                stats.dropped += presented - 1;
+                this.reportSkip('dropped', presented - 1);
+            }
+        } else if (frame.mediaTime !== null && frame.mediaTime === lastFrame.mediaTime) {
+            stats.duplicates++;
+            this.reportSkip('duplicate', 1);
+            return;
+        }
+
+        this.lastFrame = frame;
+        stats.reads++;
+        this.dispatchEvent(new CustomEvent('read', { detail: frame }));
+    }
+}
@@ -0,0 +1,1762 @@
+import { AlignmentTracker } from './AlignmentTracker.js';
+import { DisplayType } from './DisplayType.js';
+import { GlyphSet } from './GlyphSet.js';
+import { PixelClassifier } from './PixelClassifier.js';
+import { SegmentDisplayReaderConfiguration } from './SegmentDisplayReaderConfiguration.js';
+import { SegmentFilter } from './SegmentFilter.js';
+import { StabilityPolicy } from './StabilityPolicy.js';
+
+/** @typedef {import('./AlignmentTracker.js').AlignmentResult} AlignmentResult */
+/** @typedef {import('./DisplayType.js').DisplayTypeName} DisplayTypeName */
+/** @typedef {import('./DisplayType.js').SamplingOffset} SamplingOffset */
+/** @typedef {import('./PixelClassifier.js').PixelClassifierMode} PixelClassifierMode */
+/** @typedef {import('./StabilityPolicy.js').Confirmation} Confirmation */
+
+/**
+ * @typedef {Object} Pixel
+ * @property {number} r - Red component
+ * @property {number} g - Green component
+ * @property {number} b - Blue component
+ */
+
+/**
+ * Whether active segments are brighter than their surroundings, like LEDs, or darker, like
+ * reflective LCDs.
+ *
+ * @typedef {'lightOnDark'|'darkOnLight'} DisplayPolarity
+ */
+
+/** @typedef {Uint8Array} Bitmask - One byte per pixel, row by row, 1 where set */
+/** @typedef {Float32Array} GrayMap - One classified value per pixel, row by row, see {@link PixelClassifier} */
+
+/** @typedef {[number, number]} Coordinate */
+/** @typedef {Array<Coordinate>} CoordinateArray */
+/** @typedef {CoordinateArray} CA */
+
+/** @typedef {[CA, CA, CA, CA, CA, CA, CA, CA]} SevenSegmentDisplay */
+/** @typedef {SevenSegmentDisplay} SSD */
+
+/**
+ * The sampled pixels of every digit: one array per segment in mask bit order, then one for the
+ * decimal point, so eight for a seven-segment display.
+ *
+ * @typedef {Array<Array<CA>>} OutputDisplays
+ */
+
+/**
+ * A raw RGBA frame.  `ImageData` satisfies this shape, as does any plain object
+ * holding a `Uint8ClampedArray`/`Uint8Array` of `width * height * 4` bytes.
+ *
+ * @typedef {Object} Frame
+ * @property {number} width - The width of the frame in pixels
+ * @property {number} height - The height of the frame in pixels
+ * @property {Uint8ClampedArray|Uint8Array|Array<number>} data - RGBA pixel data, 4 bytes per pixel
+ */
+
+/**
+ * @typedef {Object} BoundingRect
+ * @property {number} x - The x coordinate of the rectangle's top-left corner
+ * @property {number} y - The y coordinate of the rectangle's top-left corner
+ * @property {number} width - The width of the rectangle
+ * @property {number} height - The height of the rectangle
+ */
+
+/**
+ * @typedef {Object} HoleComponent
+ * @property {CoordinateArray} pixels - The pixels that make up this hole
+ * @property {number?} centerX - The x coordinate of the hole's center
+ * @property {number?} centerY - The y coordinate of the hole's center
+ * @property {BoundingRect?} rect - The bounding rectangle of the hole
+ */
+
+/**
+ * Raw segment data for one digit.
+ *
+ * @typedef {Object} DigitReading
+ * @property {string} character - The character the digit decoded to
+ * @property {number} mask - The segment mask in the display type's segment order, for seven segment displays bit 0 is segment A through bit 6 for segment G
+ * @property {boolean} decimalPoint - Whether the decimal point is lit
+ * @property {Array<number>} litFractions - Fraction of sampled pixels found lit for each segment in mask order, then the decimal point
+ * @property {number} [blinkMask] - The segments found blinking, the bit after the last segment for the decimal point.  Only set by the `blink` segment filter,
+ * blinking segments are left out of `mask` and `decimalPoint`.
+ */
+
+/**
+ * @typedef {Object} Reading
+ * @property {string} value - The decoded display value
+ * @property {Array<DigitReading>} digits - Raw segment data for each digit, in reading order
+ * @property {number} ambientOffset - The ambient brightness offset applied to the frame
+ * @property {boolean} changed - Whether the value differs from the previous reading
+ * @property {boolean} confirmed - Whether this reading confirmed a value as stable output
+ * @property {Confirmation|null} confirmation - The confirmed value and how it was confirmed, when `confirmed` is set
+ * @property {AlignmentResult|null} [alignment] - What the alignment check on this frame did, when one was made and found the display had moved
+ */
+
+/**
+ * @typedef {Object} StillReading
+ * @property {string} value - The decoded display value
+ * @property {Array<DigitReading>} digits - Raw segment data for each digit, in reading order
+ * @property {number} ambientOffset - The ambient brightness offset applied to the frame
+ */
+
+/**
+ * A sampled pixel with the rounded reference values it is compared against: `[x, y, lit, unlit]`.
+ *
+ * @typedef {[number, number, number, number]} SampleEntry
+ */
+
+/**
+ * The lit and unlit references around one digit, row by row, rounded.  Alignment checks compare
+ * frames against them.
+ *
+ * @typedef {BoundingRect & { lit: Array<number>, unlit: Array<number> }} DigitBox
+ */
+
+/**
+ * Versioned, JSON-serializable snapshot of a calibration.  Only the pixels that are read once
+ * calibrated are stored, each with its reference values, which keeps the document small enough
+ * for `localStorage`.
+ *
+ * @typedef {Object} CalibrationDocument
+ * @property {number} version - The calibration format version
+ * @property {number} width - The width of the frames the calibration was taken from
+ * @property {number} height - The height of the frames the calibration was taken from
+ * @property {boolean} rotate180 - Whether the frames were rotated 180 degrees when captured
+ * @property {{
+ *     grayThreshold: number,
+ *     decimalPointFloodFillThreshold: number,
+ *     rowLayout: Array<number>,
+ *     pixelClassifier?: PixelClassifierMode,
+ *     ledColor?: Pixel|null,
+ *     polarity?: DisplayPolarity,
+ *     displayType?: DisplayTypeName
+ * }} configuration - The thresholds, digit layout, display type and pixel classifier used to calibrate, documents without a
+ * classifier used `average` and documents without a display type are seven segment
+ * @property {Array<Array<Array<SampleEntry>>>} segmentSamples - Sampled pixels for every segment of every digit
+ * @property {Array<[number, number, number]>} ambientSamples - Background pixels sampled for the ambient offset, as
+ * `[x, y, unlit]`
+ * @property {Array<DigitBox>} [digitBoxes] - The references around each digit, for checking alignment
+ */
+
+/** @typedef {'noContrast'|'thresholdTooHigh'|'outOfFocus'|'thresholdTooLow'|'layoutMismatch'} CalibrationCauseCode */
+
+/**
+ * @typedef {Object} CalibrationCause
+ * @property {CalibrationCauseCode} code - Identifies the cause
+ * @property {string} message - A suggestion for fixing it
+ */
+
+/**
+ * @typedef {Object} HoleSummary
+ * @property {number} centerX - The x coordinate of the hole's centroid
+ * @property {number} centerY - The y coordinate of the hole's centroid
+ * @property {number} size - The number of pixels in the hole
+ * @property {BoundingRect} rect - The bounding rectangle of the hole
+ * @property {number} digit - The digit the hole was clustered into, or -1 when there were too few holes to cluster
+ */
+
+/**
+ * What a calibration attempt found.
+ *
+ * @typedef {Object} CalibrationReport
+ * @property {boolean} success - Whether calibration succeeded
+ * @property {number} holeCount - The number of holes found
+ * @property {number} expectedHoleCount - The number of holes the row layout calls for, the display type's holes per digit
+ * @property {Array<HoleSummary>} holes - Every hole found, in scan order
+ * @property {Array<{ digit: number, holeCount: number }>} badDigits - Digits whose cluster doesn't hold the display type's holes per digit
+ * @property {number} noiseCount - Holes of 10 pixels or fewer that were discarded as noise
+ * @property {number} detectableFraction - Fraction of pixels that differed by more than the gray threshold
+ * @property {DisplayPolarity} polarity - Whether the segments lit up or darkened between the calibration frames
+ * @property {Array<CalibrationCause>} causes - Likely reasons for a failure, most likely first.  Empty on success.
+ */
+
+/**
+ * @typedef {Object} DecimalPointDiagnostics
+ * @property {Coordinate} origin - Where the decimal point flood fill started
+ * @property {CoordinateArray} pixels - The pixels the flood fill kept
+ */
+
+/**
+ * Intermediate results of the last calibration attempt, for drawing what the algorithm found.
+ *
+ * @typedef {Object} CalibrationDiagnostics
+ * @property {number} width - The width of the calibration frames
+ * @property {number} height - The height of the calibration frames
+ * @property {Bitmask} detectableMask - Pixels that differed by more than the gray threshold
+ * @property {Bitmask} backgroundMask - Pixels reached by the background flood fill from the edges
+ * @property {HoleComponent[]} holes - Every hole kept, with centers and bounding rectangles
+ * @property {HoleComponent[][]} clusters - The holes of each digit in reading order, empty if there were too few holes to cluster
+ * @property {Array<[Coordinate, Coordinate]>} samplingGuides - Lines showing where each digit's segments are sampled relative to its holes
+ * @property {Array<DecimalPointDiagnostics|null>} decimalPoints - The decimal point flood fill of each digit, `null` where it wasn't attempted
+ */
+
+/**
+ * @typedef {Object} CalibrationImportOptions
+ * @property {boolean} [rescale=false] Rescale a calibration taken at a different size instead of rejecting it
+ */
+
+/**
+ * The sampled pixels of one segment, laid out for reading frames without any per-pixel lookups.
+ *
+ * @typedef {Object} SegmentSampleTable
+ * @property {Int32Array} offsets - The byte offset of each pixel's red channel in a frame's data
+ * @property {Float32Array} midpoints - The gray value halfway between each pixel's lit and unlit reference
+ * @property {Int8Array} polarity - 1 where the lit reference is brighter, -1 where it is darker, 0 where they're equal
+ */
+
+const ERROR_STRINGS_US = {
+    badCalibrationDocument: 'Calibration document is missing or malformed.',
+    badCalibrationVersion: 'Calibration document version is not supported.',
+    calibrationDisplayTypeMismatch: 'Calibration document was captured for a different display type than the one configured.',
+    calibrationSampleOutsideFrame: 'Calibration document samples pixels outside the frame size it was captured at.',
+    calibrationSizeMismatch: 'Calibration document was captured at a different size than the current frames.',
+    notCalibrated: 'Cannot export a calibration before calibrating.'
+};
+
+/** @type {Record<CalibrationCauseCode, string>} */
+const CALIBRATION_CAUSES_US = {
+    noContrast: 'Almost no pixels changed between the calibration images.  Make sure every segment is lit in one image and dark in the other.',
+    thresholdTooHigh: 'Fewer holes were found than expected.  The gray threshold may be too high for the lit segments to close around their holes.',
+    outOfFocus: 'Some holes were too small to keep.  The image may be out of focus, or the display too far from the camera.',
+    thresholdTooLow: 'More holes were found than expected.  The gray threshold may be too low, letting noise or glare form extra holes.',
+    layoutMismatch: 'The holes found do not fit the digit layout.  Check that the row layout matches the display and that the display is not tilted.'
+};
+
+/** The current {@link CalibrationDocument} format version. */
+const CALIBRATION_VERSION = 1;
+
+/** How far a digit's box reaches past its outermost samples, to take in the edges of its segments. */
+const DIGIT_BOX_MARGIN = 4;
+
+/**
+ * The spacing of the background pixels sampled for the ambient offset along one axis, which
+ * keeps it to about 40 pixels whatever the frame size.
+ *
+ * @param {number} size The width or height of the frame
+ * @returns {number}
+ */
+function ambientStep(size) {
+    return Math.max(1, Math.floor(size / 40));
+}
+
+/**
+ * Checks an entry of a calibration document's sample tables: an `[x, y]` pixel followed by its
+ * reference values.
+ *
+ * @param {any} entry
+ * @param {number} valueCount How many reference values follow the pixel
+ * @param {number} width The width of the frames the document was captured at
+ * @param {number} height The height of the frames the document was captured at
+ * @throws {Error} When the entry is malformed or its pixel lies outside the frame
+ */
+function validateSampleEntry(entry, valueCount, width, height) {
+    if (!Array.isArray(entry) || entry.length !== valueCount + 2 || !entry.every((value) => {
+        return Number.isFinite(value);
+    }) || !Number.isInteger(entry[0]) || !Number.isInteger(entry[1])) {
+        throw new Error(ERROR_STRINGS_US.badCalibrationDocument);
+    }
+    const [x, y] = entry;
+    if (x < 0 || y < 0 || x >= width || y >= height) {
+        throw new Error(ERROR_STRINGS_US.calibrationSampleOutsideFrame);
+    }
+}
+
+/**
+ * Checks a digit box of a calibration document: a rectangle inside the frame with a reference
+ * value for each of its pixels.
+ *
+ * @param {any} box
+ * @param {number} width The width of the frames the document was captured at
+ * @param {number} height The height of the frames the document was captured at
+ * @throws {Error} When the box is malformed or reaches outside the frame
+ */
+function validateDigitBox(box, width, height) {
+    if (!box || typeof box !== 'object' || ![box.x, box.y, box.width, box.height].every(Number.isInteger)
+        || box.width < 1 || box.height < 1
+        || ![box.lit, box.unlit].every((values) => {
+            return Array.isArray(values) && values.length === box.width * box.height && values.every((value) => {
+                return Number.isFinite(value);
+            });
+        })
+    ) {
+        throw new Error(ERROR_STRINGS_US.badCalibrationDocument);
+    }
+    if (box.x < 0 || box.y < 0 || box.x + box.width > width || box.y + box.height > height) {
+        throw new Error(ERROR_STRINGS_US.calibrationSampleOutsideFrame);
+    }
+}
+
+/**
+ * Moves the contents of a map, repeating the edge pixels into the space uncovered.
+ *
+ * @template {Uint8Array|Float32Array} T
+ * @param {T} map
+ * @param {number} width
+ * @param {number} height
+ * @param {number} dx How far to move the contents right
+ * @param {number} dy How far to move the contents down
+ * @returns {T}
+ */
+function shiftMap(map, width, height, dx, dy) {
+    const shifted = /** @type {T} */ (map.slice());
+    for (let y = 0; y < height; y++) {
+        const sourceRow = Math.min(height - 1, Math.max(0, y - dy)) * width;
+        for (let x = 0; x < width; x++) {
+            shifted[y * width + x] = map[sourceRow + Math.min(width - 1, Math.max(0, x - dx))];
+        }
+    }
+    return shifted;
+}
+
+/**
+ * Flood fills outward from a set of seed coordinates through every 8-connected pixel that passes
+ * a test.  The seeds themselves are only included if a neighbour reaches them, and may lie
+ * outside the frame.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {CoordinateArray} seeds
+ * @param {(index: number) => boolean} test Decides whether the pixel at a flat index is filled
+ * @returns {Bitmask}
+ */
+function floodFill(width, height, seeds, test) {
+    const pixelCount = width * height;
+    const mask = new Uint8Array(pixelCount);
+    const visited = new Uint8Array(pixelCount);
+    // Every pixel is queued at most once, so a fixed size queue never overflows
+    const queue = new Int32Array(pixelCount);
+    let head = 0;
+    let tail = 0;
+
+    /**
+     * Tests and queues the unvisited neighbours of a pixel.
+     *
+     * @param {number} x
+     * @param {number} y
+     */
+    const visitNeighbours = (x, y) => {
+        for (let ny = Math.max(y - 1, 0); ny <= Math.min(y + 1, height - 1); ny++) {
+            for (let nx = Math.max(x - 1, 0); nx <= Math.min(x + 1, width - 1); nx++) {
+                const index = ny * width + nx;
+                if (!visited[index] && (nx !== x || ny !== y)) {
+                    visited[index] = 1;
+                    if (test(index)) {
+                        mask[index] = 1;
+                        queue[tail++] = index;
+                    }
+                }
+            }
+        }
+    };
+
+    seeds.forEach(([x, y]) => {
+        visitNeighbours(x, y);
+    });
+    while (head < tail) {
+        const index = queue[head++];
+        const x = index % width;
+        visitNeighbours(x, (index - x) / width);
+    }
+    return mask;
+}
+
+/**
+ * Creates an empty set of segment samples.
+ *
+ * @param {number} digitCount The number of digits to create samples for
+ * @param {number} [segmentCount=7] The number of segments in a digit, not counting the decimal point
+ * @returns {OutputDisplays}
+ */
+function createSegmentSamples(digitCount, segmentCount = 7) {
+    return Array.from({ length: digitCount }, () => {
+        return Array.from({ length: segmentCount + 1 }, () => {
+            return [];
+        });
+    });
+}
+
+/**
+ * @class SegmentDisplayEngine
+ * @description DOM-free calibration and decoding core.  Works on raw RGBA frames so it
+ * can run in the browser, in a worker or in Node.  {@link SegmentDisplayReader} is a
+ * thin adapter that feeds it frames captured from a video element.
+ */
+export class SegmentDisplayEngine {
+    /**
+     * The current calibration document format version.
+     * @type {number}
+     */
+    static calibrationVersion = CALIBRATION_VERSION;
+
+    /**
+     * Mapping of 7-segment bitmask to characters used by the default ET-3400 glyph set.
+     * @type {Object<number, string>}
+     */
+    static charMap = GlyphSet.et3400CharMap;
+
+    /**
+     * Where each segment is sampled relative to the holes of its digit.
+     * @type {Array<SamplingOffset>}
+     */
+    static samplingOffsets = /** @type {Array<SamplingOffset>} */ (DisplayType.sevenSegment().samplingOffsets);
+
+    /**
+     * Creates a new SegmentDisplayEngine instance.
+     *
+     * @param {SegmentDisplayReaderConfiguration} [configuration] The configuration to read thresholds from
+     * @param {number} [width=0] The width of the frames that will be analyzed
+     * @param {number} [height=0] The height of the frames that will be analyzed
+     */
+    constructor(configuration = new SegmentDisplayReaderConfiguration(), width = 0, height = 0) {
+        if (!(configuration instanceof SegmentDisplayReaderConfiguration)) {
+            console.warn('Invalid configuration object provided, using default configuration.');
+            configuration = new SegmentDisplayReaderConfiguration();
+        }
+        this.configuration = configuration;
+        this.grayThreshold = configuration.grayThreshold;
+        this.floodFillDpThreshold = configuration.decimalPointFloodFillThreshold;
+        /** The number of digits on each row, top row first. */
+        this.rowLayout = configuration.rowLayout;
+        /** The kind of display read: its segments, holes and how they are sampled. */
+        this.displayType = DisplayType.named(configuration.displayType);
+        /** Turns segment masks into characters. */
+        this.glyphSet = configuration.glyphSet;
+        /** Turns pixel colors into the values compared with the calibration references. */
+        this.pixelClassifier = new PixelClassifier(configuration.pixelClassifier);
+
+        this.width = width;
+        this.height = height;
+
+        /** @type {string|null} */
+        this.lastDisplay = null;
+        this.calibrated = false;
+        /**
+         * What the last calibration attempt found, kept after a failure so it can be inspected.
+         * @type {CalibrationReport|null}
+         */
+        this.calibrationReport = null;
+        /**
+         * Intermediate results of the last calibration attempt, also kept after a failure.
+         * @type {CalibrationDiagnostics|null}
+         */
+        this.calibrationDiagnostics = null;
+        /**
+         * Whether the calibrated display's segments are light on dark or dark on light.
+         * @type {DisplayPolarity}
+         */
+        this.polarity = configuration.polarity === 'darkOnLight' ? 'darkOnLight' : 'lightOnDark';
+        /** Decides when readings are stable enough to confirm. */
+        this.stability = new StabilityPolicy(
+            configuration.confirmationStrategy,
+            configuration.confirmationFrames,
+            configuration.confirmationWindow
+        );
+        /** Steadies segment states across frames before they are decoded. */
+        this.segmentFilter = new SegmentFilter({
+            mode: configuration.segmentFilter,
+            attack: configuration.segmentAttack,
+            decay: configuration.segmentDecay,
+            blinkWindow: configuration.blinkWindow
+        });
+
+        /** @type {OutputDisplays} */
+        this.segmentSamples = createSegmentSamples(this.digitCount, this.displayType.decimalPointIndex);
+
+        const pixelCount = width * height;
+        /** @type {GrayMap} */
+        this.grayArray = new Float32Array(pixelCount);
+        /** @type {GrayMap} */
+        this.litReference = new Float32Array(pixelCount);
+        /** @type {GrayMap} */
+        this.unlitReference = new Float32Array(pixelCount);
+        /** @type {Bitmask} */
+        this.backgroundMask = new Uint8Array(pixelCount);
+        /**
+         * {@link segmentSamples} laid out for reading, rebuilt whenever the samples change.
+         * @type {Array<Array<SegmentSampleTable>>|null}
+         */
+        this.sampleTables = null;
+        /** Notices when the display moves after calibration, see {@link checkAlignment}. */
+        this.alignment = new AlignmentTracker({
+            interval: configuration.alignmentCheckInterval,
+            maxShift: configuration.maxAlignmentShift
+        });
+    }
+
+    /**
+     * The area around each digit's samples, with a margin for the edges of its segments.  Digits
+     * without samples are left out.
+     * @type {Array<BoundingRect>}
+     */
+    get digitBounds() {
+        const { width, height } = this;
+        /** @type {Array<BoundingRect>} */
+        const bounds = [];
+        this.segmentSamples.forEach((digitSegments) => {
+            const pixels = digitSegments.flat();
+            if (!pixels.length) {
+                return;
+            }
+            const left = Math.max(0, Math.min(...pixels.map(([x]) => {
+                return x;
+            })) - DIGIT_BOX_MARGIN);
+            const top = Math.max(0, Math.min(...pixels.map(([, y]) => {
+                return y;
+            })) - DIGIT_BOX_MARGIN);
+            const right = Math.min(width - 1, Math.max(...pixels.map(([x]) => {
+                return x;
+            })) + DIGIT_BOX_MARGIN);
+            const bottom = Math.min(height - 1, Math.max(...pixels.map(([, y]) => {
+                return y;
+            })) + DIGIT_BOX_MARGIN);
+            bounds.push({ x: left, y: top, width: right - left + 1, height: bottom - top + 1 });
+        });
+        return bounds;
+    }
+
+    /**
+     * The total number of digits across all rows.
+     */
+    get digitCount() {
+        return this.rowLayout.reduce((sum, count) => {
+            return sum + count;
+        }, 0);
+    }
+
+    /**
+     * Mirrors an alignment check made by another engine with the same calibration, such as the
+     * analysis worker's.
+     *
+     * @param {AlignmentResult} result
+     */
+    applyAlignment({ status, dx, dy, segmentSamples }) {
+        this.alignment.misaligned = status === 'misaligned';
+        if (status === 'shifted') {
+            this.shiftCalibration(dx, dy);
+            if (segmentSamples) {
+                this.segmentSamples = segmentSamples;
+            }
+        }
+    }
+
+    /**
+     * Calibrates from a pair of frames, one with every segment lit and one with every
+     * segment dark.  The order of the frames does not matter.
+     *
+     * @param {Frame} imageA
+     * @param {Frame} imageB
+     * @returns {boolean} Whether calibration succeeded
+     */
+    calibrate(imageA, imageB) {
+        const [litImage, unlitImage] = this.getOrderedCalibrationImages(imageA, imageB);
+        const success = this.determineLocations(litImage, unlitImage);
+        this.calibrated = success;
+        return success;
+    }
+
+    /**
+     * Checks every few frames whether the display is still where it was calibrated.  When it has
+     * moved by up to `maxAlignmentShift` pixels the calibration follows it and the samples are
+     * refined against the frame; when it has moved further the engine is left as it is and
+     * reported misaligned until it lines up again or is recalibrated.
+     *
+     * @param {Frame} currentData
+     * @returns {AlignmentResult|null} What the check did, `null` when there was no check or nothing to do
+     */
+    checkAlignment(currentData) {
+        if (!this.calibrated) {
+            return null;
+        }
+        const result = this.alignment.push(this, currentData);
+        if (result?.status === 'shifted') {
+            this.shiftCalibration(result.dx, result.dy);
+            // Drop the pixels that a fraction of a pixel of movement left on a segment's edge
+            this.refine(currentData);
+        }
+        return result;
+    }
+
+    /**
+     * Summarizes what a calibration attempt found and suggests likely causes when it failed.
+     *
+     * @param {HoleComponent[]} holeComponents Every hole found, with centers computed
+     * @param {HoleComponent[][]} groups The holes of each digit, empty if the holes weren't clustered
+     * @param {Bitmask} detectableMask Pixels that differed by more than the gray threshold
+     * @param {number} noiseCount The number of holes discarded as noise
+     * @returns {CalibrationReport}
+     */
+    createCalibrationReport(holeComponents, groups, detectableMask, noiseCount) {
+        const holesPerDigit = this.displayType.holeCount;
+        const expectedHoleCount = this.digitCount * holesPerDigit;
+        const holeCount = holeComponents.length;
+
+        /** @type {Map<HoleComponent, number>} */
+        const digitOf = new Map();
+        /** @type {Array<{ digit: number, holeCount: number }>} */
+        const badDigits = [];
+        groups.forEach((group, digit) => {
+            group.forEach((hole) => {
+                digitOf.set(hole, digit);
+            });
+            if (group.length !== holesPerDigit) {
+                badDigits.push({ digit, holeCount: group.length });
+            }
+        });
+
+        /** @type {Array<HoleSummary>} */
+        const holes = holeComponents.map((component) => {
+            return {
+                centerX: component.centerX ?? 0,
+                centerY: component.centerY ?? 0,
+                size: component.pixels.length,
+                rect: component.rect ?? { x: 0, y: 0, width: 0, height: 0 },
+                digit: digitOf.get(component) ?? -1
+            };
+        });
+
+        let detectableCount = 0;
+        const pixelCount = detectableMask.length;
+        for (let index = 0; index < pixelCount; index++) {
+            detectableCount += detectableMask[index];
+        }
+        const detectableFraction = pixelCount ? detectableCount / pixelCount : 0;
+
+        const success = holeCount === expectedHoleCount && badDigits.length === 0;
+        /** @type {Array<CalibrationCauseCode>} */
+        const causeCodes = [];
+        if (!success) {
+            if (detectableFraction < 0.001) {
+                causeCodes.push('noContrast');
+            }
+            if (holeCount < expectedHoleCount) {
+                causeCodes.push('thresholdTooHigh');
+                if (noiseCount > 0) {
+                    causeCodes.push('outOfFocus');
+                }
+            } else if (holeCount > expectedHoleCount) {
+                causeCodes.push('thresholdTooLow');
+            }
+            // A whole number of digits' holes that's still wrong may be a display with a different number of digits
+            if (badDigits.length || (holeCount > 0 && holeCount % holesPerDigit === 0)) {
+                causeCodes.push('layoutMismatch');
+            }
+        }
+
+        return {
+            success,
+            holeCount,
+            expectedHoleCount,
+            holes,
+            badDigits,
+            noiseCount,
+            detectableFraction,
+            polarity: this.polarity,
+            causes: causeCodes.map((code) => {
+                return { code, message: CALIBRATION_CAUSES_US[code] };
+            })
+        };
+    }
+
+    /**
+     * Lays out the segment samples for reading: the byte offset of every sampled pixel and the
+     * gray value that separates its lit and unlit references, so reading a frame is a single
+     * pass over each segment's pixels.
+     *
+     * @returns {Array<Array<SegmentSampleTable>>}
+     */
+    createSampleTables() {
+        const { width, litReference, unlitReference } = this;
+        return this.segmentSamples.map((digitSegments) => {
+            return digitSegments.map((pixels) => {
+                const pixelCount = pixels.length;
+                const offsets = new Int32Array(pixelCount);
+                const midpoints = new Float32Array(pixelCount);
+                const polarity = new Int8Array(pixelCount);
+                for (let pixelIndex = 0; pixelIndex < pixelCount; pixelIndex++) {
+                    const [x, y] = pixels[pixelIndex];
+                    const index = y * width + x;
+                    const litGray = litReference[index] ?? 0;
+                    const unlitGray = unlitReference[index] ?? 0;
+                    offsets[pixelIndex] = index * 4;
+                    midpoints[pixelIndex] = (litGray + unlitGray) / 2;
+                    polarity[pixelIndex] = Math.sign(litGray - unlitGray);
+                }
+                return { offsets, midpoints, polarity };
+            });
+        });
+    }
+
+    /**
+     * Turns the segment states of every digit into a display value and tracks how long the value
+     * has been stable.  {@link readDisplays} calls this after sampling a frame, sources that
+     * know their segment states directly can call it instead.  The segment filter runs first, and
+     * segments it finds blinking are left out of the value that is confirmed.
+     *
+     * @param {Array<DigitReading>} digits The digits in reading order, their states are filtered and their characters filled in
+     * @param {number} [ambientOffset=0] The ambient brightness offset applied when sampling, if any
+     * @returns {Reading}
+     */
+    decodeDigits(digits, ambientOffset = 0) {
+        this.segmentFilter.push(digits);
+        const result = this.formatValue(digits);
+        const changed = this.lastDisplay !== result;
+        this.lastDisplay = result;
+        const confirmation = this.stability.push(result, digits);
+
+        return {
+            value: result,
+            digits,
+            ambientOffset,
+            changed,
+            confirmed: confirmation !== null,
+            confirmation
+        };
+    }
+
+    /**
+     * Decodes a single frame, such as a still photo, without affecting change tracking or
+     * confirmation of the live readings.
+     *
+     * @param {Frame} currentData The frame to decode
+     * @returns {StillReading}
+     */
+    decodeFrame(currentData) {
+        const { digits, ambientOffset } = this.sampleDigits(currentData);
+        return { value: this.formatValue(digits), digits, ambientOffset };
+    }
+
+    /**
+     * Attempts to determine the locations of segments by analyzing calibration images.
+     *
+     * @param {Frame} litImage The frame with every segment lit
+     * @param {Frame} unlitImage The frame with every segment dark
+     * @returns {boolean} Whether calibration succeeded, details are left in {@link calibrationReport}
+     */
+    determineLocations(litImage, unlitImage) {
+        const { grayThreshold } = this;
+        this.width = litImage.width;
+        this.height = litImage.height;
+        const { height, width } = this;
+
+        // Reset calibration references to match the current frame size
+        const pixelCount = width * height;
+        this.grayArray = new Float32Array(pixelCount);
+        this.litReference = new Float32Array(pixelCount);
+        this.unlitReference = new Float32Array(pixelCount);
+        // Recalibrating must not sample the previous calibration's positions as well
+        this.segmentSamples = createSegmentSamples(this.digitCount, this.displayType.decimalPointIndex);
+        this.sampleTables = null;
+        this.alignment.reset();
+        this.segmentFilter.reset();
+        const { grayArray, litReference, unlitReference } = this;
+
+        // Start over from the configured classifier, an imported calibration may have brought another
+        const pixelClassifier = new PixelClassifier(this.configuration.pixelClassifier);
+        pixelClassifier.sampleLedColor(litImage, unlitImage, grayThreshold);
+        this.pixelClassifier = pixelClassifier;
+
+        /** @type {Bitmask} */
+        const detectableMask = new Uint8Array(pixelCount);
+        const litData = litImage.data;
+        const unlitData = unlitImage.data;
+
+        // For every pixel, compare its brightness in the "all on" vs "all off" images
+        // If its brightness is over a certain threshold, we mark it as "detectable"
+        let brightening = 0;
+        for (let index = 0, offset = 0; index < pixelCount; index++, offset += 4) {
+            const onGray = pixelClassifier.valueAt(litData, offset);
+            const offGray = pixelClassifier.valueAt(unlitData, offset);
+            const difference = Math.abs(onGray - offGray);
+            litReference[index] = onGray;
+            unlitReference[index] = offGray;
+            grayArray[index] = difference;
+            if (difference > grayThreshold) {
+                detectableMask[index] = 1;
+                brightening += litData[offset] + litData[offset + 1] + litData[offset + 2]
+                    - unlitData[offset] - unlitData[offset + 1] - unlitData[offset + 2];
+            }
+        }
+        this.polarity = brightening < 0 ? 'darkOnLight' : 'lightOnDark';
+
+        // The way the "background" pixels work is that we flood fill from the top-left corner
+        // to find all connected pixels that are not detectable.  This will give us a bitmask of
+        // all pixels that are outside the digits and leave us with only the unchanged pixels that
+        // are "inside" the digits (the "holes").  Only the difference counts, so this works the
+        // same for segments that light up and segments that darken.
+        const backgroundMask = floodFill(width, height, [[0, 0]], (index) => {
+            return detectableMask[index] === 0;
+        });
+        this.backgroundMask = backgroundMask;
+        const { holeComponents, noiseCount } = this.findHoleComponents(detectableMask, backgroundMask);
+
+        // Find the center and bounding rectangle for each hole
+        holeComponents.forEach((component) => {
+            const pixelCount = component.pixels.length;
+            let sumX = 0;
+            let sumY = 0;
+            let leftX = Infinity;
+            let topY = Infinity;
+            let rightX = 0;
+            let bottomY = 0;
+
+            for (let pixelIndex = 0; pixelIndex < pixelCount; pixelIndex++) {
+                const [x, y] = component.pixels[pixelIndex];
+                sumX += x;
+                sumY += y;
+                leftX = Math.min(leftX, x);
+                topY = Math.min(topY, y);
+                rightX = Math.max(rightX, x);
+                bottomY = Math.max(bottomY, y);
+            }
+
+            // Calculate the center by finding the average position
+            component.centerX = sumX / pixelCount;
+            component.centerY = sumY / pixelCount;
+            component.rect = {
+                x: leftX,
+                y: topY,
+                width: rightX - leftX + 1,
+                height: bottomY - topY + 1
+            };
+        });
+
+        // Every digit has the display type's holes, two for seven segments.  Holes are only
+        // clustered when there are enough of them to seed every digit, any other count means
+        // calibration failed.
+        const expectedHoleCount = this.digitCount * this.displayType.holeCount;
+        const groupObjects = holeComponents.length >= expectedHoleCount
+            ? this.groupHolesByDigit(holeComponents)
+            : [];
+        const report = this.createCalibrationReport(holeComponents, groupObjects, detectableMask, noiseCount);
+        /** @type {Array<DecimalPointDiagnostics|null>} */
+        const decimalPoints = new Array(groupObjects.length).fill(null);
+        /** @type {Array<[Coordinate, Coordinate]>} */
+        const samplingGuides = [];
+        /** @type {CalibrationDiagnostics} */
+        const diagnostics = {
+            width,
+            height,
+            detectableMask,
+            backgroundMask,
+            holes: holeComponents,
+            clusters: groupObjects,
+            samplingGuides,
+            decimalPoints
+        };
+        if (!report.success) {
+            this.reset();
+            this.calibrationReport = report;
+            this.calibrationDiagnostics = diagnostics;
+            return false;
+        }
+        this.calibrationReport = report;
+        this.calibrationDiagnostics = diagnostics;
+
+        // Use the holes to find segment pixels for each digit
+        const { displayType } = this;
+        const { decimalPointIndex } = displayType;
+        groupObjects.forEach((group, digit) => {
+            // Get the segment storage for this digit
+            /** @type {Array<CoordinateArray>} */
+            const segments = this.segmentSamples[digit];
+
+            /**
+             * Adds a pixel to the specified segment if it's a detectable pixel.
+             *
+             * @param {number} index Segment index, in mask bit order
+             * @param {number} x
+             * @param {number} y
+             */
+            const addToSeg = (index, x, y) => {
+                if (x > -1
+                    && x < width
+                    && y > -1
+                    && y < height
+                    && detectableMask[y * width + x] === 1
+                ) {
+                    segments[index].push([x, y]);
+                }
+            };
+
+            // Sample segments around the holes
+            displayType.sampleDigit(group, addToSeg);
+            samplingGuides.push(...displayType.samplingGuides(group));
+
+            // Display types that know where their decimal point sits are flood filled from there
+            const origin = displayType.decimalPointOrigin(group);
+            if (origin) {
+                const dpPixels = this.floodFillDecimalPoint(origin[0], origin[1]);
+                segments[decimalPointIndex] = dpPixels;
+                decimalPoints[digit] = { origin, pixels: dpPixels };
+                return;
+            }
+
+            // Otherwise find the decimal point by locating the rightmost and bottommost pixels
+            // from the segment samples, then finding their intersection and flood filling from there
+            let rightmostX = -1;
+            let bottommostY = -1;
+
+            // Go through all segments but the decimal point to find rightmost and bottommost pixels
+            for (let segmentIndex = 0; segmentIndex < decimalPointIndex; segmentIndex++) {
+                const segmentPixels = segments[segmentIndex];
+                const segmentPixelCount = segmentPixels.length;
+                for (let pixelIndex = 0; pixelIndex < segmentPixelCount; pixelIndex++) {
+                    const [px, py] = segmentPixels[pixelIndex];
+                    if (px > rightmostX) {
+                        rightmostX = px;
+                    }
+                    if (py > bottommostY) {
+                        bottommostY = py;
+                    }
+                }
+            }
+
+            // Find the intersection point
+            if (rightmostX !== -1 && bottommostY !== -1) {
+                // The intersection is where a line going down from rightmost meets a line going right from bottommost
+                const dpPixels = this.floodFillDecimalPoint(rightmostX + 2, bottommostY + 2);
+                segments[decimalPointIndex] = dpPixels;
+                decimalPoints[digit] = { origin: [rightmostX + 2, bottommostY + 2], pixels: dpPixels };
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Estimate a consistent brightness offset between the calibration images and the current frame.
+     * Samples background pixels so we can normalize frames shot in brighter or darker conditions.
+     *
+     * @param {Frame} currentData
+     * @param {number} [dx=0] Where to sample the frame relative to the calibration, for a display that moved right
+     * @param {number} [dy=0] Where to sample the frame relative to the calibration, for a display that moved down
+     * @returns {number} The estimated brightness offset in classified units between the calibration images and the current frame.
+     */
+    estimateAmbientOffset(currentData, dx = 0, dy = 0) {
+        const { backgroundMask, pixelClassifier, unlitReference, width, height } = this;
+        if (!backgroundMask.length) {
+            return 0;
+        }
+
+        const { data } = currentData;
+        // Keep the sampling light so it can run each frame without impacting performance.
+        const stepY = ambientStep(height);
+        const stepX = ambientStep(width);
+        let sum = 0;
+        let count = 0;
+
+        for (let y = 0; y < height; y += stepY) {
+            for (let x = 0; x < width; x += stepX) {
+                const index = y * width + x;
+                const frameX = x + dx;
+                const frameY = y + dy;
+                if (backgroundMask[index] && frameX >= 0 && frameY >= 0 && frameX < width && frameY < height) {
+                    const offset = (frameY * width + frameX) * 4;
+                    sum += pixelClassifier.valueAt(data, offset) - unlitReference[index];
+                    count++;
+                }
+            }
+        }
+
+        if (count === 0) {
+            return 0;
+        }
+
+        return sum / count;
+    }
+
+    /**
+     * Serializes the current calibration so it can be restored later with {@link importCalibration}.
+     * Only the segment samples, the background pixels sampled for the ambient offset and the area
+     * around each digit are kept, with their reference values.
+     *
+     * @returns {CalibrationDocument}
+     */
+    exportCalibration() {
+        if (!this.calibrated) {
+            throw new Error(ERROR_STRINGS_US.notCalibrated);
+        }
+        const { width, height } = this;
+        /** @type {Array<[number, number, number]>} */
+        const ambientSamples = [];
+        for (let y = 0; y < height; y += ambientStep(height)) {
+            for (let x = 0; x < width; x += ambientStep(width)) {
+                const index = y * width + x;
+                if (this.backgroundMask[index]) {
+                    ambientSamples.push([x, y, Math.round(this.unlitReference[index])]);
+                }
+            }
+        }
+        return {
+            version: CALIBRATION_VERSION,
+            width: this.width,
+            height: this.height,
+            rotate180: this.configuration.rotate180,
+            configuration: {
+                grayThreshold: this.grayThreshold,
+                decimalPointFloodFillThreshold: this.floodFillDpThreshold,
+                rowLayout: this.rowLayout,
+                pixelClassifier: this.pixelClassifier.mode,
+                ledColor: this.pixelClassifier.ledColor,
+                polarity: this.polarity,
+                displayType: this.displayType.name
+            },
+            segmentSamples: this.segmentSamples.map((digitSegments) => {
+                return digitSegments.map((pixels) => {
+                    return pixels.map(([x, y]) => {
+                        const index = y * width + x;
+                        /** @type {SampleEntry} */
+                        const entry = [x, y, Math.round(this.litReference[index]), Math.round(this.unlitReference[index])];
+                        return entry;
+                    });
+                });
+            }),
+            ambientSamples,
+            digitBoxes: this.digitBounds.map((rect) => {
+                /** @type {DigitBox} */
+                const box = { ...rect, lit: [], unlit: [] };
+                for (let y = rect.y; y < rect.y + rect.height; y++) {
+                    for (let x = rect.x; x < rect.x + rect.width; x++) {
+                        box.lit.push(Math.round(this.litReference[y * width + x]));
+                        box.unlit.push(Math.round(this.unlitReference[y * width + x]));
+                    }
+                }
+                return box;
+            })
+        };
+    }
+
+    /**
+     * Tells which of two calibration frames has its segments active, whatever their polarity.
+     * Inactive segments look much like the display around them, active ones stand out from it,
+     * either lighter or darker.  The display is taken to be the bounding box of the pixels that
+     * changed between the frames, and the unchanged pixels in it are its surroundings.
+     *
+     * @param {Frame} imageA
+     * @param {Frame} imageB
+     * @returns {Frame|null} The frame with the active segments, `null` when too little changed to tell
+     */
+    findActiveImage(imageA, imageB) {
+        const { grayThreshold } = this;
+        const { width } = imageA;
+        // An LED color hasn't been sampled yet, so `ledColor` compares plain brightness here
+        const pixelClassifier = new PixelClassifier(this.configuration.pixelClassifier);
+        const aData = imageA.data;
+        const bData = imageB.data;
+        const pixelCount = Math.min(aData.length, bData.length) / 4;
+
+        /** @type {Bitmask} */
+        const changedMask = new Uint8Array(pixelCount);
+        let changedA = 0;
+        let changedB = 0;
+        let changedCount = 0;
+        let left = width;
+        let top = Infinity;
+        let right = -1;
+        let bottom = -1;
+        for (let index = 0, offset = 0; index < pixelCount; index++, offset += 4) {
+            const valueA = pixelClassifier.valueAt(aData, offset);
+            const valueB = pixelClassifier.valueAt(bData, offset);
+            if (Math.abs(valueA - valueB) > grayThreshold) {
+                changedMask[index] = 1;
+                changedA += valueA;
+                changedB += valueB;
+                changedCount++;
+                const x = index % width;
+                const y = (index - x) / width;
+                left = Math.min(left, x);
+                top = Math.min(top, y);
+                right = Math.max(right, x);
+                bottom = Math.max(bottom, y);
+            }
+        }
+        if (changedCount === 0) {
+            return null;
+        }
+
+        let surroundings = 0;
+        let surroundingCount = 0;
+        for (let y = top; y <= bottom; y++) {
+            for (let x = left; x <= right; x++) {
+                const index = y * width + x;
+                if (!changedMask[index]) {
+                    surroundings += (pixelClassifier.valueAt(aData, index * 4) + pixelClassifier.valueAt(bData, index * 4)) / 2;
+                    surroundingCount++;
+                }
+            }
+        }
+        if (surroundingCount === 0) {
+            return null;
+        }
+
+        surroundings /= surroundingCount;
+        const contrastA = Math.abs(changedA / changedCount - surroundings);
+        const contrastB = Math.abs(changedB / changedCount - surroundings);
+        if (contrastA === contrastB) {
+            return null;
+        }
+        return contrastA > contrastB ? imageA : imageB;
+    }
+
+    /**
+     * Labels the holes: 8-connected groups of pixels that are neither detectable nor background.
+     * Holes of 10 pixels or fewer are discarded as noise.
+     *
+     * @param {Bitmask} detectableMask
+     * @param {Bitmask} backgroundMask
+     * @returns {{ holeComponents: HoleComponent[], noiseCount: number }} The holes in scan order, with their pixels in scan order
+     */
+    findHoleComponents(detectableMask, backgroundMask) {
+        const { width, height } = this;
+        const pixelCount = width * height;
+        const visited = new Uint8Array(pixelCount);
+        // Holes are filled one at a time, so they can share a queue
+        const queue = new Int32Array(pixelCount);
+        /** @type {HoleComponent[]} */
+        const holeComponents = [];
+        let noiseCount = 0;
+
+        /** @param {number} index */
+        const isHole = (index) => {
+            return detectableMask[index] === 0 && backgroundMask[index] === 0;
+        };
+
+        // Check every pixel in our image
+        for (let start = 0; start < pixelCount; start++) {
+            if (visited[start] || !isHole(start)) {
+                continue;
+            }
+
+            // Found a hole, map out its shape
+            let head = 0;
+            let tail = 0;
+            visited[start] = 1;
+            queue[tail++] = start;
+            while (head < tail) {
+                const index = queue[head++];
+                const x = index % width;
+                const y = (index - x) / width;
+                for (let ny = Math.max(y - 1, 0); ny <= Math.min(y + 1, height - 1); ny++) {
+                    for (let nx = Math.max(x - 1, 0); nx <= Math.min(x + 1, width - 1); nx++) {
+                        const neighbour = ny * width + nx;
+                        if (!visited[neighbour] && isHole(neighbour)) {
+                            visited[neighbour] = 1;
+                            queue[tail++] = neighbour;
+                        }
+                    }
+                }
+            }
+
+            // Filter out noise - 10 is an arbitrary threshold
+            if (tail > 10) {
+                const indices = queue.slice(0, tail).sort();
+                holeComponents.push({
+                    pixels: Array.from(indices, (index) => {
+                        return /** @type {Coordinate} */ ([index % width, Math.floor(index / width)]);
+                    }),
+                    centerX: null,
+                    centerY: null,
+                    rect: null
+                });
+            } else {
+                noiseCount++;
+            }
+        }
+        return { holeComponents, noiseCount };
+    }
+
+    /**
+     * Flood fill to find decimal point pixels, following the lit/unlit differences the pixel
+     * classifier measured during calibration.
+     *
+     * @param {number} startX - Starting x coordinate
+     * @param {number} startY - Starting y coordinate
+     * @returns {CoordinateArray} Array of [x, y] coordinates for decimal point pixels
+     */
+    floodFillDecimalPoint(startX, startY) {
+        const { grayArray, width, height } = this;
+        const mask = floodFill(width, height, [[startX, startY]], (index) => {
+            return grayArray[index] > this.floodFillDpThreshold;
+        });
+
+        // Sometimes, especially when camera lens is blurry, the dp pixels bleed over to the other segments and end up
+        // tracing around their edges.  To prevent this, we'll only keep pixels that are very close to the starting point.
+        /** @type {CoordinateArray} */
+        const sanitizedMaskCoordinates = [];
+        for (let y = Math.max(startY - 5, 0); y < Math.min(startY + 6, height); y++) {
+            for (let x = Math.max(startX - 5, 0); x < Math.min(startX + 6, width); x++) {
+                if (mask[y * width + x] === 1) {
+                    sanitizedMaskCoordinates.push([x, y]);
+                }
+            }
+        }
+        return sanitizedMaskCoordinates;
+    }
+
+    /**
+     * Looks up the character of every digit and joins them into a display value, with a `.` after
+     * each lit decimal point and rows separated by line breaks.
+     *
+     * @param {Array<DigitReading>} digits The digits in reading order, their characters are filled in
+     * @returns {string}
+     */
+    formatValue(digits) {
+        const { rowLayout } = this;
+        const digitCount = digits.length;
+
+        // Look up each glyph and let the context rules resolve ambiguous patterns
+        const characters = this.glyphSet.decode(digits);
+
+        let result = '';
+        let rowIndex = 0;
+        let rowEnd = rowLayout[0];
+        digits.forEach((digitReading, digit) => {
+            // Rows are separated by a line break so the value reads top to bottom
+            if (digit === rowEnd) {
+                result += '\n';
+                rowIndex++;
+                rowEnd += rowLayout[rowIndex] ?? digitCount;
+            }
+            digitReading.character = characters[digit];
+            result += characters[digit];
+            if (digitReading.decimalPoint) {
+                result += '.';
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Returns the lit/unlit images in correct order.  With a fixed `polarity` the lit image is the
+     * brighter one for light-on-dark displays and the darker one for dark-on-light displays.  In
+     * `auto` mode it is the one whose segments stand out from their surroundings, see
+     * {@link findActiveImage}, falling back to the brighter one.
+     *
+     * @param {Frame} imageA
+     * @param {Frame} imageB
+     * @returns {[Frame, Frame]}
+     */
+    getOrderedCalibrationImages(imageA, imageB) {
+        if (!imageA || !imageB) {
+            return [imageA, imageB];
+        }
+        const { polarity } = this.configuration;
+        if (polarity === 'auto') {
+            const activeImage = this.findActiveImage(imageA, imageB);
+            if (activeImage) {
+                return activeImage === imageA
+                    ? [imageA, imageB]
+                    : [imageB, imageA];
+            }
+        }
+        const aData = imageA.data;
+        const bData = imageB.data;
+        const length = aData.length;
+        let sumA = 0;
+        let sumB = 0;
+        for (let index = 0; index < length; index += 4) {
+            sumA += aData[index] + aData[index + 1] + aData[index + 2];
+            sumB += bData[index] + bData[index + 1] + bData[index + 2];
+        }
+        const litIsBrighter = polarity !== 'darkOnLight';
+        return (sumA > sumB) === litIsBrighter
+            ? [imageA, imageB]
+            : [imageB, imageA];
+    }
+
+    /**
+     * Classifies the pixel at the specified coordinates from the image data with the engine's
+     * {@link PixelClassifier}.
+     *
+     * @param {Frame} pixelGrid
+     * @param {number} x
+     * @param {number} y
+     * @returns {number}
+     */
+    getPixelGrayValue({ data }, x, y) {
+        const { width } = this;
+        const index = (y * width + x) * 4;
+        return this.pixelClassifier.valueAt(data, index);
+    }
+
+    /**
+     * Groups hole components into one group per digit, returned in reading order: rows top to
+     * bottom following `rowLayout`, digits left to right within a row.  Clustering is k-means
+     * over both hole center coordinates, seeded from the expected row layout.  Vertical distance
+     * is weighted down since digits are taller than they are wide, so their holes spread further
+     * up and down than sideways.
+     *
+     * @param {HoleComponent[]} holeComponents Holes with their centers computed
+     * @returns {HoleComponent[][]}
+     */
+    groupHolesByDigit(holeComponents) {
+        const { rowLayout } = this;
+        const k = this.digitCount;
+        const componentCount = holeComponents.length;
+        const verticalWeight = 0.5;
+        const holesPerDigit = this.displayType.holeCount;
+
+        // Seed one center per digit: split the holes into rows by vertical position,
+        // then group neighbouring holes from left to right within each row.
+        const byY = [...holeComponents].sort((a, b) => {
+            return (a.centerY ?? 0) - (b.centerY ?? 0);
+        });
+        /** @type {Array<{ centerX: number, centerY: number }>} */
+        let centers = [];
+        let offset = 0;
+        rowLayout.forEach((digitsInRow) => {
+            const rowHoles = byY.slice(offset, offset + digitsInRow * holesPerDigit).sort((a, b) => {
+                return (a.centerX ?? 0) - (b.centerX ?? 0);
+            });
+            offset += digitsInRow * holesPerDigit;
+            for (let index = 0; index < digitsInRow; index++) {
+                const digitHoles = rowHoles.slice(index * holesPerDigit, (index + 1) * holesPerDigit);
+                centers.push({
+                    centerX: digitHoles.reduce((sum, hole) => {
+                        return sum + (hole.centerX ?? 0);
+                    }, 0) / digitHoles.length,
+                    centerY: digitHoles.reduce((sum, hole) => {
+                        return sum + (hole.centerY ?? 0);
+                    }, 0) / digitHoles.length
+                });
+            }
+        });
+
+        const assignments = new Array(componentCount).fill(0);
+        let changed = true;
+        let iteration = 0;
+
+        while (changed && iteration < 10) {
+            changed = false;
+            iteration++;
+
+            // Assign each hole to the nearest group center
+            for (let j = 0; j < componentCount; j++) {
+                const { centerX, centerY } = holeComponents[j];
+                if (centerX === null || centerY === null) {
+                    continue;
+                }
+                let minDist = Infinity;
+                let bestK = 0;
+
+                // Check distance to each group center
+                for (let ki = 0; ki < k; ki++) {
+                    const center = centers[ki];
+                    const dist = Math.hypot(centerX - center.centerX, (centerY - center.centerY) * verticalWeight);
+                    if (dist < minDist) {
+                        minDist = dist;
+                        bestK = ki;
+                    }
+                }
+
+                // Switch to the new group if it's a better fit
+                if (assignments[j] !== bestK) {
+                    changed = true;
+                    assignments[j] = bestK;
+                }
+            }
+
+            // Next we'll update each group's center based on its members
+            const sumsX = new Array(k).fill(0);
+            const sumsY = new Array(k).fill(0);
+            const counts = new Array(k).fill(0);
+
+            // Add up all positions in each group
+            for (let index = 0; index < componentCount; index++) {
+                const ki = assignments[index];
+                const { centerX, centerY } = holeComponents[index];
+                if (centerX !== null && centerY !== null) {
+                    sumsX[ki] += centerX;
+                    sumsY[ki] += centerY;
+                    counts[ki]++;
+                }
+            }
+
+            // Calculate new center for each group (average position)
+            for (let index = 0; index < k; index++) {
+                const count = counts[index];
+                if (count > 0) {
+                    centers[index] = {
+                        centerX: sumsX[index] / count,
+                        centerY: sumsY[index] / count
+                    };
+                }
+            }
+        }
+
+        // Put each hole into its assigned group
+        const groupObjects = centers.map(({ centerX, centerY }) => {
+            return {
+                /** @type {HoleComponent[]} */
+                group: [],
+                centerX,
+                centerY
+            };
+        });
+        for (let index = 0; index < componentCount; index++) {
+            groupObjects[assignments[index]].group.push(holeComponents[index]);
+        }
+
+        // Arrange the groups in reading order
+        groupObjects.sort((a, b) => {
+            return a.centerY - b.centerY;
+        });
+        /** @type {HoleComponent[][]} */
+        const ordered = [];
+        rowLayout.forEach((digitsInRow) => {
+            const row = groupObjects.splice(0, digitsInRow).sort((a, b) => {
+                return a.centerX - b.centerX;
+            });
+            row.forEach(({ group }) => {
+                ordered.push(group);
+            });
+        });
+        return ordered;
+    }
+
+    /**
+     * Restores a calibration produced by {@link exportCalibration}.  When the engine already has a
+     * frame size and the document was captured at another size, the document is rejected unless
+     * `rescale` is set, in which case every sample coordinate is scaled to fit.  Documents that
+     * sample pixels outside the size they give are rejected.
+     *
+     * @param {CalibrationDocument|string} calibration The calibration document or its JSON text
+     * @param {CalibrationImportOptions} [options]
+     */
+    importCalibration(calibration, { rescale = false } = {}) {
+        const calibrationDocument = typeof calibration === 'string' ? JSON.parse(calibration) : calibration;
+        if (!calibrationDocument || typeof calibrationDocument !== 'object'
+            || !Array.isArray(calibrationDocument.segmentSamples) || !Array.isArray(calibrationDocument.ambientSamples)
+        ) {
+            throw new Error(ERROR_STRINGS_US.badCalibrationDocument);
+        }
+        if (calibrationDocument.version !== CALIBRATION_VERSION) {
+            throw new Error(ERROR_STRINGS_US.badCalibrationVersion);
+        }
+
+        const { width, height } = calibrationDocument;
+        if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+            throw new Error(ERROR_STRINGS_US.badCalibrationDocument);
+        }
+
+        const targetWidth = this.width || width;
+        const targetHeight = this.height || height;
+        const sizeMatches = targetWidth === width && targetHeight === height;
+        if (!sizeMatches && !rescale) {
+            throw new Error(ERROR_STRINGS_US.calibrationSizeMismatch);
+        }
+
+        /** @type {Array<Array<Array<SampleEntry>>>} */
+        const sampleTables = calibrationDocument.segmentSamples;
+        /** @type {Array<[number, number, number]>} */
+        const ambientSamples = calibrationDocument.ambientSamples;
+        // Documents without a layout describe a single row
+        /** @type {Array<number>} */
+        const rowLayout = calibrationDocument.configuration?.rowLayout ?? [sampleTables.length];
+        const layoutDigits = rowLayout.reduce((sum, count) => {
+            return sum + count;
+        }, 0);
+        // Samples are indexed by the display type's segments, then the decimal point
+        if ((calibrationDocument.configuration?.displayType ?? 'sevenSegment') !== this.displayType.name) {
+            throw new Error(ERROR_STRINGS_US.calibrationDisplayTypeMismatch);
+        }
+        const segmentsPerDigit = this.displayType.decimalPointIndex + 1;
+        if (layoutDigits !== sampleTables.length || !sampleTables.every((digitSegments) => {
+            return Array.isArray(digitSegments) && digitSegments.length === segmentsPerDigit && digitSegments.every((entries) => {
+                return Array.isArray(entries);
+            });
+        })) {
+            throw new Error(ERROR_STRINGS_US.badCalibrationDocument);
+        }
+        sampleTables.forEach((digitSegments) => {
+            digitSegments.forEach((entries) => {
+                entries.forEach((entry) => {
+                    validateSampleEntry(entry, 2, width, height);
+                });
+            });
+        });
+        ambientSamples.forEach((entry) => {
+            validateSampleEntry(entry, 1, width, height);
+        });
+        /** @type {Array<DigitBox>} */
+        const digitBoxes = calibrationDocument.digitBoxes ?? [];
+        if (!Array.isArray(digitBoxes)) {
+            throw new Error(ERROR_STRINGS_US.badCalibrationDocument);
+        }
+        digitBoxes.forEach((box) => {
+            validateDigitBox(box, width, height);
+        });
+        // The references are in the units of the classifier that made them
+        /** @type {PixelClassifierMode} */
+        const classifierMode = calibrationDocument.configuration?.pixelClassifier ?? 'average';
+        /** @type {Pixel|null} */
+        const ledColor = calibrationDocument.configuration?.ledColor ?? null;
+        // Documents from before dark-on-light displays were supported describe LEDs
+        /** @type {DisplayPolarity} */
+        const polarity = calibrationDocument.configuration?.polarity ?? 'lightOnDark';
+        if (!PixelClassifier.modes.includes(classifierMode) || (ledColor !== null && ![ledColor.r, ledColor.g, ledColor.b].every((channel) => {
+            return Number.isFinite(channel);
+        })) || (polarity !== 'lightOnDark' && polarity !== 'darkOnLight')) {
+            throw new Error(ERROR_STRINGS_US.badCalibrationDocument);
+        }
+        // Only the pixels read after calibrating are restored, the rest of the maps stay empty
+        const pixelCount = targetWidth * targetHeight;
+        const litReference = new Float32Array(pixelCount);
+        const unlitReference = new Float32Array(pixelCount);
+        const backgroundMask = new Uint8Array(pixelCount);
+        const grayArray = new Float32Array(pixelCount);
+        const scaleX = targetWidth / width;
+        const scaleY = targetHeight / height;
+
+        // Each background sample stands for the stretch of the ambient grid after it, so the
+        // ambient offset still finds background once the calibration follows a shifted display
+        const stepX = ambientStep(targetWidth);
+        const stepY = ambientStep(targetHeight);
+        ambientSamples.forEach(([x, y, unlit]) => {
+            const scaledX = Math.min(Math.floor((targetWidth - 1) / stepX), Math.round(x * scaleX / stepX)) * stepX;
+            const scaledY = Math.min(Math.floor((targetHeight - 1) / stepY), Math.round(y * scaleY / stepY)) * stepY;
+            for (let tileY = scaledY; tileY < Math.min(targetHeight, scaledY + stepY); tileY++) {
+                for (let tileX = scaledX; tileX < Math.min(targetWidth, scaledX + stepX); tileX++) {
+                    backgroundMask[tileY * targetWidth + tileX] = 1;
+                    unlitReference[tileY * targetWidth + tileX] = unlit;
+                }
+            }
+        });
+        digitBoxes.forEach((box) => {
+            const left = Math.round(box.x * scaleX);
+            const top = Math.round(box.y * scaleY);
+            const right = Math.min(targetWidth, Math.round((box.x + box.width) * scaleX));
+            const bottom = Math.min(targetHeight, Math.round((box.y + box.height) * scaleY));
+            for (let y = top; y < bottom; y++) {
+                const sourceRow = Math.min(box.height - 1, Math.floor((y - top) / scaleY)) * box.width;
+                for (let x = left; x < right; x++) {
+                    const source = sourceRow + Math.min(box.width - 1, Math.floor((x - left) / scaleX));
+                    litReference[y * targetWidth + x] = box.lit[source];
+                    unlitReference[y * targetWidth + x] = box.unlit[source];
+                }
+            }
+        });
+        const segmentSamples = /** @type {OutputDisplays} */ (sampleTables.map((digitSegments) => {
+            return digitSegments.map((entries) => {
+                const seen = new Set();
+                /** @type {CoordinateArray} */
+                const pixels = [];
+                entries.forEach(([x, y, lit, unlit]) => {
+                    const scaledX = Math.min(targetWidth - 1, Math.round(x * scaleX));
+                    const scaledY = Math.min(targetHeight - 1, Math.round(y * scaleY));
+                    const key = `${scaledX},${scaledY}`;
+                    if (!seen.has(key)) {
+                        seen.add(key);
+                        pixels.push([scaledX, scaledY]);
+                        litReference[scaledY * targetWidth + scaledX] = lit;
+                        unlitReference[scaledY * targetWidth + scaledX] = unlit;
+                    }
+                });
+                return pixels;
+            });
+        }));
+        const { configuration } = calibrationDocument;
+        if (configuration) {
+            this.grayThreshold = configuration.grayThreshold ?? this.grayThreshold;
+            this.floodFillDpThreshold = configuration.decimalPointFloodFillThreshold ?? this.floodFillDpThreshold;
+        }
+        this.pixelClassifier = new PixelClassifier(classifierMode, ledColor);
+        this.polarity = polarity;
+
+        this.rowLayout = rowLayout;
+        this.width = targetWidth;
+        this.height = targetHeight;
+        this.litReference = litReference;
+        this.unlitReference = unlitReference;
+        this.backgroundMask = backgroundMask;
+        this.grayArray = grayArray;
+        this.segmentSamples = segmentSamples;
+        this.sampleTables = null;
+        this.resetReadingState();
+        this.calibrated = true;
+    }
+
+    /**
+     * Determines if a pixel is closer to the lit or unlit calibration sample, normalized for brightness shifts.
+     *
+     * @param {number} pixelGray Current classified value, see {@link getPixelGrayValue}
+     * @param {number} x X coordinate
+     * @param {number} y Y coordinate
+     * @param {number} [ambientOffset=0] Adjustment to account for ambient light change
+     * @returns {boolean}
+     */
+    isPixelLit(pixelGray, x, y, ambientOffset = 0) {
+        const index = y * this.width + x;
+        const litGray = this.litReference[index];
+        const unlitGray = this.unlitReference[index];
+
+        if (litGray === undefined || unlitGray === undefined) {
+            return pixelGray > (this.grayArray[index] ?? 0);
+        }
+
+        const adjustedGray = pixelGray - ambientOffset;
+
+        const range = Math.max(Math.abs(litGray - unlitGray), 1);
+        const distanceToLit = Math.abs(adjustedGray - litGray) / range;
+        const distanceToUnlit = Math.abs(adjustedGray - unlitGray) / range;
+
+        return distanceToLit <= distanceToUnlit;
+    }
+
+    /**
+     * Decodes a frame and tracks how long the value has been stable.
+     *
+     * @param {Frame} currentData The frame to decode
+     * @returns {Reading}
+     */
+    readDisplays(currentData) {
+        const alignment = this.checkAlignment(currentData);
+        const { digits, ambientOffset } = this.sampleDigits(currentData);
+        return { ...this.decodeDigits(digits, ambientOffset), alignment };
+    }
+
+    /**
+     * Compares segment pixels to a frame to improve accuracy over time.
+     *
+     * @param {Frame} currentData
+     */
+    refine(currentData) {
+        const ambientOffset = this.estimateAmbientOffset(currentData);
+        const digitCount = this.segmentSamples.length;
+        for (let digit = 0; digit < digitCount; digit++) {
+            const digitSegments = this.segmentSamples[digit];
+            const segmentCount = digitSegments.length;
+            for (let segment = 0; segment < segmentCount; segment++) {
+                const litPixels = [];
+                const offPixels = [];
+                /** @type {CoordinateArray} */
+                const pixels = digitSegments[segment];
+                const pixelCount = pixels.length;
+                for (let pixelIndex = 0; pixelIndex < pixelCount; pixelIndex++) {
+                    const [x, y] = pixels[pixelIndex];
+                    const pixelGray = this.getPixelGrayValue(currentData, x, y);
+                    if (this.isPixelLit(pixelGray, x, y, ambientOffset)) {
+                        litPixels.push([x, y]);
+                    } else {
+                        offPixels.push([x, y]);
+                    }
+                }
+                const highLimit = Math.floor(pixelCount * 0.7);
+                if (litPixels.length > highLimit) {
+                    digitSegments[segment] = /** @type {CoordinateArray} */ (litPixels);
+                    this.sampleTables = null;
+                } else if (offPixels.length > highLimit) {
+                    digitSegments[segment] = /** @type {CoordinateArray} */ (offPixels);
+                    this.sampleTables = null;
+                }
+            }
+        }
+    }
+
+    /**
+     * Resets the calibration state.
+     */
+    reset() {
+        const pixelCount = this.width * this.height;
+        this.backgroundMask = new Uint8Array(pixelCount);
+        this.calibrated = false;
+        this.grayArray = new Float32Array(pixelCount);
+        this.litReference = new Float32Array(pixelCount);
+        this.sampleTables = null;
+        this.segmentSamples = createSegmentSamples(this.digitCount, this.displayType.decimalPointIndex);
+        this.unlitReference = new Float32Array(pixelCount);
+        this.resetReadingState();
+    }
+
+    /**
+     * Forgets everything learned from earlier frames, such as the last value read and the votes
+     * towards confirming one, so the next frame is read as the start of a new stream.  The
+     * calibration is kept.
+     */
+    resetReadingState() {
+        this.lastDisplay = null;
+        this.stability.reset();
+        this.segmentFilter.reset();
+        this.alignment.reset();
+    }
+
+    /**
+     * Samples the segments of every digit in a frame.
+     *
+     * @param {Frame} currentData The frame to sample
+     * @returns {{ digits: Array<DigitReading>, ambientOffset: number }} The digits with their characters left blank
+     */
+    sampleDigits(currentData) {
+        this.sampleTables ??= this.createSampleTables();
+        const { pixelClassifier, sampleTables } = this;
+        const { data } = currentData;
+        const ambientOffset = this.estimateAmbientOffset(currentData);
+        const digitCount = sampleTables.length;
+        const { decimalPointIndex } = this.displayType;
+        /** @type {Array<DigitReading>} */
+        const digits = [];
+        for (let digit = 0; digit < digitCount; digit++) {
+            const digitSegments = sampleTables[digit];
+            let bitmask = 0;
+            let lightDecimalPoint = false;
+            /** @type {Array<number>} */
+            const litFractions = [];
+
+            for (let segment = 0; segment <= decimalPointIndex; segment++) {
+                const { offsets, midpoints, polarity } = digitSegments[segment];
+                const pixelCount = offsets.length;
+                let litCount = 0;
+                for (let pixelIndex = 0; pixelIndex < pixelCount; pixelIndex++) {
+                    const offset = offsets[pixelIndex];
+                    const adjustedGray = pixelClassifier.valueAt(data, offset) - ambientOffset;
+                    // Same decision as isPixelLit: lit when at least as close to the lit reference
+                    if (polarity[pixelIndex] * (adjustedGray - midpoints[pixelIndex]) >= 0) {
+                        litCount++;
+                    }
+                }
+                const litFraction = pixelCount ? litCount / pixelCount : 0;
+                litFractions.push(litFraction);
+                if (SegmentFilter.isLit(litFraction)) {
+                    if (segment === decimalPointIndex) {
+                        lightDecimalPoint = true;
+                    } else {
+                        bitmask += (1 << segment);
+                    }
+                }
+            }
+            digits.push({ character: '', mask: bitmask, decimalPoint: lightDecimalPoint, litFractions });
+        }
+
+        return { digits, ambientOffset };
+    }
+
+    /**
+     * Moves the calibration to follow a display that moved in the frame.  Sampled pixels that end
+     * up outside the frame are dropped.
+     *
+     * @param {number} dx How far the display moved right, in pixels
+     * @param {number} dy How far the display moved down, in pixels
+     */
+    shiftCalibration(dx, dy) {
+        const { width, height } = this;
+        this.litReference = shiftMap(this.litReference, width, height, dx, dy);
+        this.unlitReference = shiftMap(this.unlitReference, width, height, dx, dy);
+        this.grayArray = shiftMap(this.grayArray, width, height, dx, dy);
+        this.backgroundMask = shiftMap(this.backgroundMask, width, height, dx, dy);
+        this.segmentSamples = /** @type {OutputDisplays} */ (this.segmentSamples.map((digitSegments) => {
+            return digitSegments.map((pixels) => {
+                /** @type {CoordinateArray} */
+                const shifted = [];
+                pixels.forEach(([x, y]) => {
+                    const shiftedX = x + dx;
+                    const shiftedY = y + dy;
+                    if (shiftedX >= 0 && shiftedY >= 0 && shiftedX < width && shiftedY < height) {
+                        shifted.push([shiftedX, shiftedY]);
+                    }
+                });
+                return shifted;
+            });
+        }));
+        this.sampleTables = null;
+    }
+}
@@ -1,138 +1,186 @@
+import { AnalysisWorker } from './AnalysisWorker.js';
+import { AutoCalibrator } from './AutoCalibrator.js';
+import { CameraController } from './CameraController.js';
+import { DisplayType } from './DisplayType.js';
+import { DisplayRegion } from './DisplayRegion.js';
+import { OverlayPainter } from './OverlayPainter.js';
+import { ReadScheduler } from './ReadScheduler.js';
+import { SegmentDisplayEngine } from './SegmentDisplayEngine.js';
 import { SegmentDisplayReaderConfiguration } from './SegmentDisplayReaderConfiguration.js';
+import { SvgDisplaySource } from './SvgDisplaySource.js';
+
+/** @typedef {import('./SegmentDisplayEngine.js').OutputDisplays} OutputDisplays */
+/** @typedef {import('./SegmentDisplayEngine.js').DigitReading} DigitReading */
+/** @typedef {import('./CameraController.js').CameraConstraints} CameraConstraints */
+/** @typedef {import('./ReadScheduler.js').FrameStats} FrameStats */
+/** @typedef {import('./SegmentDisplayEngine.js').Frame} Frame */
+/** @typedef {import('./AutoCalibrator.js').AutoCalibratorOptions} AutoCalibratorOptions */
+/** @typedef {import('./AutoCalibrator.js').AutoCalibrationProgress} AutoCalibrationProgress */
+/** @typedef {import('./SegmentDisplayEngine.js').CalibrationDocument} CalibrationDocument */
+/** @typedef {import('./SegmentDisplayEngine.js').CalibrationImportOptions} CalibrationImportOptions */
+/** @typedef {import('./SegmentDisplayEngine.js').CalibrationReport} CalibrationReport */
+/** @typedef {import('./SegmentDisplayEngine.js').BoundingRect} BoundingRect */
+/** @typedef {import('./AnalysisWorker.js').AnalysisSource} AnalysisSource */
+/** @typedef {import('./AnalysisWorker.js').FrameOptions} FrameOptions */
+/** @typedef {import('./SegmentDisplayEngine.js').Reading} Reading */
+/** @typedef {import('./SegmentDisplayEngine.js').StillReading} StillReading */
 
 /**
- * @typedef {Object} Pixel
- * @property {number} r - Red component
- * @property {number} g - Green component
- * @property {number} b - Blue component
+ * @typedef {HTMLVideoElement|VideoFrame|SVGImageElement|SVGSVGElement|SvgDisplaySource|HTMLCanvasElement|OffscreenCanvas|HTMLImageElement|ImageBitmap} StreamSource
  */
 
-/** @typedef {Array<(0|1)>} Bitmask */
-/** @typedef {Array<Bitmask>} Bitmask2d */
-
-/** @typedef {[number, number]} Coordinate */
-/** @typedef {Array<Coordinate>} CoordinateArray */
-/** @typedef {CoordinateArray} CA */
+/**
+ * Where a reader is in its lifecycle.  A `running` reader reads once it is calibrated, a `paused`
+ * one keeps its calibration and camera but doesn't read, a `stopped` one has also closed its
+ * camera, and a `disposed` one has released everything and can't be used again.
+ *
+ * @typedef {'running'|'paused'|'stopped'|'disposed'} ReaderState
+ */
 
-/** @typedef {[CA, CA, CA, CA, CA, CA, CA, CA]} SevenSegmentDisplay */
-/** @typedef {SevenSegmentDisplay} SSD */
+const ERROR_STRINGS_US = {
+    noCanvas: 'SegmentDisplayReader constructor requires an HTML canvas element as the second parameter.',
+    badCanvas: 'SegmentDisplayReader constructor called with an invalid HTMLCanvasElement.',
+    badContext: 'Unable to get 2D context from provided canvas element.',
+    badVideoElement: 'Video element for webcam feed not found in document.',
+    disposed: 'This SegmentDisplayReader has been disposed and can no longer be used.',
+    noVideoElement: 'SegmentDisplayReader constructor requires a video element as the first parameter.',
+    notCalibrated: 'Cannot read a still image before calibrating.',
+    regionOutsideFrame: 'Display region does not fit inside the canvas the frames are captured at.',
+    stillCalibrationFailed: 'Calibration from the supplied lit and unlit stills failed.',
+    unpairedStill: 'Calibrating from stills requires both a lit and an unlit image.'
+};
 
-/** @typedef {[SSD, SSD, SSD, SSD, SSD, SSD]} OutputDisplays */
+/** @typedef {HTMLImageElement|ImageBitmap|Blob|ImageData} StillImage */
 
 /**
- * @typedef {HTMLVideoElement|VideoFrame|SVGImageElement|HTMLCanvasElement|OffscreenCanvas|HTMLImageElement|ImageBitmap} StreamSource
- */
-
-/** 
- * @typedef {Object} BoundingRect
- * @property {number} x - The x coordinate of the rectangle's top-left corner
- * @property {number} y - The y coordinate of the rectangle's top-left corner
- * @property {number} width - The width of the rectangle
- * @property {number} height - The height of the rectangle
+ * A still decoded by {@link SegmentDisplayReader#read}.  With display regions, `regions` holds the
+ * reading of every calibrated region, and `value` and `digits` join them in region order with a
+ * line break between regions.
+ *
+ * @typedef {StillReading & { regions?: Record<string, StillReading> }} ReaderStillReading
  */
 
 /**
- * @typedef {Object} HoleComponent
- * @property {CoordinateArray} pixels - The pixels that make up this hole
- * @property {number?} centerX - The x coordinate of the hole's center
- * @property {number?} centerY - The y coordinate of the hole's center
- * @property {BoundingRect?} rect - The bounding rectangle of the hole
+ * A live reading and the display region it was read from.
+ *
+ * @typedef {Object} RegionReading
+ * @property {string|null} region - The id of the display region read, `null` for the whole frame
+ * @property {Reading} reading
  */
 
 /**
- * @callback BitmaskMatchFunction
- * @param {any} value - The value of the pixel
- * @param {Coordinate} coord - The [x, y] coordinate of the pixel
- * @param {Bitmask2d} matrix - The entire bitmask matrix
- * @returns {boolean} - Whether the pixel matches the criteria
+ * @typedef {Object} StillReadOptions
+ * @property {StillImage} [lit] A still with every segment lit.  Together with `unlit`, the reader calibrates from it before reading.
+ * @property {StillImage} [unlit] A still with every segment dark
  */
 
 /**
- * Creates a 2D array filled with a specified value.
- * 
- * @template T
- * @param {number} height The length of the outer array
- * @param {number} width The length of the interior arrays
- * @param {T} fillValue The value to fill the array with
- * @returns {Array<Array<T>>}
+ * Calls back with a value right away, or once it resolves when analysis runs in a worker.
+ *
+ * @template T, U
+ * @param {T|Promise<T>} value
+ * @param {(value: T) => U} callback
+ * @returns {U|Promise<U>}
  */
-function create2dArray(height, width, fillValue) {
-    return Array.from({ length: height }, () => {
-        return new Array(width).fill(fillValue);
-    });
+function whenSettled(value, callback) {
+    return value instanceof Promise ? value.then(callback) : callback(value);
 }
 
-const ERROR_STRINGS_US = {
-    noCanvas: 'SegmentDisplayReader constructor requires an HTML canvas element as the second parameter.',
-    badCanvas: 'SegmentDisplayReader constructor called with an invalid HTMLCanvasElement.',
-    badContext: 'Unable to get 2D context from provided canvas element.',
-    badVideoElement: 'Video element for webcam feed not found in document.',
-    noVideoElement: 'SegmentDisplayReader constructor requires a video element as the first parameter.'
-};
-
 /**
  * @class SegmentDisplayReader
  * @extends EventTarget
- * @description A class that reads 7-segment displays from a video feed and converts them to characters.
+ * @description Browser adapter that captures frames from a video feed and hands them to a
+ * {@link SegmentDisplayEngine} to be converted to characters.
  * 
  * @event SegmentDisplayReader#change
  * @property {Object} detail - The event details
- * @property {string} detail.value - The newly detected display value (6 characters)
+ * @property {string} detail.value - The newly detected display value, one character per digit with rows separated by line breaks
+ * @property {Array<DigitReading>} detail.digits - Segment mask, decimal point state and lit fraction per segment for each digit
+ * @property {string|null} detail.region - The id of the display region read, `null` when reading the whole frame
  * 
  * @event SegmentDisplayReader#output
  * @property {Object} detail - The event details
- * @property {string} detail.value - The confirmed display value after 4 consistent readings
+ * @property {string} detail.value - The display value confirmed by the configured stability policy
+ * @property {Array<DigitReading>} detail.digits - Segment mask, decimal point state and lit fraction per segment for each digit
+ * @property {string} detail.strategy - The confirmation strategy that confirmed the value
+ * @property {number} detail.frames - How many frames it took to confirm the value
+ * @property {string|null} detail.region - The id of the display region read, `null` when reading the whole frame
+ * 
+ * @event SegmentDisplayReader#calibrated
+ * @property {CalibrationReport & { region: string|null }} detail - The holes found and how they were grouped into
+ * digits, and the id of the display region calibrated
+ * 
+ * @event SegmentDisplayReader#calibrationfailed
+ * @property {CalibrationReport & { region: string|null }} detail - The holes found, the digits with the wrong number
+ * of holes and likely causes, and the id of the display region that failed
+ * 
+ * @event SegmentDisplayReader#autocalibrationprogress
+ * @property {AutoCalibrationProgress} detail - What auto-calibration has captured so far; `status` becomes
+ * `calibrated` or `failed` after each calibration attempt
+ * 
+ * @event SegmentDisplayReader#frameskip
+ * @property {Object} detail - The event details
+ * @property {'duplicate'|'dropped'} detail.kind - Whether a read was skipped because the frame hadn't changed, or frames were never read
+ * @property {number} detail.count - The number of frames skipped or missed
+ * @property {FrameStats} detail.stats - Running totals of reads, duplicates and dropped frames
+ * 
+ * @event SegmentDisplayReader#camerachange
+ * @property {Object} detail - The event details
+ * @property {string|null} detail.deviceId - The camera now streaming
+ * @property {string} detail.label - The camera's name
+ * @property {MediaTrackSettings} detail.settings - The resolution, frame rate and other settings the camera settled on
+ * @property {MediaTrackSettings|null} detail.previousSettings - The settings before the change, `null` for the first camera opened
+ * @property {boolean} detail.recalibrationNeeded - Whether the change cleared the calibration and the display needs calibrating again
+ * 
+ * @event SegmentDisplayReader#cameraerror
+ * @property {Object} detail - The event details
+ * @property {Error} detail.error - The error raised by the browser
+ * @property {string} detail.name - The error name, such as `NotAllowedError`, `NotFoundError` or `OverconstrainedError`
+ * @property {string} detail.message - A description of the error
+ * @property {CameraConstraints} detail.constraints - The constraints that were requested
+ * 
+ * @event SegmentDisplayReader#cameraended
+ * @property {Object} detail - The event details
+ * @property {string|null} detail.deviceId - The camera that stopped, after it was unplugged or its permission revoked
+ * @property {string} detail.label - The camera's name
+ * 
+ * @event SegmentDisplayReader#realigned
+ * @property {Object} detail - The event details
+ * @property {'shifted'|'recovered'} detail.status - `shifted` when the calibration was moved to follow the display,
+ * `recovered` when a misaligned display lines up again
+ * @property {number} detail.dx - How far the display moved right since the last correction, in pixels
+ * @property {number} detail.dy - How far the display moved down since the last correction, in pixels
+ * @property {number} detail.error - How far the frame is from the calibration references where the display was found
+ * @property {number} detail.alignedError - How far it was at the old position
+ * @property {number} detail.baseline - How far a well aligned frame usually is
+ * @property {string|null} detail.region - The id of the display region, `null` for the whole frame
+ * 
+ * @event SegmentDisplayReader#misaligned
+ * @property {Object} detail - The event details.  Readings stop until the display lines up again or is recalibrated.
+ * @property {'misaligned'} detail.status
+ * @property {number} detail.dx - How far the display seems to have moved right, in pixels, at most `maxAlignmentShift + 2`
+ * @property {number} detail.dy - How far the display seems to have moved down, in pixels
+ * @property {number} detail.error - How far the frame is from the calibration references at the best position found
+ * @property {number} detail.alignedError - How far it is at the calibrated position
+ * @property {number} detail.baseline - How far a well aligned frame usually is
+ * @property {string|null} detail.region - The id of the display region, `null` for the whole frame
+ * 
+ * @event SegmentDisplayReader#error
+ * @property {Object} detail - The event details
+ * @property {Error} detail.error - The error raised
+ * @property {string} detail.message - A description of the error
+ * 
+ * @event SegmentDisplayReader#statechange
+ * @property {Object} detail - The event details
+ * @property {ReaderState} detail.state - The state the reader is now in
+ * @property {ReaderState} detail.previousState - The state it left
  */
 export class SegmentDisplayReader extends EventTarget {
     /**
      * Mapping of 7-segment bitmask to characters.
      * @type {Object<number, string>}
      */
-    static charMap = {
-        0: ' ',
-        2: '\'',
-        4: 'i',
-        6: '1',
-        7: '7',
-        8: '_',
-        16: ',',
-        28: 'u',
-        30: 'J',
-        32: '`',
-        34: '"',
-        48: 'I',
-        56: 'L',
-        57: 'C',
-        61: 'G',
-        62: 'U',
-        63: '0',
-        64: '-',
-        79: '3',
-        80: 'r',
-        83: '?',
-        84: 'n',
-        88: 'c',
-        91: '2',
-        92: 'o',
-        94: 'd',
-        95: 'a',
-        102: '4',
-        103: 'q',
-        109: '5',
-        110: 'Y',
-        111: '9',
-        113: 'F',
-        115: 'P',
-        116: 'h',
-        118: 'H',
-        119: 'A',
-        120: 't',
-        121: 'E',
-        123: 'e',
-        124: 'b',
-        125: '6',
-        127: '8'
-    };
+    static charMap = SegmentDisplayEngine.charMap;
 
     /**
      * Creates a new SegmentDisplayReader instance.
@@ -151,21 +199,24 @@ export class SegmentDisplayReader extends EventTarget {
             }
         }
 
-        /** @type {ImageData[]} */
+        /** @type {Frame[]} */
         this.calibrationImages = [];
-        /** @type {string|null} */
-        this.lastDisplay = null;
-        this.calibrated = false;
+        /**
+         * Watches the stream for calibration frames while auto-calibration is running.
+         * @type {AutoCalibrator|null}
+         */
+        this.autoCalibrator = null;
         this.showDebugMask = false;
-        this.consistentOutputCount = 0;
+        /**
+         * Draws what calibration found instead of the debug mask, see {@link drawDiagnostics}.
+         */
+        this.showDiagnostics = false;
 
         if (!(configuration instanceof SegmentDisplayReaderConfiguration)) {
             console.warn('Invalid configuration object provided, using default configuration.');
             configuration = new SegmentDisplayReaderConfiguration();
         }
         this.debugMaskColors = configuration.debugMaskColors;
-        this.grayThreshold = configuration.grayThreshold;
-        this.floodFillDpThreshold = configuration.decimalPointFloodFillThreshold;
         this.rotate180 = configuration.rotate180;
 
         // Canvas, Context, & initial ImageData
@@ -175,15 +226,33 @@ export class SegmentDisplayReader extends EventTarget {
             throw new Error(ERROR_STRINGS_US.badContext);
         }
 
+        /**
+         * Reads segment states straight from an SVG display instead of analyzing pixels.
+         * @type {SvgDisplaySource|null}
+         */
+        this.svgSource = null;
+
+        /**
+         * Opens and switches the webcam.  `null` unless the source is a video element with
+         * nothing else to play.
+         * @type {CameraController|null}
+         */
+        this.camera = null;
+
         // Video Element & Webcam Setup
         this.source = source;
         if (this.source instanceof HTMLVideoElement) {
-            navigator.mediaDevices.getUserMedia({
-                audio: false, video: true
-            }).then((stream) => {
-                /** @type {HTMLVideoElement} */ (this.source).srcObject = stream;
-            }).catch((error) => {
-                console.error('Error accessing webcam:', error);
+            // Videos that already have a source, such as a recorded file, are read as they are
+            const { src, srcObject } = this.source;
+            if (!src && !srcObject && !this.source.querySelector('source')) {
+                this.camera = new CameraController(this.source, configuration.cameraConstraints);
+            }
+        } else if (this.source instanceof SvgDisplaySource) {
+            this.svgSource = this.source;
+        } else if (this.source instanceof SVGSVGElement) {
+            // The ET-3400 simulator draws its display as inline SVG
+            this.svgSource = new SvgDisplaySource(this.source, {
+                segmentNames: DisplayType.named(configuration.displayType).segmentNames
             });
         } else if (this.source instanceof VideoFrame
             || this.source instanceof SVGImageElement
@@ -192,72 +261,295 @@ export class SegmentDisplayReader extends EventTarget {
             || this.source instanceof HTMLImageElement
             || this.source instanceof ImageBitmap
         ) {
-            // Will handle support for some of these later
-            // SVG will probably be first since that's what
-            // The ET-3400 Simulator uses
+            // Images and canvases need no setup, each read draws them onto the canvas as they are.  An
+            // SVG <image> keeps its document out of the DOM, so it's read from its pixels like any image.
         } else if (this.source === null || this.source === undefined) {
             throw new Error(ERROR_STRINGS_US.noVideoElement);
         } else {
             throw new Error(ERROR_STRINGS_US.badVideoElement);
         }
 
-        /** @type {OutputDisplays} */
-        this.segmentSamples = [
-            [[], [], [], [], [], [], [], []],
-            [[], [], [], [], [], [], [], []],
-            [[], [], [], [], [], [], [], []],
-            [[], [], [], [], [], [], [], []],
-            [[], [], [], [], [], [], [], []],
-            [[], [], [], [], [], [], [], []]
-        ];
-
-        this.grayArray = create2dArray(this.canvas.height, this.canvas.width, 0);
-        this.litReference = this.createPixelArray(0);
-        this.unlitReference = this.createPixelArray(0);
-        this.backgroundMask = this.createPixelArray(0);
-
-        this.worker = new Worker(new URL("../timingWorker.js", import.meta.url));
-        this.worker.addEventListener('message', (event) => {
-            if (this.calibrated === false) {
-                this.worker.postMessage('readStop');
-            } else if (event.data === 'read') {
+        /** The DOM-free core that performs calibration and decoding. */
+        this.engine = new SegmentDisplayEngine(configuration, this.canvas.width, this.canvas.height);
+        /**
+         * Named parts of the frame that each hold a display.  When there are any, they are
+         * calibrated and read instead of the whole frame.
+         * @type {Map<string, DisplayRegion>}
+         */
+        this.regions = new Map();
+
+        /**
+         * Calibrates, samples frames and draws overlays off the main thread.  `null` unless the
+         * configuration turns it on, and when the browser lacks `OffscreenCanvas` or the source is SVG.
+         * @type {AnalysisWorker|null}
+         */
+        this.analysisWorker = configuration.analysisWorker && !this.svgSource && AnalysisWorker.supported
+            ? new AnalysisWorker(configuration, this.canvas.width, this.canvas.height)
+            : null;
+        if (this.analysisWorker) {
+            this.reportFailure(this.analysisWorker.configured);
+        }
+        /**
+         * Decodes stills once {@link read} has calibrated from lit and unlit stills, kept apart
+         * from the live calibration.
+         * @type {SegmentDisplayEngine|null}
+         */
+        this.stillEngine = null;
+        /** Whether a calibration is waiting on the worker. */
+        this.calibrationPending = false;
+        /** Whether a frame is waiting on the worker, reads are skipped until it's done. */
+        this.readPending = false;
+        /**
+         * Where the reader is in its lifecycle, see {@link start}, {@link pause}, {@link resume},
+         * {@link stop} and {@link dispose}.
+         * @type {ReaderState}
+         */
+        this.state = 'running';
+        /**
+         * The camera open in progress.  {@link stop} and {@link dispose} clear it, so the camera is
+         * closed again once it opens.
+         * @type {Promise<boolean>|null}
+         */
+        this.cameraOpening = null;
+
+        /** Decides when the source is read. */
+        this.scheduler = new ReadScheduler(this.source, configuration.readScheduler, configuration.readInterval);
+        this.scheduler.addEventListener('read', () => {
+            if (this.autoCalibrator) {
+                this.autoCalibrate();
+            } else if (this.calibrated === false) {
+                this.scheduler.stop();
+            } else {
                 this.readDisplays();
             }
         });
-        
-        window.addEventListener('beforeunload', () => {
-            this.worker.terminate();
+        this.scheduler.addEventListener('frameskip', (event) => {
+            const { detail } = /** @type {CustomEvent} */ (event);
+            this.dispatchEvent(new CustomEvent('frameskip', { detail }));
         });
+        
+        if (this.camera) {
+            this.camera.addEventListener('change', (event) => {
+                const { detail } = /** @type {CustomEvent} */ (event);
+                this.dispatchEvent(new CustomEvent('camerachange', {
+                    detail: { ...detail, recalibrationNeeded: this.handleCameraChange(detail) }
+                }));
+            });
+            this.camera.addEventListener('error', (event) => {
+                const { detail } = /** @type {CustomEvent} */ (event);
+                this.dispatchEvent(new CustomEvent('cameraerror', { detail }));
+            });
+            this.camera.addEventListener('ended', (event) => {
+                const { detail } = /** @type {CustomEvent} */ (event);
+                this.dispatchEvent(new CustomEvent('cameraended', { detail }));
+            });
+            this.openCamera();
+        }
+
+        this.unloadHandler = () => {
+            this.dispose();
+        };
+        window.addEventListener('beforeunload', this.unloadHandler);
+
+        // SVG displays need no calibration, so reading starts right away
+        if (this.svgSource) {
+            this.scheduler.start();
+        }
+    }
+
+    get calibrated() {
+        if (this.svgSource !== null) {
+            return true;
+        }
+        if (this.regions.size) {
+            return [...this.regions.values()].some((region) => {
+                return region.engine.calibrated;
+            });
+        }
+        return this.engine.calibrated;
+    }
+
+    /**
+     * The report of the last calibration attempt.  With display regions, the last report of each
+     * region keyed by its id.
+     * @type {CalibrationReport|Record<string, CalibrationReport|null>|null}
+     */
+    get calibrationReport() {
+        if (this.regions.size) {
+            /** @type {Record<string, CalibrationReport|null>} */
+            const reports = {};
+            this.regions.forEach(({ id, engine }) => {
+                reports[id] = engine.calibrationReport;
+            });
+            return reports;
+        }
+        return this.engine.calibrationReport;
+    }
+
+    get floodFillDpThreshold() {
+        return this.engine.floodFillDpThreshold;
+    }
+
+    set floodFillDpThreshold(value) {
+        this.engine.floodFillDpThreshold = value;
+    }
+
+    /** @type {FrameStats} */
+    get frameStats() {
+        return this.scheduler.stats;
+    }
+
+    get grayThreshold() {
+        return this.engine.grayThreshold;
+    }
+
+    set grayThreshold(value) {
+        this.engine.grayThreshold = value;
+    }
+
+    get lastDisplay() {
+        return this.engine.lastDisplay;
+    }
+
+    /** @type {OutputDisplays} */
+    get segmentSamples() {
+        return this.engine.segmentSamples;
+    }
+
+    /**
+     * Adds a named display region.  Once a reader has regions, each one is calibrated and read on
+     * its own from a shared capture of the frame, and events carry the region id.  Throws if the
+     * rectangle doesn't fit inside the canvas.
+     * 
+     * @param {string} id The name reported in events for this region
+     * @param {BoundingRect} rect Where the display is in the frame, in canvas pixels
+     * @param {SegmentDisplayReaderConfiguration} [configuration] The region's configuration, the reader's by default
+     * @returns {DisplayRegion}
+     */
+    addRegion(id, rect, configuration = this.engine.configuration) {
+        this.assertNotDisposed();
+        const region = new DisplayRegion(id, rect, configuration);
+        if (!region.fits(this.canvas.width, this.canvas.height)) {
+            throw new Error(ERROR_STRINGS_US.regionOutsideFrame);
+        }
+        this.regions.set(id, region);
+        if (this.analysisWorker) {
+            this.reportFailure(this.analysisWorker.addRegion(id, region.rect, configuration));
+        }
+        return region;
+    }
+
+    /**
+     * Throws if the reader has been disposed.
+     */
+    assertNotDisposed() {
+        if (this.state === 'disposed') {
+            throw new Error(ERROR_STRINGS_US.disposed);
+        }
     }
 
     /**
-     * Calibrates the segment display reader by capturing reference images.
+     * Calibrates from the captured reference images and starts reading if that succeeds.  With
+     * display regions, reading starts as soon as any region is calibrated.
      * 
-     * @fires SegmentDisplayReader#calibration
+     * @returns {boolean|Promise<boolean>} Whether calibration succeeded, for every region if there
+     * are any.  A promise only when the `analysisWorker` setting is on.
+     * @fires SegmentDisplayReader#calibrated
+     * @fires SegmentDisplayReader#calibrationfailed
      */
     attemptCalibration() {
-        const success = this.determineLocations();
-        if (success) {
-            this.worker.postMessage('readStart');
-            this.calibrated = true;
+        this.assertNotDisposed();
+        return whenSettled(this.determineLocations(), (success) => {
+            if (this.calibrated) {
+                this.startReading();
+            }
+            return success;
+        });
+    }
+
+    /**
+     * Feeds the current frame to the auto-calibrator and calibrates once it has captured a dark
+     * and a bright frame that differ enough.
+     * 
+     * @fires SegmentDisplayReader#autocalibrationprogress
+     */
+    autoCalibrate() {
+        const { autoCalibrator } = this;
+        if (!autoCalibrator || this.calibrationPending) {
+            return;
+        }
+        const progress = autoCalibrator.push(this.captureImageData());
+        if (!progress.changed) {
+            return;
+        }
+        this.dispatchEvent(new CustomEvent('autocalibrationprogress', { detail: progress }));
+
+        const { dark, bright } = autoCalibrator;
+        if (progress.status !== 'ready' || !dark || !bright) {
+            return;
+        }
+        this.calibrationImages = [bright.frame, dark.frame];
+        this.calibrationPending = true;
+        const attempt = whenSettled(this.attemptCalibration(), (success) => {
+            this.calibrationPending = false;
+            if (success) {
+                this.autoCalibrator = null;
+            } else {
+                // Either frame may be the one at fault, so look for a new pair
+                autoCalibrator.discardPair();
+            }
+            this.dispatchEvent(new CustomEvent('autocalibrationprogress', {
+                detail: { ...progress, status: success ? 'calibrated' : 'failed' }
+            }));
+        });
+        if (attempt instanceof Promise) {
+            // A failed worker calibration must not stop auto-calibration from trying again
+            this.reportFailure(attempt.finally(() => {
+                this.calibrationPending = false;
+            }));
         }
-        return success;
     }
 
     /**
+     * Calibrates an engine from a pair of frames, in the analysis worker when there is one.
      * 
-     * @param {Bitmask2d} bitmask
-     * @returns {CoordinateArray}
+     * @param {SegmentDisplayEngine} engine The whole-frame engine or a region's
+     * @param {string|null} region The id of the region the engine belongs to, `null` for the whole frame
+     * @param {Frame} imageA
+     * @param {Frame} imageB
+     * @returns {boolean|Promise<boolean>} Whether calibration succeeded
      */
-    bitmaskToPixelArray(bitmask) {
-        const maskCoordinates = bitmask.map((row, y) => {
-            return row.map((value, x) => {
-                return value === 1 ? [x, y] : null;
-            });
-        }).flat().filter((value) => {
-            return value !== null;
+    calibrateEngine(engine, region, imageA, imageB) {
+        return this.analysisWorker
+            ? this.analysisWorker.calibrate(engine, region, imageA, imageB)
+            : engine.calibrate(imageA, imageB);
+    }
+
+    /**
+     * Calibrates one display region from the captured reference images, for example to retry it
+     * with a different threshold after the others succeeded.
+     * 
+     * @param {string} id The region id
+     * @returns {boolean|Promise<boolean>} Whether calibration succeeded, a promise only when the `analysisWorker` setting is on
+     * @fires SegmentDisplayReader#calibrated
+     * @fires SegmentDisplayReader#calibrationfailed
+     */
+    calibrateRegion(id) {
+        this.assertNotDisposed();
+        const region = this.regions.get(id);
+        const [imageA, imageB] = this.calibrationImages;
+        if (!region || !imageA || !imageB) {
+            return false;
+        }
+        const { engine } = region;
+        return whenSettled(this.calibrateEngine(engine, id, region.crop(imageA), region.crop(imageB)), (success) => {
+            const type = success ? 'calibrated' : 'calibrationfailed';
+            this.dispatchEvent(new CustomEvent(type, { detail: { ...engine.calibrationReport, region: id } }));
+            if (this.showDiagnostics) {
+                this.drawDiagnostics();
+            }
+            return success;
         });
-        return /** @type {CoordinateArray} */(maskCoordinates);
     }
 
     /**
@@ -266,6 +558,7 @@ export class SegmentDisplayReader extends EventTarget {
      * @param {boolean} [autoAttemptCalibration=true] Whether to automatically attempt calibration after capturing two images
      */
     captureCalibrationImage(autoAttemptCalibration = true) {
+        this.assertNotDisposed();
         const initialLength = this.calibrationImages.length;
         if (initialLength === 2) {
             this.resetCalibration();
@@ -273,40 +566,75 @@ export class SegmentDisplayReader extends EventTarget {
         } else if (initialLength < 2) {
             this.calibrationImages.push(this.captureImageData());
             if (this.calibrationImages.length === 2 && autoAttemptCalibration) {
-                this.attemptCalibration();
+                const attempt = this.attemptCalibration();
+                if (attempt instanceof Promise) {
+                    this.reportFailure(attempt);
+                }
             }
         }
     }
 
     /**
-     * Captures the current image data from the video element.
+     * Captures the current image data from the video element, or from another drawable source.
      * 
+     * @param {CanvasImageSource} [image] The image to capture, the reader's source by default
      * @returns {ImageData}
      */
-    captureImageData() {
-        const { canvas, context, source: source } = this;
-        const { width, height } = canvas;
-        context.save();
-        if (this.rotate180) {
-            const halfWidth = width / 2;
-            const halfHeight = height / 2;
-            context.translate(halfWidth, halfHeight);
-            context.rotate(Math.PI);
-            context.drawImage(source, -halfWidth, -halfHeight, width, height);
-        } else {
-            context.drawImage(source, 0, 0, width, height);
+    captureImageData(image) {
+        this.assertNotDisposed();
+        // SVG displays are read from their elements and never drawn
+        return this.drawFrame(this.context, image ?? /** @type {CanvasImageSource} */ (this.source));
+    }
+
+    /**
+     * Converts a still image to image data, rotated like the live feed.  Stills are drawn on a
+     * canvas of their own so the live canvas is left alone.
+     * 
+     * @param {StillImage} image
+     * @param {{ width: number, height: number }|null} [size] The size to draw the still at, the
+     * live canvas size by default, `null` for the still's own size
+     * @returns {Promise<ImageData>}
+     */
+    async captureStill(image, size = this.canvas) {
+        this.assertNotDisposed();
+        if (image instanceof HTMLImageElement) {
+            await image.decode();
         }
-        context.restore();
-        return context.getImageData(0, 0, width, height);
+        const bitmap = image instanceof ImageBitmap ? image : await createImageBitmap(image);
+        const canvas = document.createElement('canvas');
+        canvas.width = size?.width ?? bitmap.width;
+        canvas.height = size?.height ?? bitmap.height;
+        const context = canvas.getContext('2d');
+        if (context === null) {
+            throw new Error(ERROR_STRINGS_US.badContext);
+        }
+        const imageData = this.drawFrame(context, bitmap);
+        if (bitmap !== image) {
+            bitmap.close();
+        }
+        return imageData;
     }
 
     /**
+     * Moves the reader to a new state, starting or stopping reads to match.
      * 
-     * @param {any} fillValue 
-     * @returns 
+     * @param {ReaderState} state
+     * @fires SegmentDisplayReader#statechange
      */
-    createPixelArray(fillValue = 0) {
-        return create2dArray(this.canvas.height, this.canvas.width, fillValue);
+    changeState(state) {
+        const previousState = this.state;
+        if (state === previousState) {
+            return;
+        }
+        this.state = state;
+        if (state === 'running') {
+            if (this.calibrated || this.autoCalibrator) {
+                this.scheduler.start();
+            }
+        } else {
+            this.scheduler.stop();
+        }
+        this.dispatchEvent(new CustomEvent('statechange', { detail: { state, previousState } }));
     }
 
     /**
@@ -316,663 +644,591 @@ export class SegmentDisplayReader extends EventTarget {
      * @param {number} ambientOffset The offset value to adjust ambient light threshold for segment detection
      */
     debugMask(currentData, ambientOffset = 0) {
-        const { width } = this.canvas;
-        const colors = this.debugMaskColors;
-
-        for (let digit = 0; digit < 6; digit++) {
-            const digitSegments = this.segmentSamples[digit];
-            for (let segment = 0; segment < 8; segment++) {
-                /** @type {CoordinateArray} */
-                const pixels = digitSegments[segment];
-                const length = pixels.length;
-                for (let index = 0; index < length; index++) {
-                    const [x, y] = pixels[index];
-                    const currentGray = this.getPixelGrayValue(currentData, x, y);
-                    const isOn = this.isPixelLit(currentGray, x, y, ambientOffset);
-                    const { r, g, b } = colors[digit][isOn ? 1 : 0];
-                    const pixelIndex = (y * width + x) * 4;
-                    currentData.data[pixelIndex] = r;
-                    currentData.data[pixelIndex + 1] = g;
-                    currentData.data[pixelIndex + 2] = b;
-                    currentData.data[pixelIndex + 3] = 255;
-                }
-            }
-        }
+        new OverlayPainter(this.debugMaskColors).paintDebugMask(this.engine, currentData, ambientOffset);
         this.context.putImageData(currentData, 0, 0);
     }
 
     /**
-     * Attempts to determine the locations of segments by analyzing calibration images.
+     * Attempts to determine the locations of segments by analyzing the captured calibration images.
      * 
-     * @returns {boolean}
+     * @returns {boolean|Promise<boolean>} Whether calibration succeeded, a promise only when the `analysisWorker` setting is on
+     * @fires SegmentDisplayReader#calibrated
+     * @fires SegmentDisplayReader#calibrationfailed
      */
     determineLocations() {
-        const { canvas, grayThreshold } = this;
-        const { height, width } = canvas;
-
-        // Reset calibration references to match the current canvas size
-        this.grayArray = this.createPixelArray(0);
-        this.litReference = this.createPixelArray(0);
-        this.unlitReference = this.createPixelArray(0);
-        this.backgroundMask = this.createPixelArray(0);
-
-        // Pick which calibration frame is lit vs unlit based on total brightness so order doesn't matter.
-        const [litImage, unlitImage] = this.getOrderedCalibrationImages();
-
-        /** @type {Bitmask2d} */
-        const detectablePixelArray = this.createPixelArray(0);
-
-        // For every pixel, compare its brightness in the "all on" vs "all off" images
-        // If its brightness is over a certain threshold, we mark it as "detectable"
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const onGray = this.getPixelGrayValue(litImage, x, y);
-                const offGray = this.getPixelGrayValue(unlitImage, x, y);
-                const difference = Math.abs(onGray - offGray);
-                this.litReference[y][x] = onGray;
-                this.unlitReference[y][x] = offGray;
-                this.grayArray[y][x] = difference;
-                if (difference > grayThreshold) {
-                    detectablePixelArray[y][x] = 1;
+        this.assertNotDisposed();
+        if (this.regions.size) {
+            const results = [...this.regions.keys()].map((id) => {
+                return this.calibrateRegion(id);
+            });
+            return whenSettled(this.analysisWorker ? Promise.all(results) : results, (successes) => {
+                const calibratedCount = successes.filter(Boolean).length;
+                // Regions that failed can be retried with calibrateRegion() while the rest are read
+                if (calibratedCount === 0) {
+                    if (this.autoCalibrator) {
+                        this.calibrationImages.length = 0;
+                    } else {
+                        this.resetCalibration();
+                    }
                 }
-            }
+                return calibratedCount === this.regions.size;
+            });
         }
 
-        // The way the "background" pixels work is that we mark the edges of the
-        // image as background, then we flood fill from there to find all connected pixels that
-        // are not detectable.  This will give us a bitmask of all pixels that are outside the
-        // digits and leave us with only the dark pixels that are "inside" the digits (the "holes").
-        const visited = new Set();
-        /** @type {HoleComponent[]} */
-        const holeComponents = [];
-        /** @type {BitmaskMatchFunction} */
-        const backgroundMatchFunction = (_, [x, y]) => {
-            return detectablePixelArray[y][x] === 0;
-        };
-        const backgroundPixels = this.generateBitmask(detectablePixelArray, backgroundMatchFunction);
-        this.backgroundMask = backgroundPixels;
-
-        // Check every pixel in our image
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                // We're looking for pixels that are neither detectable nor background
-                if (detectablePixelArray[y][x] === 0 && !backgroundPixels[y][x] && !visited.has(`${x},${y}`)) {
-                    // Found a hole, map out its shape
-                    const component = this.findHoleComponent(detectablePixelArray, backgroundPixels, visited, [x, y]);
-                    // Filter out noise - 10 is an arbitrary threshold
-                    if (component.pixels.length > 10) {
-                        holeComponents.push(component);
-                    }
+        const [imageA, imageB] = this.calibrationImages;
+        return whenSettled(this.calibrateEngine(this.engine, null, imageA, imageB), (success) => {
+            if (!success) {
+                if (this.autoCalibrator) {
+                    // Keep watching the stream for a better pair of frames
+                    this.calibrationImages.length = 0;
+                } else {
+                    this.resetCalibration();
                 }
             }
-        }
-
-        // If we didn't find the right number of holes, calibration failed, reset everything
-        if (holeComponents.length !== 12) {
-            alert('Not enough holes detected. Please ensure all segments are visible and in focus, then try calibrating again.');
-            this.resetCalibration();
-            return false;
-        }
-
-        // Find the center and bounding rectangle for each hole
-        holeComponents.forEach((component) => {
-            const pixelCount = component.pixels.length;
-            let sumX = 0;
-            let sumY = 0;
-            let leftX = Infinity;
-            let topY = Infinity;
-            let rightX = 0;
-            let bottomY = 0;
-
-            for (let pixelIndex = 0; pixelIndex < pixelCount; pixelIndex++) {
-                const [x, y] = component.pixels[pixelIndex];
-                sumX += x;
-                sumY += y;
-                leftX = Math.min(leftX, x);
-                topY = Math.min(topY, y);
-                rightX = Math.max(rightX, x);
-                bottomY = Math.max(bottomY, y);
+            const type = success ? 'calibrated' : 'calibrationfailed';
+            this.dispatchEvent(new CustomEvent(type, { detail: { ...this.engine.calibrationReport, region: null } }));
+            if (this.showDiagnostics) {
+                this.drawDiagnostics();
             }
-
-            // Calculate the center by finding the average position
-            component.centerX = sumX / pixelCount;
-            component.centerY = sumY / pixelCount;
-            component.rect = {
-                x: leftX,
-                y: topY,
-                width: rightX - leftX + 1,
-                height: bottomY - topY + 1
-            };
-        });
-
-        // Use k-means to group holes into 6 clusters based on their horizontal position.
-        const k = 6;
-        const componentCount = holeComponents.length;
-
-        holeComponents.sort((a, b) => {
-            return (a.centerX ?? 0) - (b.centerX ?? 0);
+            return success;
         });
+    }
 
-        let centers = [];
-        for (let index = 0; index < k; index++) {
-            centers[index] = holeComponents[Math.floor(index * componentCount / k)].centerX;
+    /**
+     * Fires the events for a decoded reading.  Readings of a display that moved too far to follow
+     * are dropped until it lines up again or is recalibrated.
+     * 
+     * @param {Reading} reading
+     * @param {string|null} [region=null] The id of the display region that was read
+     * @fires SegmentDisplayReader#change
+     * @fires SegmentDisplayReader#output
+     * @fires SegmentDisplayReader#realigned
+     * @fires SegmentDisplayReader#misaligned
+     */
+    dispatchReading({ value, digits, changed, confirmation, alignment }, region = null) {
+        if (alignment) {
+            const { status, dx, dy, error, alignedError, baseline } = alignment;
+            const type = status === 'misaligned' ? 'misaligned' : 'realigned';
+            this.dispatchEvent(new CustomEvent(type, {
+                detail: { status, dx, dy, error, alignedError, baseline, region }
+            }));
         }
-
-        let assignments = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
-        let changed = true;
-        let iteration = 0;
-
-        while (changed && iteration < 10) {
-            changed = false;
-            iteration++;
-
-            // Assign each hole to the nearest group center
-            for (let j = 0; j < componentCount; j++) {
-                let minDist = Infinity;
-                let bestK = 0;
-
-                // Check distance to each group center
-                for (let ki = 0; ki < k; ki++) {
-                    const centerX = holeComponents[j].centerX;
-                    const center = centers[ki];
-                    if (centerX === null || center === null) {
-                        continue;
-                    }
-                    const dist = Math.abs(centerX - center);
-                    if (dist < minDist) {
-                        minDist = dist;
-                        bestK = ki;
-                    }
-                }
-
-                // Switch to the new group if it's a better fit
-                if (assignments[j] !== bestK) {
-                    changed = true;
-                    assignments[j] = bestK;
-                }
-            }
-
-            // Next we'll update each group's center based on its members
-            const sums = [0, 0, 0, 0, 0, 0];
-            const counts = [0, 0, 0, 0, 0, 0];
-
-            // Add up all positions in each group
-            for (let index = 0; index < componentCount; index++) {
-                const ki = assignments[index];
-                const centerX = holeComponents[index].centerX;
-                if (centerX !== null) {
-                    sums[ki] += centerX;
-                    counts[ki]++;
-                }
-            }
-
-            // Calculate new center for each group (average position)
-            for (let index = 0; index < k; index++) {
-                const count = counts[index];
-                if (count > 0) {
-                    centers[index] = sums[index] / count;
-                }
-            }
+        const engine = region === null ? this.engine : this.regions.get(region)?.engine;
+        if (engine?.alignment.misaligned) {
+            return;
         }
-
-        /** 
-         * 6 empty arrays to hold the holes for each digit.
-         * @type {HoleComponent[][]}
-         */
-        const groups = [[], [], [], [], [], []];
-
-        // Put each hole into its assigned group
-        for (let index = 0; index < componentCount; index++) {
-            groups[assignments[index]].push(holeComponents[index]);
+        if (changed) {
+            const event = new CustomEvent('change', { detail: { value, digits, region } });
+            this.dispatchEvent(event);
+        }
+        if (confirmation) {
+            const event = new CustomEvent('output', { detail: { ...confirmation, region } });
+            this.dispatchEvent(event);
         }
+    }
 
-        // Add AvgCx to each group for sorting
-        const groupObjects = groups.map((group, index) => {
-            return {
-                group,
-                avgCx: centers[index]
-            };
-        }).sort((a, b) => {
-            return (a.avgCx ?? 0) - (b.avgCx ?? 0);
+    /**
+     * Tears the reader down: stops reading, closes the camera, terminates the analysis worker and
+     * releases the calibration buffers.  Any later call other than `dispose()` throws.
+     * 
+     * @fires SegmentDisplayReader#statechange
+     */
+    dispose() {
+        if (this.state === 'disposed') {
+            return;
+        }
+        this.changeState('disposed');
+        window.removeEventListener('beforeunload', this.unloadHandler);
+        this.scheduler.dispose();
+        this.cameraOpening = null;
+        this.camera?.stop();
+        this.analysisWorker?.dispose();
+        this.analysisWorker = null;
+        this.autoCalibrator = null;
+        this.calibrationImages.length = 0;
+        this.stillEngine = null;
+        [this.engine, ...[...this.regions.values()].map(({ engine }) => {
+            return engine;
+        })].forEach((engine) => {
+            // Resetting at zero size swaps the reference maps for empty ones
+            engine.width = 0;
+            engine.height = 0;
+            engine.reset();
         });
+        this.regions.clear();
+    }
 
-        // Use the holes to find segment pixels for each of the six digits
-        groupObjects.forEach(({ group }, digit) => {
-
-            // Each digit should have exactly 2 holes (top and bottom)
-            if (group.length !== 2) {
-                console.warn(`Digit ${digit} has ${group.length} holes, expected 2.`);
-                return;
+    /**
+     * Draws what the last calibration attempt found over a frame: detectable pixels in white,
+     * the background flood fill in blue, each hole filled with the color of the digit it was
+     * clustered into (red if it wasn't) with its bounding rectangle and centroid, lines from the
+     * hole centroids to where segments A-G are sampled (along each stroke on alphanumeric
+     * displays), and each decimal point flood fill with its origin.  Works after a failed
+     * calibration as well as a successful one.  With display regions, each region's diagnostics
+     * are drawn where the region sits in the frame.
+     * 
+     * @param {ImageData} [currentData] The frame to draw over, captured from the source by default
+     */
+    drawDiagnostics(currentData = this.captureImageData()) {
+        this.assertNotDisposed();
+        // Regions are calibrated on their own crops, so their diagnostics are shifted into place
+        const overlays = this.regions.size
+            ? [...this.regions.values()].map(({ engine, rect }) => {
+                return { diagnostics: engine.calibrationDiagnostics, rect };
+            })
+            : [{ diagnostics: this.engine.calibrationDiagnostics, rect: null }];
+        if (overlays.every(({ diagnostics }) => {
+            return !diagnostics;
+        })) {
+            return;
+        }
+        const painter = new OverlayPainter(this.debugMaskColors);
+        overlays.forEach(({ diagnostics, rect }) => {
+            if (diagnostics) {
+                painter.paintDiagnostics(diagnostics, currentData, rect);
             }
+        });
+        this.context.putImageData(currentData, 0, 0);
+    }
 
-            // Determine upper and lower holes using vertical position
-            const [upper, lower] = group.sort((a, b) => {
-                return (a.centerY ?? 0) - (b.centerY ?? 0);
-            });
-
-            // Get the segment storage for this digit
-            /** @type {Array<CoordinateArray>} */
-            const segments = this.segmentSamples[digit];
-
-            /**
-             * Adds a pixel to the specified segment if it's a detectable pixel.
-             * 
-             * @param {number} index Segment index (0-6)
-             * @param {number} x 
-             * @param {number} y 
-             */
-            const addToSeg = (index, x, y) => {
-                if (x > -1
-                    && x < width
-                    && y > -1
-                    && y < height
-                    && detectablePixelArray[y][x] === 1
-                ) {
-                    segments[index].push([x, y]);
-                }
-            };
-
-            // Distance to search for vertical & horizontal segments
-            const reach = 7;
-            const horizontalReach = 6;
-
-            // Sample segments around the upper and lower holes
-            upper.pixels.forEach(([x, y]) => {
-                // Segment A
-                addToSeg(0, x, y - horizontalReach);
-                // Segment F
-                addToSeg(5, x - reach, y);
-                // Segment B
-                addToSeg(1, x + reach, y);
-                // Segment G
-                addToSeg(6, x, y + horizontalReach);
-            });
+    /**
+     * Draws an image over the whole of a context's canvas, rotated when `rotate180` is set, and
+     * returns the pixels.
+     * 
+     * @param {CanvasRenderingContext2D} context
+     * @param {CanvasImageSource} source
+     * @returns {ImageData}
+     */
+    drawFrame(context, source) {
+        const { width, height } = context.canvas;
+        context.save();
+        if (this.rotate180) {
+            const halfWidth = width / 2;
+            const halfHeight = height / 2;
+            context.translate(halfWidth, halfHeight);
+            context.rotate(Math.PI);
+            context.drawImage(source, -halfWidth, -halfHeight, width, height);
+        } else {
+            context.drawImage(source, 0, 0, width, height);
+        }
+        context.restore();
+        return context.getImageData(0, 0, width, height);
+    }
 
-            lower.pixels.forEach(([x, y]) => {
-                // No need to sample G again
-                // Segment E
-                addToSeg(4, x - reach, y);
-                // Segment C
-                addToSeg(2, x + reach, y);
-                // Segment D
-                addToSeg(3, x, y + horizontalReach);
-            });
+    /**
+     * Serializes the current calibration, including the rotation in use, as a versioned document.
+     * 
+     * @returns {CalibrationDocument}
+     */
+    exportCalibration() {
+        this.assertNotDisposed();
+        return { ...this.engine.exportCalibration(), rotate180: this.rotate180 };
+    }
 
-            // Find the decimal point by locating the rightmost and bottommost pixels
-            // from the segment samples, then finding their intersection and flood filling from there
-            let rightmostX = -1;
-            let bottommostY = -1;
-
-            // Go through all segments (0-6) to find rightmost and bottommost pixels
-            for (let segmentIndex = 0; segmentIndex < 7; segmentIndex++) {
-                const segmentPixels = segments[segmentIndex];
-                const segmentPixelCount = segmentPixels.length;
-                for (let pixelIndex = 0; pixelIndex < segmentPixelCount; pixelIndex++) {
-                    const [px, py] = segmentPixels[pixelIndex];
-                    if (px > rightmostX) {
-                        rightmostX = px;
-                    }
-                    if (py > bottommostY) {
-                        bottommostY = py;
-                    }
-                }
-            }
+    /**
+     * Describes how the analysis worker should draw the source's frames.
+     * 
+     * @returns {FrameOptions}
+     */
+    frameOptions() {
+        const { width, height } = this.canvas;
+        return { width, height, rotate180: this.rotate180 };
+    }
 
-            // Find the intersection point
-            if (rightmostX !== -1 && bottommostY !== -1) {
-                // The intersection is where a line going down from rightmost meets a line going right from bottommost
-                const dpPixels = this.floodFillDecimalPoint(rightmostX + 2, bottommostY + 2);
-                segments[7] = dpPixels;
-            }
-        });
+    /**
+     * Clears the calibration when the camera switched or changed resolution, since the display no
+     * longer sits where it was found.  Focus, exposure and frame rate changes keep it.
+     *
+     * @param {{ deviceId: string|null, settings: MediaTrackSettings, previousSettings: MediaTrackSettings|null }} change
+     * @returns {boolean} Whether the calibration was cleared and the display needs calibrating again
+     */
+    handleCameraChange({ deviceId, settings, previousSettings }) {
+        if (previousSettings === null) {
+            return false;
+        }
+        const moved = deviceId !== (previousSettings.deviceId ?? null)
+            || settings.width !== previousSettings.width
+            || settings.height !== previousSettings.height;
+        const hadCalibration = this.calibrated || this.calibrationImages.length > 0 || this.autoCalibrator !== null;
+        if (!moved || !hadCalibration) {
+            return false;
+        }
+        this.resetCalibration();
         return true;
     }
 
     /**
-     * Estimate a consistent brightness offset between the calibration images and the current frame.
-     * Samples background pixels so we can normalize frames shot in brighter or darker conditions.
+     * Restores a calibration produced by {@link exportCalibration} and starts reading.  Calibrations
+     * captured at a different canvas size are rejected unless `options.rescale` is set.
      * 
-     * @param {ImageData} currentData
-     * @returns {number} The estimated brightness offset in grayscale units between the calibration images and the current frame.
+     * @param {CalibrationDocument|string} calibration The calibration document or its JSON text
+     * @param {CalibrationImportOptions} [options]
      */
-    estimateAmbientOffset(currentData) {
-        if (!this.backgroundMask || !this.backgroundMask.length) {
-            return 0;
+    importCalibration(calibration, options) {
+        this.assertNotDisposed();
+        const calibrationDocument = typeof calibration === 'string' ? JSON.parse(calibration) : calibration;
+        this.scheduler.stop();
+        this.engine.importCalibration(calibrationDocument, options);
+        if (this.analysisWorker) {
+            this.reportFailure(this.analysisWorker.importCalibration(this.engine, null, calibrationDocument, options));
         }
-
-        const { width, height } = this.canvas;
-        // Keep the sampling light so it can run each frame without impacting performance.
-        const stepY = Math.max(1, Math.floor(height / 40));
-        const stepX = Math.max(1, Math.floor(width / 40));
-        let sum = 0;
-        let count = 0;
-
-        for (let y = 0; y < height; y += stepY) {
-            const maskRow = this.backgroundMask[y];
-            const unlitRow = this.unlitReference[y];
-            if (!maskRow || !unlitRow) {
-                continue;
-            }
-            for (let x = 0; x < width; x += stepX) {
-                if (maskRow[x]) {
-                    const pixelGray = this.getPixelGrayValue(currentData, x, y);
-                    sum += pixelGray - unlitRow[x];
-                    count++;
-                }
-            }
+        this.stillEngine = null;
+        if (typeof calibrationDocument.rotate180 === 'boolean') {
+            this.rotate180 = calibrationDocument.rotate180;
         }
+        this.calibrationImages.length = 0;
+        this.startReading();
+    }
 
-        if (count === 0) {
-            return 0;
+    /**
+     * Opens the camera.  If the reader is stopped or disposed before it opens, the camera is closed
+     * again straight away.
+     * 
+     * @returns {Promise<boolean>} Whether the camera opened and is still wanted
+     * @fires SegmentDisplayReader#cameraerror
+     */
+    async openCamera() {
+        const camera = /** @type {CameraController} */ (this.camera);
+        const opening = camera.start();
+        this.cameraOpening = opening;
+        const opened = await opening;
+        if (this.cameraOpening !== opening) {
+            camera.stop();
+            return false;
         }
-
-        return sum / count;
+        this.cameraOpening = null;
+        return opened;
     }
 
     /**
-     * Finds a connected hole component using flood fill.
+     * Stops reading without losing the calibration.  The camera keeps streaming, so reading picks
+     * up straight away on {@link resume}.
      * 
-     * @param {Bitmask2d} pixelArray 
-     * @param {Bitmask2d} background 
-     * @param {Set<string>} visited 
-     * @param {Coordinate} startCoordinate
-     * @returns {HoleComponent}
-     */
-    findHoleComponent(pixelArray, background, visited, startCoordinate) {
-        /** @type {BitmaskMatchFunction} */
-        const holeMatchFunction = (_, [x, y]) => {
-            const key = `${x},${y}`;
-            if (visited.has(key)) {
-                return false;
-            }
-            visited.add(key);
-            return pixelArray[y][x] === 0 && !background[y][x];
-        };
-        const bitmask = this.generateBitmask(pixelArray, holeMatchFunction, undefined, [startCoordinate]);
-        return {
-            pixels: this.bitmaskToPixelArray(bitmask),
-            centerX: null,
-            centerY: null,
-            rect: null
-        };
+     * @fires SegmentDisplayReader#statechange
+     */
+    pause() {
+        this.assertNotDisposed();
+        if (this.state === 'running') {
+            this.changeState('paused');
+        }
     }
 
     /**
-     * Flood fill to find decimal point pixels
+     * Decodes a single still image, such as a photo of the trainer.  The reader's current
+     * calibration is used, every calibrated region's when there are regions, unless `lit` and
+     * `unlit` stills are supplied.  Then a separate engine is calibrated from them, at the lit
+     * still's size, and keeps decoding later stills until the live calibration is reset or
+     * replaced.  Stills are drawn on a canvas of their own and rotated like the live feed when
+     * `rotate180` is set.  Live readings are not affected.
      * 
-     * @param {number} startX - Starting x coordinate
-     * @param {number} startY - Starting y coordinate
-     * @returns {CoordinateArray} Array of [x, y] coordinates for decimal point pixels
-     */
-    floodFillDecimalPoint(startX, startY) {
-        /** @param {any} value */
-        const bitmaskTestFunction = (value) => {
-            return value > this.floodFillDpThreshold;
-        };
+     * @param {StillImage} image The still to decode
+     * @param {StillReadOptions} [options]
+     * @returns {Promise<ReaderStillReading>} The decoded value and per-digit segment data
+     * @fires SegmentDisplayReader#calibrated
+     * @fires SegmentDisplayReader#calibrationfailed
+     */
+    async read(image, { lit, unlit } = {}) {
+        this.assertNotDisposed();
+        if (lit || unlit) {
+            if (!lit || !unlit) {
+                throw new Error(ERROR_STRINGS_US.unpairedStill);
+            }
+            const litFrame = await this.captureStill(lit, null);
+            const unlitFrame = await this.captureStill(unlit, litFrame);
+            const engine = new SegmentDisplayEngine(this.engine.configuration, litFrame.width, litFrame.height);
+            const success = engine.calibrate(litFrame, unlitFrame);
+            const type = success ? 'calibrated' : 'calibrationfailed';
+            this.dispatchEvent(new CustomEvent(type, { detail: { ...engine.calibrationReport, region: null } }));
+            if (!success) {
+                throw new Error(ERROR_STRINGS_US.stillCalibrationFailed);
+            }
+            this.stillEngine = engine;
+        }
 
-        const mask = this.generateBitmask(this.grayArray, bitmaskTestFunction, undefined, [[startX, startY]]);
-        const maskedCoordinates = this.bitmaskToPixelArray(mask);
+        const { stillEngine } = this;
+        if (stillEngine) {
+            return stillEngine.decodeFrame(await this.captureStill(image, stillEngine));
+        }
+        // SVG readers count as calibrated but have nothing to decode pixels with
+        if (!(this.regions.size ? this.calibrated : this.engine.calibrated)) {
+            throw new Error(ERROR_STRINGS_US.notCalibrated);
+        }
+        const frame = await this.captureStill(image);
+        if (!this.regions.size) {
+            return this.engine.decodeFrame(frame);
+        }
 
-        // Sometimes, especially when camera lens is blurry, the dp pixels bleed over to the other segments and end up
-        // tracing around their edges.  To prevent this, we'll only keep pixels that are very close to the starting point.
-        const sanitizedMaskCoordinates = maskedCoordinates.filter(([x, y]) => {
-            return x > startX - 6
-                && x < startX + 6
-                && y > startY - 6
-                && y < startY + 6;
+        /** @type {Record<string, StillReading>} */
+        const regions = {};
+        this.regions.forEach((region) => {
+            if (region.engine.calibrated) {
+                regions[region.id] = region.engine.decodeFrame(region.crop(frame));
+            }
         });
-        return sanitizedMaskCoordinates;
+        const readings = Object.values(regions);
+        return {
+            value: readings.map(({ value }) => {
+                return value;
+            }).join('\n'),
+            digits: readings.flatMap(({ digits }) => {
+                return digits;
+            }),
+            ambientOffset: readings.reduce((sum, { ambientOffset }) => {
+                return sum + ambientOffset;
+            }, 0) / readings.length,
+            regions
+        };
     }
 
     /**
-     * Flood fill over a 2D matrix with a predicate.
-     * @template T
-     * @param {Array<Array<T>>} testArray 2D source matrix
-     * @param {(value: T, coord: Coordinate, matrix: Array<Array<T>>) => boolean} testFunction Predicate deciding whether to include a cell
-     * @param {Bitmask2d} [result] Optional output matrix
-     * @param {CoordinateArray} [queue] Initial queue of coordinates
-     * @returns {Bitmask2d}
+     * Reads the current display values from the video feed, or from the segment elements of an
+     * SVG display.  With an analysis worker the events fire once the worker has sampled the frame.
+     * 
+     * @returns {Array<RegionReading>|Promise<Array<RegionReading>>} The reading of the whole frame or
+     * of every calibrated region.  A promise when analysis runs in a worker, empty when the worker
+     * was still busy with the previous frame.
+     * @fires SegmentDisplayReader#change
+     * @fires SegmentDisplayReader#output
      */
-    generateBitmask(testArray, testFunction, result, queue = []) {
-        if (!testFunction) {
-            return Array.from(testArray.map((row) => {
-                return row.map((value) => {
-                    return !!value ? 1 : 0;
-                });
-            }));
+    readDisplays() {
+        this.assertNotDisposed();
+        if (this.svgSource) {
+            const reading = this.engine.decodeDigits(this.svgSource.read());
+            this.dispatchReading(reading);
+            return [{ region: null, reading }];
         }
-
-        if (result === undefined || !Array.isArray(result)) {
-            result = this.createPixelArray(0);
+        if (this.analysisWorker) {
+            return this.readInWorker(this.analysisWorker);
         }
 
-        if (queue.length === 0) {
-            queue.push([0, 0]);
+        const currentData = this.captureImageData();
+        if (this.regions.size) {
+            /** @type {Array<RegionReading>} */
+            const readings = [];
+            // Every region is cut from the same capture
+            this.regions.forEach((region) => {
+                if (region.engine.calibrated) {
+                    const reading = region.engine.readDisplays(region.crop(currentData));
+                    this.dispatchReading(reading, region.id);
+                    readings.push({ region: region.id, reading });
+                }
+            });
+            if (this.showDiagnostics) {
+                this.drawDiagnostics(currentData);
+            }
+            return readings;
         }
 
-        const visited = new Set();
-        const directions = [
-            [-1, -1], [0, -1], [1, -1],
-            [-1, 0], [1, 0],
-            [-1, 1], [0, 1], [1, 1]
-        ];
+        const reading = this.engine.readDisplays(currentData);
+        this.dispatchReading(reading);
 
-        while (queue.length) {
-            const next = queue.shift();
-
-            if (!next) {
-                break;
-            }
+        if (this.showDiagnostics) {
+            this.drawDiagnostics(currentData);
+        } else if (this.showDebugMask) {
+            this.debugMask(currentData, reading.ambientOffset);
+        }
+        return [{ region: null, reading }];
+    }
 
-            const [x, y] = next;
-
-            for (const [dx, dy] of directions) {
-                const nx = x + dx;
-                const ny = y + dy;
-                const key = `${nx},${ny}`;
-                const row = testArray[ny];
-                if (!visited.has(key) && row) {
-                    visited.add(key);
-                    if (testFunction(row[nx], [nx, ny], testArray)) {
-                        result[ny][nx] = 1;
-                        queue.push([nx, ny]);
+    /**
+     * Sends the current frame to the analysis worker and decodes the segment states it samples.
+     * Glyph lookup and confirmation stay on the main thread.  Frames that arrive while the worker
+     * is busy are skipped.
+     * 
+     * @param {AnalysisWorker} analysisWorker
+     * @returns {Promise<Array<RegionReading>>} The readings decoded, empty when the frame was skipped or failed
+     * @fires SegmentDisplayReader#change
+     * @fires SegmentDisplayReader#output
+     * @fires SegmentDisplayReader#error
+     */
+    readInWorker(analysisWorker) {
+        if (this.readPending) {
+            return Promise.resolve([]);
+        }
+        this.readPending = true;
+        /** @type {FrameOptions} */
+        const options = {
+            ...this.frameOptions(),
+            overlay: this.showDiagnostics ? 'diagnostics' : (this.showDebugMask ? 'debugMask' : null),
+            colors: this.debugMaskColors
+        };
+        const read = analysisWorker.read(/** @type {AnalysisSource} */ (this.source), options).then(({ readings, overlay }) => {
+            /** @type {Array<RegionReading>} */
+            const decoded = [];
+            readings.forEach(({ region, digits, ambientOffset, alignment }) => {
+                const engine = region === null ? this.engine : this.regions.get(region)?.engine;
+                // Calibration may have been reset while the frame was being analyzed
+                if (engine?.calibrated) {
+                    if (alignment) {
+                        engine.applyAlignment(alignment);
                     }
+                    const reading = { ...engine.decodeDigits(digits, ambientOffset), alignment };
+                    this.dispatchReading(reading, region);
+                    decoded.push({ region, reading });
                 }
+            });
+            if (overlay) {
+                this.context.drawImage(overlay, 0, 0);
+                overlay.close();
             }
-        }
-        return result;
+            return decoded;
+        });
+        this.reportFailure(read);
+        return read.catch(() => {
+            return /** @type {Array<RegionReading>} */ ([]);
+        }).finally(() => {
+            this.readPending = false;
+        });
     }
 
     /**
-     * Returns the lit/unlit images in correct order by comparing overall brightness.
-     * 
-     * @returns {[ImageData, ImageData]}
+     * Compares segment pixels to current image data to improve accuracy over time.
      */
-    getOrderedCalibrationImages() {
-        const [imageA, imageB] = this.calibrationImages;
-        if (!imageA || !imageB) {
-            return [imageA, imageB];
-        }
-        const aData = imageA.data;
-        const bData = imageB.data;
-        const length = aData.length;
-        let sumA = 0;
-        let sumB = 0;
-        for (let index = 0; index < length; index += 4) {
-            sumA += aData[index] + aData[index + 1] + aData[index + 2];
-            sumB += bData[index] + bData[index + 1] + bData[index + 2];
+    refine() {
+        this.assertNotDisposed();
+        if (this.analysisWorker) {
+            this.reportFailure(this.analysisWorker.refine(this.engine, /** @type {AnalysisSource} */ (this.source), this.frameOptions()));
+            return;
         }
-        return sumA > sumB
-            ? [imageA, imageB]
-            : [imageB, imageA];
+        this.engine.refine(this.captureImageData());
     }
 
     /**
-     * Calculates the grayscale value of the pixel at the specified coordinates from the image data.
+     * Removes a display region.
      * 
-     * @param {ImageData} pixelGrid 
-     * @param {number} x 
-     * @param {number} y 
-     * @returns {number}
+     * @param {string} id The region id
+     * @returns {boolean} Whether the region existed
      */
-    getPixelGrayValue({ data }, x, y) {
-        const { width } = this.canvas;
-        const index = (y * width + x) * 4;
-        const gray = (data[index] + data[index + 1] + data[index + 2]) / 3;
-        return gray;
+    removeRegion(id) {
+        this.assertNotDisposed();
+        if (this.analysisWorker) {
+            this.reportFailure(this.analysisWorker.removeRegion(id));
+        }
+        return this.regions.delete(id);
     }
 
     /**
-     * Determines if a pixel is closer to the lit or unlit calibration sample, normalized for brightness shifts.
+     * Reports a worker request nothing waits on through an `error` event if it fails.  Disposing
+     * the reader stops the worker mid-request, which is not reported.
      * 
-     * @param {number} pixelGray Current grayscale value
-     * @param {number} x X coordinate
-     * @param {number} y Y coordinate
-     * @param {number} [ambientOffset=0] Adjustment to account for ambient light change
-     * @returns {boolean}
+     * @param {Promise<unknown>} request
+     * @fires SegmentDisplayReader#error
      */
-    isPixelLit(pixelGray, x, y, ambientOffset = 0) {
-        const litRow = this.litReference[y];
-        const unlitRow = this.unlitReference[y];
+    reportFailure(request) {
+        request.catch((error) => {
+            if (this.state !== 'disposed') {
+                const reason = error instanceof Error ? error : new Error(String(error));
+                this.dispatchEvent(new CustomEvent('error', { detail: { error: reason, message: reason.message } }));
+            }
+        });
+    }
 
-        if (!litRow || !unlitRow) {
-            const fallbackRow = this.grayArray[y];
-            return pixelGray > (fallbackRow ? fallbackRow[x] : 0);
+    /**
+     * Resets the calibration state.
+     */
+    resetCalibration() {
+        this.assertNotDisposed();
+        this.scheduler.stop();
+        this.autoCalibrator = null;
+        this.calibrationImages.length = 0;
+        this.stillEngine = null;
+        this.engine.reset();
+        this.regions.forEach((region) => {
+            region.engine.reset();
+        });
+        if (this.analysisWorker) {
+            this.reportFailure(this.analysisWorker.reset());
         }
-
-        const litGray = litRow[x];
-        const unlitGray = unlitRow[x];
-        const adjustedGray = pixelGray - ambientOffset;
-
-        const range = Math.max(Math.abs(litGray - unlitGray), 1);
-        const distanceToLit = Math.abs(adjustedGray - litGray) / range;
-        const distanceToUnlit = Math.abs(adjustedGray - unlitGray) / range;
-
-        return distanceToLit <= distanceToUnlit;
     }
 
     /**
-     * Reads the current display values from the video feed.
+     * Carries on reading after {@link pause}.  A stopped reader needs {@link start} to reopen its
+     * camera.
      * 
-     * @fires SegmentDisplayReader#change
-     * @fires SegmentDisplayReader#output
+     * @fires SegmentDisplayReader#statechange
      */
-    readDisplays() {
-        const currentData = this.captureImageData();
-        const ambientOffset = this.estimateAmbientOffset(currentData);
-        let result = '';
-        for (let digit = 0; digit < 6; digit++) {
-            const digitSegments = this.segmentSamples[digit];
-            let bitmask = 0;
-            let lightDecimalPoint = false;
-
-            for (let segment = 0; segment < 8; segment++) {
-                /** @type {CoordinateArray} */
-                const pixels = digitSegments[segment];
-                const pixelCount = pixels.length;
-                let toLight = Math.floor(pixelCount * 0.5);
-                for (let pixelIndex = 0; pixelIndex < pixelCount; pixelIndex++) {
-                    const [x, y] = pixels[pixelIndex];
-                    const pixelGray = this.getPixelGrayValue(currentData, x, y);
-                    if (this.isPixelLit(pixelGray, x, y, ambientOffset)) {
-                        if (--toLight === 0) {
-                            if (segment === 7) {
-                                lightDecimalPoint = true;
-                            } else {
-                                bitmask += (1 << segment);
-                            }
-                            break;
-                        }
-                    }
-                }
-            }
-            result += SegmentDisplayReader.charMap[bitmask] || '􏿾';
-            if (lightDecimalPoint) {
-                result += '.';
-            }
+    resume() {
+        this.assertNotDisposed();
+        if (this.state === 'paused') {
+            this.changeState('running');
         }
+    }
 
-        // Correct for Stack Pointer & Index Register notation
-        if (result[2] === '.') {
-            if (result.startsWith('5P')) {
-                // Should be 'SP' not '5P'
-                result = `S${result.slice(1)}`;
-            } else if (result.startsWith('1n')) {
-                // Should be 'In' not '1n'
-                result = `I${result.slice(1)}`;
+    /**
+     * Starts reading after {@link pause} or {@link stop}, reopening the camera if it was closed.
+     * Readers start out running, so this is only needed to restart them.
+     * 
+     * @returns {Promise<boolean>} Whether the reader is running, `false` if the camera failed to open
+     * @fires SegmentDisplayReader#statechange
+     * @fires SegmentDisplayReader#cameraerror
+     */
+    async start() {
+        this.assertNotDisposed();
+        if (this.state === 'stopped' && this.camera && !this.camera.stream) {
+            if (!await this.openCamera()) {
+                return false;
             }
         }
+        this.changeState('running');
+        return true;
+    }
 
-        if (this.lastDisplay !== result) {
-            const event = new CustomEvent('change', { detail: { value: result } });
-            this.dispatchEvent(event);
-            this.consistentOutputCount = 0;
-            this.lastDisplay = result;
-        } else {
-            if (this.consistentOutputCount++ === 3) {
-                const event = new CustomEvent('output', { detail: { value: result } });
-                this.dispatchEvent(event);
-            }
-        }
+    /**
+     * Starts hands-free calibration.  The reader watches the stream, keeps the darkest and the
+     * brightest stable frames, and calibrates from them as soon as they differ enough.  Power
+     * the trainer down to standby, then short the segment test terminals, in either order.
+     * 
+     * @param {AutoCalibratorOptions} [options]
+     * @fires SegmentDisplayReader#autocalibrationprogress
+     */
+    startAutoCalibration(options = {}) {
+        this.assertNotDisposed();
+        this.resetCalibration();
+        this.autoCalibrator = new AutoCalibrator({ grayThreshold: this.grayThreshold, ...options });
+        this.startReading();
+    }
 
-        if (this.showDebugMask) {
-            this.debugMask(currentData, ambientOffset);
+    /**
+     * Starts the scheduler unless the reader is paused or stopped, in which case reading starts
+     * when it runs again.
+     */
+    startReading() {
+        if (this.state === 'running') {
+            this.scheduler.start();
         }
     }
 
     /**
-     * Compares segment pixels to current image data to improve accuracy over time.
+     * Reads the current frame once.  This is how a reader using the `manual` scheduler advances,
+     * but it works in every mode.
      */
-    refine() {
-        const currentData = this.captureImageData();
-        const ambientOffset = this.estimateAmbientOffset(currentData);
-        for (let digit = 0; digit < 6; digit++) {
-            const digitSegments = this.segmentSamples[digit];
-            for (let segment = 0; segment < 8; segment++) {
-                const litPixels = [];
-                const offPixels = [];
-                /** @type {CoordinateArray} */
-                const pixels = digitSegments[segment];
-                const pixelCount = pixels.length;
-                for (let pixelIndex = 0; pixelIndex < pixelCount; pixelIndex++) {
-                    const [x, y] = pixels[pixelIndex];
-                    const pixelGray = this.getPixelGrayValue(currentData, x, y);
-                    if (this.isPixelLit(pixelGray, x, y, ambientOffset)) {
-                        litPixels.push([x, y]);
-                    } else {
-                        offPixels.push([x, y]);
-                    }
-                }
-                const highLimit = Math.floor(pixelCount * 0.7);
-                if (litPixels.length > highLimit) {
-                    digitSegments[segment] = /** @type {CoordinateArray} */ (litPixels);
-                } else if (offPixels.length > highLimit) {
-                    digitSegments[segment] = /** @type {CoordinateArray} */ (offPixels);
-                }
-            }
+    step() {
+        this.assertNotDisposed();
+        if (this.calibrated) {
+            this.scheduler.step();
         }
     }
 
     /**
-     * Resets the calibration state.
+     * Stops reading and closes the camera, keeping the calibration.  Call {@link start} to carry on.
+     * 
+     * @fires SegmentDisplayReader#statechange
      */
-    resetCalibration() {
-        this.worker.postMessage('readStop');
-        this.backgroundMask = this.createPixelArray(0);
-        this.calibrated = false;
-        this.calibrationImages.length = 0;
-        this.consistentOutputCount = 0;
-        this.grayArray = this.createPixelArray(0);
-        this.lastDisplay = null;
-        this.litReference = this.createPixelArray(0);
-        this.segmentSamples = [
-            [[], [], [], [], [], [], [], []],
-            [[], [], [], [], [], [], [], []],
-            [[], [], [], [], [], [], [], []],
-            [[], [], [], [], [], [], [], []],
-            [[], [], [], [], [], [], [], []],
-            [[], [], [], [], [], [], [], []]
-        ];
-        this.unlitReference = this.createPixelArray(0);
+    stop() {
+        this.assertNotDisposed();
+        this.cameraOpening = null;
+        this.camera?.stop();
+        this.changeState('stopped');
+    }
+
+    /**
+     * Stops auto-calibration without calibrating.
+     */
+    stopAutoCalibration() {
+        this.assertNotDisposed();
+        this.autoCalibrator = null;
+        if (!this.calibrated) {
+            this.scheduler.stop();
+        }
     }
 }
@@ -5,13 +5,94 @@
  * @property {number} b - Blue component
  */
 
+import { DisplayType } from './DisplayType.js';
+import { GlyphSet } from './GlyphSet.js';
+import { PixelClassifier } from './PixelClassifier.js';
+
+/** @typedef {import('./CameraController.js').CameraConstraints} CameraConstraints */
+/** @typedef {import('./SegmentDisplayEngine.js').DisplayPolarity} DisplayPolarity */
+/** @typedef {import('./DisplayType.js').DisplayTypeName} DisplayTypeName */
+/** @typedef {import('./PixelClassifier.js').PixelClassifierMode} PixelClassifierMode */
+/** @typedef {import('./SegmentFilter.js').SegmentFilterMode} SegmentFilterMode */
+/** @typedef {import('./StabilityPolicy.js').ConfirmationStrategy} ConfirmationStrategy */
+/** @typedef {import('./ReadScheduler.js').ReadSchedulerMode} ReadSchedulerMode */
+
 export class SegmentDisplayReaderConfiguration {
+    #alignmentCheckInterval;
+    #analysisWorker;
+    #blinkWindow;
+    /** @type {CameraConstraints} */
+    #cameraConstraints;
+    #confirmationFrames;
+    /** @type {ConfirmationStrategy} */
+    #confirmationStrategy;
+    #confirmationWindow;
     #debugMaskColors;
     #decimalPointFloodFillThreshold;
+    /** @type {GlyphSet|null} */
+    #defaultGlyphSet;
+    /** @type {DisplayTypeName} */
+    #displayType;
+    /** @type {GlyphSet|null} */
+    #glyphSet;
     #grayThreshold;
+    #maxAlignmentShift;
+    /** @type {PixelClassifierMode} */
+    #pixelClassifier;
+    /** @type {DisplayPolarity|'auto'} */
+    #polarity;
+    #readInterval;
+    /** @type {ReadSchedulerMode} */
+    #readScheduler;
     #rotate180;
+    #rowLayout;
+    #segmentAttack;
+    #segmentDecay;
+    /** @type {SegmentFilterMode} */
+    #segmentFilter;
 
     constructor() {
+        /**
+         * The number of frames between checks that the display is still where it was calibrated.
+         * `0` turns the checks off.
+         * @type {number}
+         */
+        this.#alignmentCheckInterval = 15;
+
+        /**
+         * Whether to calibrate, sample frames and draw overlays in a worker when the browser
+         * supports `OffscreenCanvas`.  Off by default, since calibration methods then return
+         * promises instead of booleans.
+         * @type {boolean}
+         */
+        this.#analysisWorker = false;
+
+        /**
+         * The constraints the webcam is opened with, such as `deviceId`, `width`, `height`,
+         * `frameRate`, `focusMode` or `exposureMode`.  Empty lets the browser choose.
+         * @type {CameraConstraints}
+         */
+        this.#cameraConstraints = {};
+
+        /**
+         * How readings are confirmed before an `output` event fires:
+         * `consecutive`, `majority` or `perDigit`.
+         * @type {ConfirmationStrategy}
+         */
+        this.#confirmationStrategy = 'consecutive';
+
+        /**
+         * The number of identical consecutive frames the `consecutive` strategy needs.
+         * @type {number}
+         */
+        this.#confirmationFrames = 5;
+
+        /**
+         * The sliding window length, in frames, the `majority` and `perDigit` strategies vote over.
+         * @type {number}
+         */
+        this.#confirmationWindow = 7;
+
         /**
          * The minimum required difference in gray value to consider a pixel part
          * of the decimal point during flood fill. pixelGrayValue = (r + g + b) / 3
@@ -25,12 +106,100 @@ export class SegmentDisplayReaderConfiguration {
          */
         this.#grayThreshold = 90;
 
+        /**
+         * How pixel colors are turned into the values both thresholds apply to: `average`,
+         * `red`, `green`, `blue`, `luma` or `ledColor`, see {@link PixelClassifier}.  A single
+         * channel or `ledColor` keeps more of a colored LED's signal and ignores white glare.
+         * @type {PixelClassifierMode}
+         */
+        this.#pixelClassifier = 'average';
+
+        /**
+         * Whether active segments are brighter than the display around them (`lightOnDark`, like
+         * LEDs) or darker (`darkOnLight`, like reflective LCDs).  `auto` tells from the
+         * calibration frames.
+         * @type {DisplayPolarity|'auto'}
+         */
+        this.#polarity = 'auto';
+
+        /**
+         * The largest movement of the display, in pixels along either axis, that the calibration
+         * follows by itself.  Larger movements fire `misaligned` and need recalibrating.
+         * @type {number}
+         */
+        this.#maxAlignmentShift = 6;
+
+        /**
+         * The kind of digits on the display: `sevenSegment`, or `fourteenSegment` and
+         * `sixteenSegment` for alphanumeric displays.  Decides the segment layout, the holes
+         * calibration looks for and the default glyph table, see {@link DisplayType}.
+         * @type {DisplayTypeName}
+         */
+        this.#displayType = 'sevenSegment';
+
+        /**
+         * The glyph table and context rules used to turn segment masks into characters.
+         * `null` uses the display type's table: the ET-3400 preset for seven segment displays,
+         * printable ASCII for the others.  Use `GlyphSet.hex()` for hex-only readouts.
+         * @type {GlyphSet|null}
+         */
+        this.#glyphSet = null;
+        this.#defaultGlyphSet = null;
+
+        /**
+         * When to read the source: `interval` reads every `readInterval` milliseconds,
+         * `videoFrame` reads once per decoded video frame and `manual` only reads
+         * when `step()` is called.
+         * @type {ReadSchedulerMode}
+         */
+        this.#readScheduler = 'interval';
+
+        /**
+         * The period between reads in `interval` mode, in milliseconds.
+         * @type {number}
+         */
+        this.#readInterval = 100;
+
         /**
          * Whether to rotate the video feed 180 degrees.
          * @type {boolean}
          */
         this.#rotate180 = true;
 
+        /**
+         * The number of digits on each row of the display, top row first.
+         * The ET-3400 has a single row of six digits.
+         * @type {Array<number>}
+         */
+        this.#rowLayout = [6];
+
+        /**
+         * How segment states are filtered across frames to ride out LED multiplexing and
+         * rolling-shutter flicker: `none`, `smooth` or `blink`, see {@link SegmentFilter}.
+         * @type {SegmentFilterMode}
+         */
+        this.#segmentFilter = 'none';
+
+        /**
+         * How far a segment's level moves towards a higher lit fraction each frame, from 0 to 1.
+         * @type {number}
+         */
+        this.#segmentAttack = 1;
+
+        /**
+         * How far a segment's level moves towards a lower lit fraction each frame, from 0 to 1.
+         * Lower values hold segments on through more dark frames.
+         * @type {number}
+         */
+        this.#segmentDecay = 0.35;
+
+        /**
+         * The number of recent frames the `blink` filter looks for a blinking pattern in.  It
+         * needs about two and a half blink periods.
+         * @type {number}
+         */
+        this.#blinkWindow = 30;
+
         /** @type {Array<Array<Pixel>>} */
         this.#debugMaskColors = [[
             { r: 82, g: 4, b: 10 },
@@ -53,6 +222,76 @@ export class SegmentDisplayReaderConfiguration {
         ]];
     }
 
+    get alignmentCheckInterval() {
+        return this.#alignmentCheckInterval;
+    }
+
+    set alignmentCheckInterval(value) {
+        if (Number.isInteger(value) && value >= 0) {
+            this.#alignmentCheckInterval = value;
+        }
+    }
+
+    get analysisWorker() {
+        return this.#analysisWorker;
+    }
+
+    set analysisWorker(value) {
+        if (typeof value === 'boolean') {
+            this.#analysisWorker = value;
+        }
+    }
+
+    get blinkWindow() {
+        return this.#blinkWindow;
+    }
+
+    set blinkWindow(value) {
+        if (Number.isInteger(value) && value >= 4) {
+            this.#blinkWindow = value;
+        }
+    }
+
+    get cameraConstraints() {
+        return { ...this.#cameraConstraints };
+    }
+
+    set cameraConstraints(value) {
+        if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+            this.#cameraConstraints = { ...value };
+        }
+    }
+
+    get confirmationFrames() {
+        return this.#confirmationFrames;
+    }
+
+    set confirmationFrames(value) {
+        if (Number.isInteger(value) && value > 0) {
+            this.#confirmationFrames = value;
+        }
+    }
+
+    get confirmationStrategy() {
+        return this.#confirmationStrategy;
+    }
+
+    set confirmationStrategy(value) {
+        if (value === 'consecutive' || value === 'majority' || value === 'perDigit') {
+            this.#confirmationStrategy = value;
+        }
+    }
+
+    get confirmationWindow() {
+        return this.#confirmationWindow;
+    }
+
+    set confirmationWindow(value) {
+        if (Number.isInteger(value) && value > 0) {
+            this.#confirmationWindow = value;
+        }
+    }
+
     get debugMaskColors() {
         return this.#debugMaskColors;
     }
@@ -71,6 +310,49 @@ export class SegmentDisplayReaderConfiguration {
         }
     }
 
+    /**
+     * The total number of digits across all rows.
+     */
+    get digitCount() {
+        return this.#rowLayout.reduce((sum, count) => {
+            return sum + count;
+        }, 0);
+    }
+
+    /**
+     * Setting the digit count directly describes a single row display.
+     */
+    set digitCount(value) {
+        if (Number.isInteger(value) && value > 0) {
+            this.#rowLayout = [value];
+        }
+    }
+
+    get displayType() {
+        return this.#displayType;
+    }
+
+    set displayType(value) {
+        if (DisplayType.names.includes(value) && value !== this.#displayType) {
+            this.#displayType = value;
+            this.#defaultGlyphSet = null;
+        }
+    }
+
+    /**
+     * The glyph set that was set, or else the display type's default table.
+     * @type {GlyphSet}
+     */
+    get glyphSet() {
+        return this.#glyphSet ?? (this.#defaultGlyphSet ??= DisplayType.named(this.#displayType).createGlyphSet());
+    }
+
+    set glyphSet(value) {
+        if (value instanceof GlyphSet) {
+            this.#glyphSet = value;
+        }
+    }
+
     get grayThreshold() {
         return this.#grayThreshold;
     }
@@ -81,6 +363,56 @@ export class SegmentDisplayReaderConfiguration {
         }
     }
 
+    get maxAlignmentShift() {
+        return this.#maxAlignmentShift;
+    }
+
+    set maxAlignmentShift(value) {
+        if (Number.isInteger(value) && value >= 0) {
+            this.#maxAlignmentShift = value;
+        }
+    }
+
+    get pixelClassifier() {
+        return this.#pixelClassifier;
+    }
+
+    set pixelClassifier(value) {
+        if (PixelClassifier.modes.includes(value)) {
+            this.#pixelClassifier = value;
+        }
+    }
+
+    get polarity() {
+        return this.#polarity;
+    }
+
+    set polarity(value) {
+        if (value === 'auto' || value === 'lightOnDark' || value === 'darkOnLight') {
+            this.#polarity = value;
+        }
+    }
+
+    get readInterval() {
+        return this.#readInterval;
+    }
+
+    set readInterval(value) {
+        if (!isNaN(value) && value > 0) {
+            this.#readInterval = value;
+        }
+    }
+
+    get readScheduler() {
+        return this.#readScheduler;
+    }
+
+    set readScheduler(value) {
+        if (value === 'interval' || value === 'videoFrame' || value === 'manual') {
+            this.#readScheduler = value;
+        }
+    }
+
     get rotate180() {
         return this.#rotate180;
     }
@@ -90,4 +422,49 @@ export class SegmentDisplayReaderConfiguration {
             this.#rotate180 = value;
         }
     }
+
+    get rowLayout() {
+        return [...this.#rowLayout];
+    }
+
+    set rowLayout(value) {
+        if (Array.isArray(value)
+            && value.length > 0
+            && value.every((count) => {
+                return Number.isInteger(count) && count > 0;
+            })
+        ) {
+            this.#rowLayout = [...value];
+        }
+    }
+
+    get segmentAttack() {
+        return this.#segmentAttack;
+    }
+
+    set segmentAttack(value) {
+        if (typeof value === 'number' && value > 0 && value <= 1) {
+            this.#segmentAttack = value;
+        }
+    }
+
+    get segmentDecay() {
+        return this.#segmentDecay;
+    }
+
+    set segmentDecay(value) {
+        if (typeof value === 'number' && value > 0 && value <= 1) {
+            this.#segmentDecay = value;
+        }
+    }
+
+    get segmentFilter() {
+        return this.#segmentFilter;
+    }
+
+    set segmentFilter(value) {
+        if (value === 'none' || value === 'smooth' || value === 'blink') {
+            this.#segmentFilter = value;
+        }
+    }
 }
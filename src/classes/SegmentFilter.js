@@ -0,0 +1,220 @@
+/** @typedef {import('./SegmentDisplayEngine.js').DigitReading} DigitReading */
+
+/**
+ * How segment states are filtered over time: `none` decides each frame on its own, `smooth`
+ * follows each segment's lit fraction with separate attack and decay rates, and `blink` smooths
+ * as well and reports segments that switch on and off regularly as blinking.
+ *
+ * @typedef {'none'|'smooth'|'blink'} SegmentFilterMode
+ */
+
+/**
+ * @typedef {Object} SegmentFilterOptions
+ * @property {SegmentFilterMode} [mode='none']
+ * @property {number} [attack=1] How much of the way towards a higher lit fraction a segment's level moves each frame, 1 follows at once
+ * @property {number} [decay=0.35] How much of the way towards a lower lit fraction it moves, lower values ride out dark frames
+ * @property {number} [blinkWindow=30] The number of recent frames searched for a blinking pattern
+ */
+
+/**
+ * Splits a sequence of states into runs.
+ *
+ * @param {Uint8Array} states
+ * @returns {Array<{ state: number, length: number }>}
+ */
+function runsOf(states) {
+    /** @type {Array<{ state: number, length: number }>} */
+    const runs = [];
+    states.forEach((state) => {
+        const run = runs.at(-1);
+        if (run && run.state === state) {
+            run.length++;
+        } else {
+            runs.push({ state, length: 1 });
+        }
+    });
+    return runs;
+}
+
+/**
+ * Whether the lengths of a set of runs are about the same.
+ *
+ * @param {Array<number>} lengths
+ * @returns {boolean}
+ */
+function isRegular(lengths) {
+    if (lengths.length < 2) {
+        return true;
+    }
+    const longest = Math.max(...lengths);
+    const shortest = Math.min(...lengths);
+    const mean = lengths.reduce((sum, length) => {
+        return sum + length;
+    }, 0) / lengths.length;
+    return longest - shortest <= Math.max(1, Math.round(mean * 0.35));
+}
+
+/**
+ * @class SegmentFilter
+ * @description Steadies segment states across frames.  Multiplexed LEDs and rolling-shutter
+ * cameras catch lit segments dark now and then, which makes single-frame readings flicker.  The
+ * filter keeps a level per segment that rises towards each frame's lit fraction at the attack
+ * rate and falls at the decay rate, and a segment is on while its level passes
+ * {@link SegmentFilter.isLit}, the same rule the engine reads single frames with.  In `blink`
+ * mode it also watches each segment's recent states, and a segment whose on and off runs repeat
+ * regularly is reported as blinking instead of flipping between on and off.  Blinking segments
+ * are kept out of the filtered states, so the digits around them can still be confirmed.
+ */
+export class SegmentFilter {
+    /**
+     * The available filter modes.
+     * @type {Array<SegmentFilterMode>}
+     */
+    static modes = ['none', 'smooth', 'blink'];
+
+    /**
+     * Whether a segment counts as lit: when at least half of its sampled pixels are, or its
+     * smoothed level is at least one half.
+     *
+     * @param {number} fraction The segment's lit fraction or level
+     * @returns {boolean}
+     */
+    static isLit(fraction) {
+        return fraction >= 0.5;
+    }
+
+    /**
+     * Creates a new SegmentFilter instance.
+     *
+     * @param {SegmentFilterOptions} [options]
+     */
+    constructor({
+        mode = 'none',
+        attack = 1,
+        decay = 0.35,
+        blinkWindow = 30
+    } = {}) {
+        this.mode = mode;
+        this.attack = attack;
+        this.decay = decay;
+        this.blinkWindow = blinkWindow;
+
+        /**
+         * The smoothed level of every segment, digit by digit.
+         * @type {Float32Array}
+         */
+        this.levels = new Float32Array(0);
+        /**
+         * The filtered states of every segment over the last `blinkWindow` frames, oldest first.
+         * @type {Array<Uint8Array>}
+         */
+        this.history = [];
+        this.frameCount = 0;
+    }
+
+    /**
+     * Whether a segment's recent states switch on and off regularly.  The runs cut off by the
+     * ends of the window are only used to tell whether the pattern has stopped.
+     *
+     * @param {Uint8Array} states
+     * @returns {boolean}
+     */
+    isBlinking(states) {
+        const runs = runsOf(states);
+        const complete = runs.slice(1, -1);
+        if (complete.length < 3) {
+            return false;
+        }
+        /** @type {Array<number>} */
+        const onLengths = [];
+        /** @type {Array<number>} */
+        const offLengths = [];
+        complete.forEach(({ state, length }) => {
+            (state ? onLengths : offLengths).push(length);
+        });
+        if (!isRegular(onLengths) || !isRegular(offLengths)) {
+            return false;
+        }
+        // A segment that has held its state for well over a period has stopped blinking
+        const { state, length } = /** @type {{ state: number, length: number }} */ (runs.at(-1));
+        return length <= Math.max(...(state ? onLengths : offLengths)) * 2;
+    }
+
+    /**
+     * Filters the segment states of the next frame.  The digits' `mask` and `decimalPoint` are
+     * replaced with the filtered states, and in `blink` mode `blinkMask` marks the segments that
+     * are blinking, which are left out of `mask` and `decimalPoint`.  `litFractions` are left as
+     * they were read, one per segment with the decimal point last.
+     *
+     * @param {Array<DigitReading>} digits
+     */
+    push(digits) {
+        if (this.mode === 'none') {
+            return;
+        }
+
+        const segmentCount = digits.reduce((sum, digit) => {
+            return sum + digit.litFractions.length;
+        }, 0);
+        if (this.levels.length !== segmentCount) {
+            this.levels = new Float32Array(segmentCount);
+            this.history = Array.from({ length: segmentCount }, () => {
+                return new Uint8Array(0);
+            });
+            this.frameCount = 0;
+        }
+        const { levels, history } = this;
+        const first = this.frameCount === 0;
+        this.frameCount++;
+
+        let offset = 0;
+        digits.forEach((digit) => {
+            const decimalPointIndex = digit.litFractions.length - 1;
+            let mask = 0;
+            let blinkMask = 0;
+            for (let segment = 0; segment <= decimalPointIndex; segment++) {
+                const index = offset + segment;
+                const fraction = digit.litFractions[segment];
+                const level = levels[index];
+                if (first) {
+                    levels[index] = fraction;
+                } else {
+                    levels[index] = level + (fraction - level) * (fraction > level ? this.attack : this.decay);
+                }
+                let lit = SegmentFilter.isLit(levels[index]);
+
+                if (this.mode === 'blink') {
+                    const previous = history[index];
+                    const states = new Uint8Array(Math.min(previous.length + 1, this.blinkWindow));
+                    states.set(previous.subarray(previous.length + 1 - states.length));
+                    states[states.length - 1] = lit ? 1 : 0;
+                    history[index] = states;
+                    // A blinking segment is neither on nor off, so it is left out of the mask
+                    if (this.isBlinking(states)) {
+                        blinkMask |= 1 << segment;
+                        lit = false;
+                    }
+                }
+                if (lit) {
+                    mask |= 1 << segment;
+                }
+            }
+            offset += decimalPointIndex + 1;
+            const decimalPointBit = 1 << decimalPointIndex;
+            digit.mask = mask & (decimalPointBit - 1);
+            digit.decimalPoint = (mask & decimalPointBit) !== 0;
+            if (this.mode === 'blink') {
+                digit.blinkMask = blinkMask;
+            }
+        });
+    }
+
+    /**
+     * Forgets every segment's level and history.
+     */
+    reset() {
+        this.levels = new Float32Array(0);
+        this.history = [];
+        this.frameCount = 0;
+    }
+}
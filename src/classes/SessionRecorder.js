@@ -0,0 +1,415 @@
+/** @typedef {import('./SegmentDisplayEngine.js').DigitReading} DigitReading */
+
+/**
+ * One line of a session log.
+ *
+ * @typedef {Object} SessionEntry
+ * @property {number} [id] - The IndexedDB key, once stored
+ * @property {string} sessionId - The session the entry belongs to
+ * @property {'change'|'output'|'note'} type - A raw change, a confirmed output or a note
+ * @property {string} value - The display value, or the note text
+ * @property {string|null} region - The display region the value was read from, `null` for the whole frame and notes
+ * @property {number} time - Wall-clock time the entry was recorded, in milliseconds since the epoch
+ * @property {number|null} mediaTime - The media time of the source when recorded, in seconds, when known
+ * @property {number|null} duration - Seconds until the next entry of the same type replaced it, `null` while on screen.
+ * Measured in media time when both entries have one, otherwise in wall-clock time.
+ * @property {number|null} confidence - How clearly the segments read as lit or dark, 0 to 1, `null` for notes
+ */
+
+/**
+ * @typedef {Object} Session
+ * @property {string} id - The session id
+ * @property {string} name - The name given when the session started
+ * @property {number} started - Wall-clock time the session started, in milliseconds since the epoch
+ */
+
+/**
+ * @typedef {Object} SessionRecorderOptions
+ * @property {string} [databaseName='seven-segment-seer'] The IndexedDB database sessions are kept in
+ * @property {boolean} [persist=true] Whether to store entries in IndexedDB, or only keep them in memory
+ * @property {string} [sessionName] The name of the first session, its start time by default
+ */
+
+const DATABASE_VERSION = 1;
+
+/** Columns of the CSV export, in order. */
+const CSV_COLUMNS = /** @type {const} */ (['sessionId', 'type', 'region', 'time', 'mediaTime', 'duration', 'confidence', 'value']);
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ *
+ * @template T
+ * @param {IDBRequest<T>} request
+ * @returns {Promise<T>}
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.addEventListener('success', () => {
+            resolve(request.result);
+        });
+        request.addEventListener('error', () => {
+            reject(request.error);
+        });
+    });
+}
+
+/**
+ * Quotes a CSV field when it contains a separator, quote or line break.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @class SessionRecorder
+ * @description Keeps a timestamped log of a reader's `change` and `output` events, with notes,
+ * in IndexedDB so it survives reloads.  Logs are split into sessions and can be exported as CSV
+ * or JSON, for example to hand in a record of a program run.
+ */
+export class SessionRecorder {
+    /**
+     * Rates how clearly a reading was made: for every segment, how far its lit fraction is from
+     * the undecided 50%, scaled to 0-1.  The least clear segment sets the confidence.
+     *
+     * @param {Array<DigitReading>} digits
+     * @returns {number}
+     */
+    static confidenceOf(digits) {
+        let confidence = 1;
+        digits.forEach(({ litFractions }) => {
+            litFractions.forEach((fraction) => {
+                confidence = Math.min(confidence, Math.abs(fraction - 0.5) * 2);
+            });
+        });
+        return confidence;
+    }
+
+    /**
+     * Creates a new SessionRecorder instance.
+     *
+     * @param {EventTarget} [reader] A reader to attach to immediately
+     * @param {SessionRecorderOptions} [options]
+     */
+    constructor(reader, { databaseName = 'seven-segment-seer', persist = true, sessionName } = {}) {
+        this.databaseName = databaseName;
+        this.persist = persist && typeof indexedDB !== 'undefined';
+
+        /** @type {EventTarget|null} */
+        this.reader = null;
+        /** @type {Promise<IDBDatabase>|null} */
+        this.database = null;
+        /**
+         * Writes are chained so entries are stored in order and updates follow their inserts.
+         * @type {Promise<void>}
+         */
+        this.pending = Promise.resolve();
+
+        /** @type {Session} */
+        this.session = this.createSession(sessionName);
+        /**
+         * The entries of the current session.
+         * @type {Array<SessionEntry>}
+         */
+        this.entries = [];
+        /**
+         * The latest entry of each type and region, whose duration is filled in when it is replaced.
+         * @type {Map<string, SessionEntry>}
+         */
+        this.onScreen = new Map();
+
+        /** @param {Event} event */
+        this.onReading = (event) => {
+            const { type } = event;
+            const { value, digits, region = null } = /** @type {CustomEvent} */ (event).detail;
+            this.record(/** @type {'change'|'output'} */ (type), value, SessionRecorder.confidenceOf(digits), region);
+        };
+
+        if (reader) {
+            this.attach(reader);
+        }
+    }
+
+    /**
+     * Adds a note to the current session.
+     *
+     * @param {string} text
+     * @returns {SessionEntry}
+     */
+    addNote(text) {
+        return this.record('note', text, null);
+    }
+
+    /**
+     * Starts recording events from a reader, detaching from any previous reader.
+     *
+     * @param {EventTarget} reader
+     */
+    attach(reader) {
+        this.detach();
+        this.reader = reader;
+        reader.addEventListener('change', this.onReading);
+        reader.addEventListener('output', this.onReading);
+    }
+
+    /**
+     * Fills in how long an entry was on screen.
+     *
+     * @param {SessionEntry} entry The entry being replaced
+     * @param {{ time: number, mediaTime: number|null }} next When it was replaced
+     */
+    close(entry, next) {
+        entry.duration = entry.mediaTime !== null && next.mediaTime !== null
+            ? next.mediaTime - entry.mediaTime
+            : (next.time - entry.time) / 1000;
+        this.write('entries', (store) => {
+            store.put(entry);
+        });
+    }
+
+    /**
+     * Creates a session and stores it.
+     *
+     * @param {string} [name]
+     * @returns {Session}
+     */
+    createSession(name) {
+        const started = Date.now();
+        /** @type {Session} */
+        const session = {
+            id: `${started.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            name: name ?? new Date(started).toLocaleString(),
+            started
+        };
+        this.write('sessions', (store) => {
+            store.put(session);
+        });
+        return session;
+    }
+
+    /**
+     * The media time of the attached reader's source, when it is a video.
+     *
+     * @returns {number|null}
+     */
+    currentMediaTime() {
+        const source = /** @type {any} */ (this.reader)?.source;
+        return typeof HTMLMediaElement !== 'undefined' && source instanceof HTMLMediaElement
+            ? source.currentTime
+            : null;
+    }
+
+    /**
+     * Deletes a stored session and its entries.
+     *
+     * @param {string} sessionId
+     * @returns {Promise<void>}
+     */
+    async deleteSession(sessionId) {
+        const database = await this.open();
+        const transaction = database.transaction(['sessions', 'entries'], 'readwrite');
+        transaction.objectStore('sessions').delete(sessionId);
+        const keys = await promisify(transaction.objectStore('entries').index('sessionId').getAllKeys(sessionId));
+        keys.forEach((key) => {
+            transaction.objectStore('entries').delete(key);
+        });
+        await new Promise((resolve, reject) => {
+            transaction.addEventListener('complete', resolve);
+            transaction.addEventListener('error', () => {
+                reject(transaction.error);
+            });
+        });
+    }
+
+    /**
+     * Stops recording events from the attached reader.
+     */
+    detach() {
+        if (this.reader) {
+            this.reader.removeEventListener('change', this.onReading);
+            this.reader.removeEventListener('output', this.onReading);
+            this.reader = null;
+        }
+    }
+
+    /**
+     * Formats entries as CSV with a header row.  Times are ISO 8601.
+     *
+     * @param {Array<SessionEntry>} [entries] The entries to export, the current session by default
+     * @returns {string}
+     */
+    exportCSV(entries = this.entries) {
+        const rows = entries.map((entry) => {
+            return CSV_COLUMNS.map((column) => {
+                return csvField(column === 'time' ? new Date(entry.time).toISOString() : entry[column]);
+            }).join(',');
+        });
+        return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+    }
+
+    /**
+     * Formats a session and its entries as JSON.
+     *
+     * @param {Array<SessionEntry>} [entries] The entries to export, the current session by default
+     * @param {Session} [session] The session the entries belong to
+     * @returns {string}
+     */
+    exportJSON(entries = this.entries, session = this.session) {
+        return JSON.stringify({ session, entries }, null, 2);
+    }
+
+    /**
+     * Loads the stored entries of a session.
+     *
+     * @param {string} sessionId
+     * @returns {Promise<Array<SessionEntry>>}
+     */
+    async loadEntries(sessionId) {
+        await this.pending;
+        const database = await this.open();
+        const store = database.transaction('entries').objectStore('entries');
+        return promisify(store.index('sessionId').getAll(sessionId));
+    }
+
+    /**
+     * Lists the stored sessions, oldest first.
+     *
+     * @returns {Promise<Array<Session>>}
+     */
+    async loadSessions() {
+        await this.pending;
+        const database = await this.open();
+        /** @type {Array<Session>} */
+        const sessions = await promisify(database.transaction('sessions').objectStore('sessions').getAll());
+        return sessions.sort((a, b) => {
+            return a.started - b.started;
+        });
+    }
+
+    /**
+     * Opens the database, creating its stores on first use.
+     *
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.database) {
+            const request = indexedDB.open(this.databaseName, DATABASE_VERSION);
+            request.addEventListener('upgradeneeded', () => {
+                const database = request.result;
+                database.createObjectStore('sessions', { keyPath: 'id' });
+                const entries = database.createObjectStore('entries', { keyPath: 'id', autoIncrement: true });
+                entries.createIndex('sessionId', 'sessionId');
+            });
+            this.database = promisify(request);
+        }
+        return this.database;
+    }
+
+    /**
+     * Records an entry, closing the one it replaces on screen.
+     *
+     * @param {'change'|'output'|'note'} type
+     * @param {string} value The display value, or the note text
+     * @param {number|null} confidence
+     * @param {string|null} [region=null] The display region the value was read from
+     * @returns {SessionEntry}
+     */
+    record(type, value, confidence, region = null) {
+        /** @type {SessionEntry} */
+        const entry = {
+            sessionId: this.session.id,
+            type,
+            value,
+            region,
+            time: Date.now(),
+            mediaTime: this.currentMediaTime(),
+            duration: null,
+            confidence
+        };
+        if (type !== 'note') {
+            const key = `${type}:${region ?? ''}`;
+            const previous = this.onScreen.get(key);
+            if (previous) {
+                this.close(previous, entry);
+            }
+            this.onScreen.set(key, entry);
+        }
+        this.entries.push(entry);
+        this.write('entries', (store) => {
+            store.put(entry).addEventListener('success', (event) => {
+                entry.id = /** @type {number} */ (/** @type {IDBRequest} */ (event.target).result);
+            });
+        });
+        return entry;
+    }
+
+    /**
+     * Continues a stored session, for example after a reload.  The session the recorder was on is
+     * deleted if nothing was recorded in it.
+     *
+     * @param {string} sessionId
+     * @returns {Promise<Session|null>} The resumed session, or `null` if it wasn't found
+     */
+    async resumeSession(sessionId) {
+        const sessions = await this.loadSessions();
+        const session = sessions.find(({ id }) => {
+            return id === sessionId;
+        });
+        if (!session) {
+            return null;
+        }
+        if (this.entries.length === 0 && this.session.id !== sessionId) {
+            await this.deleteSession(this.session.id);
+        }
+        this.onScreen.clear();
+        this.session = session;
+        this.entries = await this.loadEntries(sessionId);
+        return session;
+    }
+
+    /**
+     * Ends the current session and starts a new one.  Values still on screen are closed at the
+     * split.
+     *
+     * @param {string} [name] The name of the new session, its start time by default
+     * @returns {Session} The new session
+     */
+    splitSession(name) {
+        const now = { time: Date.now(), mediaTime: this.currentMediaTime() };
+        this.onScreen.forEach((entry) => {
+            this.close(entry, now);
+        });
+        this.onScreen.clear();
+        this.entries = [];
+        this.session = this.createSession(name);
+        return this.session;
+    }
+
+    /**
+     * Queues a write to an object store.  Failures are logged, the in-memory log is unaffected.
+     *
+     * @param {'sessions'|'entries'} storeName
+     * @param {(store: IDBObjectStore) => void} callback
+     */
+    write(storeName, callback) {
+        if (!this.persist) {
+            return;
+        }
+        this.pending = this.pending.then(async () => {
+            const database = await this.open();
+            const transaction = database.transaction(storeName, 'readwrite');
+            callback(transaction.objectStore(storeName));
+            await new Promise((resolve, reject) => {
+                transaction.addEventListener('complete', resolve);
+                transaction.addEventListener('error', () => {
+                    reject(transaction.error);
+                });
+            });
+        }).catch((error) => {
+            console.warn('Unable to store session log:', error);
+        });
+    }
+}
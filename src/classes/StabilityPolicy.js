@@ -0,0 +1,233 @@
+/** @typedef {import('./SegmentDisplayEngine.js').DigitReading} DigitReading */
+
+/** @typedef {'consecutive'|'majority'|'perDigit'} ConfirmationStrategy */
+
+/**
+ * @typedef {Object} Confirmation
+ * @property {string} value - The confirmed display value
+ * @property {Array<DigitReading>} digits - Raw segment data for each digit of the confirmed value
+ * @property {ConfirmationStrategy} strategy - The strategy that confirmed the value
+ * @property {number} frames - How many frames it took to confirm the value
+ */
+
+/**
+ * @typedef {Object} Vote
+ * @property {string} value - The value that was read
+ * @property {Array<DigitReading>} digits - Raw segment data read alongside the value
+ */
+
+/**
+ * Splits a display value into one token per digit (the character and its decimal point)
+ * with row breaks kept as their own tokens.
+ *
+ * @param {string} value
+ * @returns {Array<string>}
+ */
+function tokenize(value) {
+    return value.match(/\n|[^\n.]\.?|\./gu) ?? [];
+}
+
+/**
+ * Finds the value with the most votes if it holds a strict majority of the window.
+ *
+ * @param {Array<string>} votes
+ * @param {number} windowSize
+ * @returns {string|null}
+ */
+function majorityOf(votes, windowSize) {
+    /** @type {Map<string, number>} */
+    const counts = new Map();
+    for (const vote of votes) {
+        const count = (counts.get(vote) ?? 0) + 1;
+        if (count > windowSize / 2) {
+            return vote;
+        }
+        counts.set(vote, count);
+    }
+    return null;
+}
+
+/**
+ * @class StabilityPolicy
+ * @description Decides when a sequence of per-frame readings has settled enough to be reported
+ * as confirmed output.
+ *
+ * - `consecutive` confirms a value once it has been read on `frames` consecutive frames.
+ * - `majority` confirms a value once it holds a strict majority of the last `windowSize` frames.
+ * - `perDigit` votes on each digit separately over the last `windowSize` frames, so digits that
+ *   have settled are confirmed while others are still changing.
+ */
+export class StabilityPolicy {
+    /**
+     * The available confirmation strategies.
+     * @type {Array<ConfirmationStrategy>}
+     */
+    static strategies = ['consecutive', 'majority', 'perDigit'];
+
+    /**
+     * Creates a new StabilityPolicy instance.
+     *
+     * @param {ConfirmationStrategy} [strategy='consecutive'] The confirmation strategy
+     * @param {number} [frames=5] Identical consecutive frames required by the `consecutive` strategy
+     * @param {number} [windowSize=7] Sliding window length used by the voting strategies
+     */
+    constructor(strategy = 'consecutive', frames = 5, windowSize = 7) {
+        this.strategy = strategy;
+        this.frames = frames;
+        this.windowSize = windowSize;
+
+        /** @type {string|null} */
+        this.candidate = null;
+        this.candidateCount = 0;
+        /** @type {string|null} */
+        this.confirmedValue = null;
+        /** @type {Array<string|null>} */
+        this.confirmedTokens = [];
+        /** @type {Array<DigitReading>} */
+        this.confirmedDigits = [];
+        this.frameCount = 0;
+        /** @type {Array<Vote>} */
+        this.history = [];
+        this.pendingSince = 1;
+    }
+
+    /**
+     * Records a confirmed value.
+     *
+     * @param {string} value
+     * @param {Array<DigitReading>} digits
+     * @param {number} frames
+     * @returns {Confirmation}
+     */
+    confirm(value, digits, frames) {
+        this.confirmedValue = value;
+        this.pendingSince = this.frameCount + 1;
+        return { value, digits, strategy: this.strategy, frames };
+    }
+
+    /**
+     * Confirms a value after it has been read on enough consecutive frames.
+     *
+     * @param {string} value
+     * @param {Array<DigitReading>} digits
+     * @returns {Confirmation|null}
+     */
+    confirmConsecutive(value, digits) {
+        if (value !== this.candidate) {
+            this.candidate = value;
+            this.candidateCount = 1;
+        } else {
+            this.candidateCount++;
+        }
+        if (this.candidateCount === this.frames) {
+            return this.confirm(value, digits, this.candidateCount);
+        }
+        return null;
+    }
+
+    /**
+     * Confirms the value that holds a majority of the sliding window.
+     *
+     * @param {string} value
+     * @param {Array<DigitReading>} digits
+     * @returns {Confirmation|null}
+     */
+    confirmMajority(value, digits) {
+        const winner = majorityOf(this.history.map((vote) => {
+            return vote.value;
+        }), this.windowSize);
+        if (winner === null || winner === this.confirmedValue) {
+            return null;
+        }
+        // Report the most recent segment data that produced the winning value
+        const latest = this.history.findLast((vote) => {
+            return vote.value === winner;
+        });
+        return this.confirm(winner, latest?.digits ?? digits, this.frameCount - this.pendingSince + 1);
+    }
+
+    /**
+     * Votes on each digit separately and confirms the combination of settled digits.
+     *
+     * @param {string} value
+     * @param {Array<DigitReading>} digits
+     * @returns {Confirmation|null}
+     */
+    confirmPerDigit(value, digits) {
+        const tokens = tokenize(value);
+        if (tokens.length !== this.confirmedTokens.length) {
+            // The layout changed, start voting from scratch
+            this.confirmedTokens = new Array(tokens.length).fill(null);
+            this.confirmedDigits = [];
+        }
+
+        let digitIndex = 0;
+        for (let position = 0; position < tokens.length; position++) {
+            if (tokens[position] === '\n') {
+                this.confirmedTokens[position] = '\n';
+                continue;
+            }
+            const votes = this.history.map((vote) => {
+                return tokenize(vote.value)[position];
+            });
+            const winner = majorityOf(votes, this.windowSize);
+            if (winner !== null) {
+                this.confirmedTokens[position] = winner;
+                const latest = this.history.findLast((vote) => {
+                    return tokenize(vote.value)[position] === winner;
+                });
+                this.confirmedDigits[digitIndex] = latest?.digits[digitIndex] ?? digits[digitIndex];
+            }
+            digitIndex++;
+        }
+
+        if (this.confirmedTokens.includes(null)) {
+            return null;
+        }
+        const composite = this.confirmedTokens.join('');
+        if (composite === this.confirmedValue) {
+            return null;
+        }
+        return this.confirm(composite, [...this.confirmedDigits], this.frameCount - this.pendingSince + 1);
+    }
+
+    /**
+     * Adds the reading from one frame and returns a confirmation if this frame settled a value.
+     *
+     * @param {string} value The value read from the frame
+     * @param {Array<DigitReading>} digits Raw segment data read from the frame
+     * @returns {Confirmation|null}
+     */
+    push(value, digits) {
+        this.frameCount++;
+        this.history.push({ value, digits });
+        if (this.history.length > this.windowSize) {
+            this.history.shift();
+        }
+        // Count frames from the point the reading first departed from the confirmed value
+        if (value === this.confirmedValue) {
+            this.pendingSince = this.frameCount + 1;
+        }
+
+        if (this.strategy === 'majority') {
+            return this.confirmMajority(value, digits);
+        } else if (this.strategy === 'perDigit') {
+            return this.confirmPerDigit(value, digits);
+        }
+        return this.confirmConsecutive(value, digits);
+    }
+
+    /**
+     * Forgets every reading and confirmation.
+     */
+    reset() {
+        this.candidate = null;
+        this.candidateCount = 0;
+        this.confirmedValue = null;
+        this.confirmedTokens = [];
+        this.confirmedDigits = [];
+        this.frameCount = 0;
+        this.history = [];
+        this.pendingSince = 1;
+    }
+}
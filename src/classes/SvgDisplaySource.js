@@ -0,0 +1,258 @@
+/** @typedef {import('./SegmentDisplayEngine.js').DigitReading} DigitReading */
+
+/**
+ * A segment element and where it sits on the display.
+ *
+ * @typedef {Object} SvgSegment
+ * @property {number} digit - The digit label found on the element
+ * @property {number} segment - The segment index in mask bit order, the decimal point following the last segment
+ * @property {SVGElement} element - The element drawing the segment
+ */
+
+/**
+ * Finds the segment elements of a display.
+ *
+ * @callback SvgSegmentLocator
+ * @param {Element} root The element containing the display
+ * @param {Array<string>} segmentNames Segment names in mask bit order, without the decimal point
+ * @returns {Array<SvgSegment>}
+ */
+
+/**
+ * Decides whether a segment element is drawn lit.
+ *
+ * @callback SvgLitTest
+ * @param {SVGElement} element
+ * @returns {boolean}
+ */
+
+/**
+ * @typedef {Object} SvgDisplaySourceOptions
+ * @property {SvgSegmentLocator} [locate] Finds the segment elements, see {@link locateSegments}
+ * @property {SvgLitTest} [isLit] Reads the lit state of a segment, see {@link isSegmentLit}
+ * @property {Array<string>} [segmentNames] Segment names in mask bit order, without the decimal point.  Seven
+ * segments, `a` to `g`, by default.
+ */
+
+/** Seven-segment names in mask bit order.  The decimal point, `dp`, follows the last segment. */
+const SEVEN_SEGMENT_NAMES = ['a', 'b', 'c', 'd', 'e', 'f', 'g'];
+
+/**
+ * Matches ids made of the `digit` prefix, a digit number and a segment name, such as
+ * `digit3-seg-a`, `digit3-dp`, `digit3g` or `digit3-g1`.  The prefix keeps ids like `layer1-b` or
+ * `path42a` from passing for segments.
+ */
+const SEGMENT_ID_PATTERN = /^digit[-_]?(\d+)[-_]?(?:seg(?:ment)?[-_]?)?(dp|[a-z]\d?)$/i;
+
+/**
+ * Finds segment elements by their `data-segment` attribute, with `data-digit` set on the element
+ * or on the group around it, or failing that, by a `digit` prefixed id ending in a digit number
+ * and a segment name (one of `segmentNames` or `dp`).
+ *
+ * @type {SvgSegmentLocator}
+ */
+function locateSegments(root, segmentNames) {
+    const names = [...segmentNames, 'dp'];
+    /** @type {Array<SvgSegment>} */
+    const segments = [];
+    root.querySelectorAll('[data-segment], [id]').forEach((element) => {
+        if (!(element instanceof SVGElement)) {
+            return;
+        }
+        const segmentAttribute = element.dataset.segment;
+        const digitAttribute = segmentAttribute !== undefined
+            ? element.closest('[data-digit]')?.getAttribute('data-digit') ?? undefined
+            : undefined;
+        const match = digitAttribute !== undefined && segmentAttribute !== undefined
+            ? [element.id, digitAttribute, segmentAttribute]
+            : SEGMENT_ID_PATTERN.exec(element.id);
+        if (!match) {
+            return;
+        }
+        const digit = parseInt(match[1], 10);
+        const segment = names.indexOf(match[2].toLowerCase());
+        if (Number.isInteger(digit) && segment !== -1) {
+            segments.push({ digit, segment, element });
+        }
+    });
+    return segments;
+}
+
+/**
+ * Treats a segment as lit when it is visible, at least half opaque once the opacity of its
+ * ancestors is taken into account, and filled with a color whose brightest channel is at least
+ * half intensity.  Simulators usually draw unlit segments in a dim shade of the lit color.
+ *
+ * @type {SvgLitTest}
+ */
+function isSegmentLit(element) {
+    const style = getComputedStyle(element);
+    if (style.display === 'none' || style.visibility === 'hidden' || style.fill === 'none') {
+        return false;
+    }
+
+    let opacity = Number(style.fillOpacity || 1);
+    /** @type {Element|null} */
+    let current = element;
+    while (current instanceof SVGElement) {
+        opacity *= Number(getComputedStyle(current).opacity || 1);
+        current = current.parentElement;
+    }
+    if (opacity < 0.5) {
+        return false;
+    }
+
+    // Computed fills are `rgb()` colors, anything else (such as a gradient) counts as lit
+    const channels = /rgba?\(([^)]+)\)/.exec(style.fill)?.[1].split(',').map(Number);
+    if (!channels) {
+        return true;
+    }
+    if (channels.length > 3 && channels[3] < 0.5) {
+        return false;
+    }
+    return Math.max(channels[0], channels[1], channels[2]) >= 128;
+}
+
+/**
+ * @class SvgDisplaySource
+ * @description Reads a display drawn in SVG, such as the one in the ET-3400 simulator, straight
+ * from its segment elements instead of analyzing pixels.  Segment elements are found by
+ * {@link locateSegments} unless another locator is supplied, and digits are put in reading
+ * order by their position on screen.
+ */
+export class SvgDisplaySource {
+    /**
+     * The default segment names in mask bit order, without the decimal point.
+     * @type {Array<string>}
+     */
+    static segmentNames = SEVEN_SEGMENT_NAMES;
+
+    /**
+     * The default lit test.
+     * @type {SvgLitTest}
+     */
+    static isSegmentLit = isSegmentLit;
+
+    /**
+     * The default segment locator.
+     * @type {SvgSegmentLocator}
+     */
+    static locateSegments = locateSegments;
+
+    /**
+     * Creates a new SvgDisplaySource instance.
+     *
+     * @param {Element} root The SVG element containing the display
+     * @param {SvgDisplaySourceOptions} [options]
+     */
+    constructor(root, { locate = locateSegments, isLit = isSegmentLit, segmentNames = SEVEN_SEGMENT_NAMES } = {}) {
+        this.root = root;
+        this.locator = locate;
+        this.isLit = isLit;
+        this.segmentNames = segmentNames;
+
+        /**
+         * The segment elements of each digit in reading order, indexed by segment with the decimal
+         * point last.
+         * @type {Array<Array<SVGElement|null>>}
+         */
+        this.digits = [];
+    }
+
+    /**
+     * Finds the segment elements again, for when the display has been redrawn.
+     *
+     * @returns {number} The number of digits found
+     */
+    locate() {
+        /** @type {Map<number, Array<SVGElement|null>>} */
+        const byLabel = new Map();
+        this.locator(this.root, this.segmentNames).forEach(({ digit, segment, element }) => {
+            if (!byLabel.has(digit)) {
+                byLabel.set(digit, new Array(this.segmentNames.length + 1).fill(null));
+            }
+            /** @type {Array<SVGElement|null>} */ (byLabel.get(digit))[segment] = element;
+        });
+
+        // Order digits by label, then by position: rows top to bottom, left to right within a row
+        const digits = [...byLabel.entries()].sort(([a], [b]) => {
+            return a - b;
+        }).map(([, elements]) => {
+            const boxes = elements.map((element) => {
+                return element instanceof SVGGraphicsElement ? element.getBoundingClientRect() : null;
+            }).filter((box) => {
+                return box !== null && (box.width > 0 || box.height > 0);
+            });
+            const top = Math.min(...boxes.map((box) => {
+                return box?.top ?? Infinity;
+            }));
+            const bottom = Math.max(...boxes.map((box) => {
+                return box?.bottom ?? -Infinity;
+            }));
+            const left = Math.min(...boxes.map((box) => {
+                return box?.left ?? Infinity;
+            }));
+            return { elements, top, bottom, left };
+        });
+        let ordered = digits;
+        if (digits.every(({ top, left }) => {
+            return Number.isFinite(top) && Number.isFinite(left);
+        })) {
+            // Digits overlapping a row vertically join it, then each row is sorted left to right
+            /** @type {Array<{ bottom: number, members: typeof digits }>} */
+            const rows = [];
+            [...digits].sort((a, b) => {
+                return a.top - b.top;
+            }).forEach((digit) => {
+                const row = rows.at(-1);
+                if (row && digit.top < row.bottom) {
+                    row.bottom = Math.max(row.bottom, digit.bottom);
+                    row.members.push(digit);
+                } else {
+                    rows.push({ bottom: digit.bottom, members: [digit] });
+                }
+            });
+            ordered = rows.flatMap(({ members }) => {
+                return members.sort((a, b) => {
+                    return a.left - b.left;
+                });
+            });
+        }
+
+        this.digits = ordered.map(({ elements }) => {
+            return elements;
+        });
+        return this.digits.length;
+    }
+
+    /**
+     * Reads the lit state of every segment.
+     *
+     * @returns {Array<DigitReading>} One reading per digit in reading order, with the character left blank
+     */
+    read() {
+        const stale = this.digits.some((elements) => {
+            return elements.some((element) => {
+                return element !== null && !element.isConnected;
+            });
+        });
+        if (this.digits.length === 0 || stale) {
+            this.locate();
+        }
+
+        const decimalPointIndex = this.segmentNames.length;
+        return this.digits.map((elements) => {
+            let mask = 0;
+            /** @type {Array<number>} */
+            const litFractions = [];
+            elements.forEach((element, segment) => {
+                const lit = element !== null && this.isLit(element);
+                litFractions.push(lit ? 1 : 0);
+                if (lit && segment < decimalPointIndex) {
+                    mask += (1 << segment);
+                }
+            });
+            return { character: '', mask, decimalPoint: litFractions[decimalPointIndex] === 1, litFractions };
+        });
+    }
+}
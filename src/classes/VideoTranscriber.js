@@ -0,0 +1,228 @@
+/** @typedef {import('./SegmentDisplayEngine.js').DigitReading} DigitReading */
+/** @typedef {import('./SegmentDisplayReader.js').SegmentDisplayReader} SegmentDisplayReader */
+
+/**
+ * A confirmed reading and when it was on the display.
+ *
+ * @typedef {Object} TranscriptEntry
+ * @property {string} value - The confirmed display value
+ * @property {Array<DigitReading>} digits - Raw segment data for each digit of the value
+ * @property {number} start - The media time the value appeared, in seconds
+ * @property {number} end - The media time the value was replaced or the transcription stopped, in seconds
+ * @property {string|null} region - The id of the display region the value was read from, `null` for the whole frame
+ */
+
+/**
+ * @typedef {Object} TranscribeOptions
+ * @property {number} [start=0] The media time to start from, in seconds
+ * @property {number} [end] The media time to stop at, in seconds, the end of the video by default.  Videos that don't
+ * know their duration, such as `MediaRecorder` recordings, are read until seeking no longer moves them on.
+ * @property {number} [frameRate=30] The rate the video is stepped through, in frames per second
+ */
+
+const ERROR_STRINGS_US = {
+    noVideo: 'VideoTranscriber requires a reader whose source is a video element.',
+    notCalibrated: 'Cannot transcribe a video before calibrating.'
+};
+
+/**
+ * Resolves once an element fires an event.
+ *
+ * @param {EventTarget} target
+ * @param {string} type
+ * @returns {Promise<Event>}
+ */
+function once(target, type) {
+    return new Promise((resolve) => {
+        target.addEventListener(type, resolve, { once: true });
+    });
+}
+
+/**
+ * @class VideoTranscriber
+ * @extends EventTarget
+ * @description Steps a {@link SegmentDisplayReader} through a recorded video file frame by frame,
+ * seeking as fast as the browser can decode, and builds a transcript of the confirmed readings
+ * with the media time each one appeared and disappeared.  The reader fires its usual `change`
+ * and `output` events along the way.
+ *
+ * @event VideoTranscriber#entry
+ * @property {TranscriptEntry} detail - A newly confirmed reading, its `end` is filled in once it is replaced
+ *
+ * @event VideoTranscriber#progress
+ * @property {Object} detail - The event details
+ * @property {number} detail.mediaTime - The media time of the frame just read
+ * @property {number} detail.end - The media time transcription stops at, `Infinity` when the video doesn't know its duration
+ */
+export class VideoTranscriber extends EventTarget {
+    /**
+     * Creates a new VideoTranscriber instance.
+     *
+     * @param {SegmentDisplayReader} reader A reader whose source is a video element playing a file
+     */
+    constructor(reader) {
+        super();
+
+        if (!(reader.source instanceof HTMLVideoElement)) {
+            throw new Error(ERROR_STRINGS_US.noVideo);
+        }
+        this.reader = reader;
+        this.video = reader.source;
+        this.cancelled = false;
+        /** @type {Array<TranscriptEntry>} */
+        this.transcript = [];
+    }
+
+    /**
+     * Calibrates the reader from two frames of the video, one with every segment lit and one
+     * with every segment dark, in either order.
+     *
+     * @param {number} timeA The media time of the first calibration frame, in seconds
+     * @param {number} timeB The media time of the second calibration frame, in seconds
+     * @returns {Promise<boolean>} Whether calibration succeeded
+     */
+    async calibrateAt(timeA, timeB) {
+        const frameA = await this.captureAt(timeA);
+        const frameB = await this.captureAt(timeB);
+        this.reader.calibrationImages = [frameA, frameB];
+        return this.reader.determineLocations();
+    }
+
+    /**
+     * Stops a running transcription after the current frame.
+     */
+    cancel() {
+        this.cancelled = true;
+    }
+
+    /**
+     * Seeks to a media time and captures the frame shown there.
+     *
+     * @param {number} time The media time, in seconds
+     * @returns {Promise<ImageData>}
+     */
+    async captureAt(time) {
+        await this.seek(time);
+        return this.reader.captureImageData();
+    }
+
+    /**
+     * The last media time that can be seeked to, `Infinity` when the video doesn't know its
+     * duration.
+     *
+     * @returns {number}
+     */
+    mediaEnd() {
+        const { duration } = this.video;
+        return Number.isFinite(duration) ? duration : Infinity;
+    }
+
+    /**
+     * Seeks the video and waits for the frame to be ready.
+     *
+     * @param {number} time The media time, in seconds
+     */
+    async seek(time) {
+        const { video } = this;
+        if (video.readyState < HTMLMediaElement.HAVE_METADATA) {
+            await once(video, 'loadedmetadata');
+        }
+        video.pause();
+        const seeked = once(video, 'seeked');
+        video.currentTime = Math.min(Math.max(time, 0), this.mediaEnd());
+        await seeked;
+    }
+
+    /**
+     * Reads every frame between two media times and collects the confirmed readings.  Frames go
+     * through the reader's own read, so display regions and the analysis worker are used as they
+     * would be live.  The reader's live scheduling is stopped while the video is being stepped
+     * through and picks up again afterwards.
+     *
+     * @param {TranscribeOptions} [options]
+     * @returns {Promise<Array<TranscriptEntry>>} The transcript, also kept in {@link transcript}
+     * @fires VideoTranscriber#entry
+     * @fires VideoTranscriber#progress
+     */
+    async transcribe({ start = 0, end, frameRate = 30 } = {}) {
+        const { reader, video } = this;
+        if (!reader.calibrated) {
+            throw new Error(ERROR_STRINGS_US.notCalibrated);
+        }
+        if (video.readyState < HTMLMediaElement.HAVE_METADATA) {
+            await once(video, 'loadedmetadata');
+        }
+        const stopAt = Math.min(end ?? Infinity, this.mediaEnd());
+        const frameDuration = 1 / frameRate;
+
+        const { scheduler } = reader;
+        const wasRunning = scheduler.running;
+        scheduler.stop();
+        [reader.engine, ...[...reader.regions.values()].map(({ engine }) => {
+            return engine;
+        })].forEach((engine) => {
+            engine.resetReadingState();
+        });
+        this.cancelled = false;
+        this.transcript = [];
+
+        /**
+         * The entry each display is showing.
+         * @type {Map<string|null, TranscriptEntry>}
+         */
+        const current = new Map();
+        /**
+         * The media time each display's raw reading last changed, a confirmed value appeared then.
+         * @type {Map<string|null, number>}
+         */
+        const changedAt = new Map();
+        let mediaTime = start;
+        let previousTime = -Infinity;
+        try {
+            for (let frame = 0; !this.cancelled; frame++) {
+                const time = start + frame * frameDuration;
+                if (time > stopAt) {
+                    break;
+                }
+                await this.seek(time);
+                // Past the end of a video without a known duration, seeking stops moving it on
+                if (video.currentTime <= previousTime) {
+                    break;
+                }
+                previousTime = video.currentTime;
+                mediaTime = time;
+
+                const readings = await reader.readDisplays();
+                readings.forEach(({ region, reading }) => {
+                    if (reading.changed) {
+                        changedAt.set(region, mediaTime);
+                    }
+                    const { confirmation } = reading;
+                    if (!confirmation) {
+                        return;
+                    }
+                    // A value confirmed by voting may not match the latest raw reading
+                    const appeared = confirmation.value === reading.value ? changedAt.get(region) ?? start : mediaTime;
+                    const previous = current.get(region);
+                    if (previous) {
+                        previous.end = appeared;
+                    }
+                    /** @type {TranscriptEntry} */
+                    const entry = { value: confirmation.value, digits: confirmation.digits, start: appeared, end: stopAt, region };
+                    current.set(region, entry);
+                    this.transcript.push(entry);
+                    this.dispatchEvent(new CustomEvent('entry', { detail: entry }));
+                });
+                this.dispatchEvent(new CustomEvent('progress', { detail: { mediaTime, end: stopAt } }));
+            }
+        } finally {
+            if (wasRunning && reader.state === 'running') {
+                scheduler.start();
+            }
+        }
+        current.forEach((entry) => {
+            entry.end = Math.min(mediaTime, stopAt);
+        });
+        return this.transcript;
+    }
+}
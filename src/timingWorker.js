@@ -1,12 +1,16 @@
-/** @type {number} */
+/** @type {ReturnType<typeof setInterval>|undefined} */
 let interval;
 self.addEventListener('message', function(event) {
-    if (event.data === 'readStart') {
+    // Commands arrive either as a bare string or as { command, interval }
+    const { command, interval: period = 100 } = typeof event.data === 'string'
+        ? { command: event.data }
+        : event.data;
+    if (command === 'readStart') {
         clearInterval(interval);
         interval = setInterval(() => {
             self.postMessage('read');
-        }, 100);
-    } else if (event.data === 'readStop') {
+        }, period);
+    } else if (command === 'readStop') {
         clearInterval(interval);
     }
 }, false);
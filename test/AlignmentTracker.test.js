@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { SegmentDisplayEngine } from '../src/classes/SegmentDisplayEngine.js';
+import { SegmentDisplayReaderConfiguration } from '../src/classes/SegmentDisplayReaderConfiguration.js';
+import { DIGITS, renderCalibrationFrames, renderFrame } from './frames.js';
+
+/** @typedef {import('../src/classes/SegmentDisplayEngine.js').Frame} Frame */
+
+const WIDTH = 320;
+const HEIGHT = 100;
+const VALUE = [1, 2, 3, 4, 5, 6];
+
+/**
+ * Moves the picture in a frame, as if the camera had been knocked, filling the uncovered edge
+ * with background.
+ *
+ * @param {Frame} frame
+ * @param {number} dx
+ * @param {number} dy
+ * @returns {Frame}
+ */
+function shiftFrame({ width, height, data }, dx, dy) {
+    const shifted = new Uint8ClampedArray(data.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const sourceX = Math.min(width - 1, Math.max(0, x - dx));
+            const sourceY = Math.min(height - 1, Math.max(0, y - dy));
+            const source = (sourceY * width + sourceX) * 4;
+            for (let channel = 0; channel < 4; channel++) {
+                shifted[(y * width + x) * 4 + channel] = data[source + channel];
+            }
+        }
+    }
+    return { width, height, data: shifted };
+}
+
+/**
+ * @returns {SegmentDisplayEngine} An engine calibrated on six digits, checking alignment on every frame
+ */
+function createEngine() {
+    const configuration = new SegmentDisplayReaderConfiguration();
+    configuration.alignmentCheckInterval = 1;
+    const engine = new SegmentDisplayEngine(configuration, WIDTH, HEIGHT);
+    const [lit, unlit] = renderCalibrationFrames(WIDTH, HEIGHT, VALUE.length);
+    assert.equal(engine.calibrate(lit, unlit), true);
+    return engine;
+}
+
+/**
+ * Reads frames and collects the alignment checks that reported something.
+ *
+ * @param {SegmentDisplayEngine} engine
+ * @param {Frame} frame
+ * @param {number} count
+ * @returns {{ statuses: Array<string>, value: string }} The statuses reported and the last value read
+ */
+function readFrames(engine, frame, count) {
+    /** @type {Array<string>} */
+    const statuses = [];
+    let value = '';
+    for (let index = 0; index < count; index++) {
+        const result = engine.readDisplays(frame);
+        if (result.alignment) {
+            statuses.push(result.alignment.status);
+        }
+        value = result.value;
+    }
+    return { statuses, value };
+}
+
+describe('AlignmentTracker', () => {
+    const frame = renderFrame(WIDTH, HEIGHT, VALUE.map((digit) => {
+        return DIGITS[digit];
+    }));
+
+    it('stays quiet while the display stays put', () => {
+        const engine = createEngine();
+        assert.deepEqual(readFrames(engine, frame, 4), { statuses: [], value: '123456' });
+    });
+
+    it('follows a small shift once checks agree on it, and keeps reading', () => {
+        const engine = createEngine();
+        readFrames(engine, frame, 2);
+        const moved = shiftFrame(frame, 2, -1);
+        const first = engine.readDisplays(moved);
+        assert.equal(first.alignment, null);
+        const second = engine.readDisplays(moved);
+        assert.equal(second.alignment?.status, 'shifted');
+        assert.equal(second.alignment?.dx, 2);
+        assert.equal(second.alignment?.dy, -1);
+        assert.deepEqual(readFrames(engine, moved, 3), { statuses: [], value: '123456' });
+    });
+
+    it('reports a display that moved too far as misaligned, once, then its recovery', () => {
+        const engine = createEngine();
+        readFrames(engine, frame, 2);
+        assert.deepEqual(readFrames(engine, shiftFrame(frame, 10, 0), 4).statuses, ['misaligned']);
+        assert.deepEqual(readFrames(engine, frame, 1).statuses, ['recovered']);
+    });
+
+    it('follows a shift with a calibration restored from a document', () => {
+        const configuration = new SegmentDisplayReaderConfiguration();
+        configuration.alignmentCheckInterval = 1;
+        const engine = new SegmentDisplayEngine(configuration, WIDTH, HEIGHT);
+        engine.importCalibration(createEngine().exportCalibration());
+        readFrames(engine, frame, 2);
+        const moved = shiftFrame(frame, -3, 2);
+        assert.deepEqual(readFrames(engine, moved, 2).statuses, ['shifted']);
+        assert.deepEqual(readFrames(engine, moved, 3), { statuses: [], value: '123456' });
+        assert.deepEqual(readFrames(engine, shiftFrame(moved, 0, 12), 2).statuses, ['misaligned']);
+    });
+});
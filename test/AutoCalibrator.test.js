@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { AutoCalibrator } from '../src/classes/AutoCalibrator.js';
+import { SegmentDisplayEngine } from '../src/classes/SegmentDisplayEngine.js';
+import { renderCalibrationFrames } from './frames.js';
+
+/** @typedef {import('../src/classes/AutoCalibrator.js').AutoCalibrationProgress} AutoCalibrationProgress */
+/** @typedef {import('../src/classes/SegmentDisplayEngine.js').Frame} Frame */
+
+const WIDTH = 320;
+const HEIGHT = 100;
+
+/**
+ * Feeds the same frame long enough for it to count as stable.
+ *
+ * @param {AutoCalibrator} calibrator
+ * @param {Frame} frame
+ * @returns {AutoCalibrationProgress} The progress after the last frame
+ */
+function hold(calibrator, frame) {
+    let progress = calibrator.push(frame);
+    for (let index = 0; index < calibrator.stableFrames + 1; index++) {
+        progress = calibrator.push(frame);
+    }
+    return progress;
+}
+
+/**
+ * Copies a frame with a bright patch over the display, like glare or a hand in a lamp's light.
+ *
+ * @param {Frame} frame
+ * @returns {Frame}
+ */
+function withGlare({ width, height, data }) {
+    const glare = new Uint8ClampedArray(data);
+    for (let y = 20; y < 80; y++) {
+        glare.fill(255, (y * width + 40) * 4, (y * width + 280) * 4);
+    }
+    return { width, height, data: glare };
+}
+
+describe('AutoCalibrator', () => {
+    it('becomes ready once a stable dark and bright frame differ enough', () => {
+        const [lit, unlit] = renderCalibrationFrames(WIDTH, HEIGHT, 6);
+        const calibrator = new AutoCalibrator();
+        assert.equal(hold(calibrator, unlit).status, 'watching');
+        const progress = hold(calibrator, lit);
+        assert.equal(progress.status, 'ready');
+        assert.ok(progress.contrast > calibrator.minContrast);
+        const engine = new SegmentDisplayEngine(undefined, WIDTH, HEIGHT);
+        assert.equal(engine.calibrate(calibrator.bright?.frame ?? lit, calibrator.dark?.frame ?? unlit), true);
+    });
+
+    it('ignores frames while the scene moves', () => {
+        const [lit, unlit] = renderCalibrationFrames(WIDTH, HEIGHT, 6);
+        const calibrator = new AutoCalibrator();
+        for (let index = 0; index < 20; index++) {
+            assert.equal(calibrator.push(index % 2 ? lit : unlit).stable, false);
+        }
+        assert.equal(calibrator.dark, null);
+    });
+
+    it('finds a new pair after calibrating from the first one fails', () => {
+        const [lit, unlit] = renderCalibrationFrames(WIDTH, HEIGHT, 6);
+        const calibrator = new AutoCalibrator();
+        const engine = new SegmentDisplayEngine(undefined, WIDTH, HEIGHT);
+        hold(calibrator, unlit);
+        assert.equal(hold(calibrator, withGlare(unlit)).status, 'ready');
+        assert.equal(engine.calibrate(calibrator.bright?.frame ?? lit, calibrator.dark?.frame ?? unlit), false);
+
+        calibrator.discardPair();
+        assert.equal(hold(calibrator, unlit).status, 'watching');
+        // The glare is brighter than the lit display, and would have been kept over it
+        assert.equal(hold(calibrator, lit).status, 'ready');
+        assert.equal(engine.calibrate(calibrator.bright?.frame ?? unlit, calibrator.dark?.frame ?? unlit), true);
+    });
+});
@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { DisplayType } from '../src/classes/DisplayType.js';
+import { SegmentDisplayEngine } from '../src/classes/SegmentDisplayEngine.js';
+import { SegmentDisplayReaderConfiguration } from '../src/classes/SegmentDisplayReaderConfiguration.js';
+import { renderStarburstFrame } from './frames.js';
+
+/** @typedef {import('../src/classes/DisplayType.js').DisplayTypeName} DisplayTypeName */
+
+const WIDTH = 320;
+const HEIGHT = 120;
+const DIGIT_COUNT = 4;
+
+/**
+ * The mask of the segments a character lights, by their fourteen-segment names.  Sixteen-segment
+ * displays light both halves of `a` and `d`.
+ *
+ * @param {DisplayType} displayType
+ * @param {string} names
+ * @returns {number}
+ */
+function maskOf(displayType, names) {
+    const { segmentNames } = displayType;
+    return names.split(' ').reduce((mask, name) => {
+        const halves = segmentNames.includes(name) ? [name] : [`${name}1`, `${name}2`];
+        return halves.reduce((halfMask, half) => {
+            return halfMask | (1 << segmentNames.indexOf(half));
+        }, mask);
+    }, 0);
+}
+
+/**
+ * @param {DisplayTypeName} name
+ * @returns {SegmentDisplayReaderConfiguration}
+ */
+function configurationFor(name) {
+    const configuration = new SegmentDisplayReaderConfiguration();
+    configuration.displayType = name;
+    configuration.digitCount = DIGIT_COUNT;
+    return configuration;
+}
+
+/** @type {Array<DisplayTypeName>} */
+const STARBURST_TYPES = ['fourteenSegment', 'sixteenSegment'];
+
+STARBURST_TYPES.forEach((name) => {
+    describe(`SegmentDisplayEngine with ${name} displays`, () => {
+        const displayType = DisplayType.named(name);
+        const allLit = (1 << displayType.segmentNames.length) - 1;
+        const lit = renderStarburstFrame(WIDTH, HEIGHT, displayType, new Array(DIGIT_COUNT).fill(allLit), new Array(DIGIT_COUNT).fill(true));
+        const unlit = renderStarburstFrame(WIDTH, HEIGHT, displayType, new Array(DIGIT_COUNT).fill(0));
+        // K, 5 with its decimal point, W and Z
+        const frame = renderStarburstFrame(WIDTH, HEIGHT, displayType, [
+            maskOf(displayType, 'e f g1 j m'),
+            maskOf(displayType, 'a d f g1 m'),
+            maskOf(displayType, 'b c e f k m'),
+            maskOf(displayType, 'a d j k')
+        ], [false, true]);
+
+        /**
+         * @returns {SegmentDisplayEngine}
+         */
+        const calibratedEngine = () => {
+            const engine = new SegmentDisplayEngine(configurationFor(name), WIDTH, HEIGHT);
+            assert.equal(engine.calibrate(unlit, lit), true);
+            return engine;
+        };
+
+        it('finds eight holes in every digit', () => {
+            const engine = calibratedEngine();
+            assert.equal(engine.calibrationReport?.holeCount, DIGIT_COUNT * 8);
+            assert.deepEqual(engine.calibrationReport?.badDigits, []);
+        });
+
+        it('samples every segment and reads the characters shown', () => {
+            const engine = calibratedEngine();
+            engine.segmentSamples.forEach((digitSegments) => {
+                assert.equal(digitSegments.length, displayType.decimalPointIndex + 1);
+                digitSegments.forEach((pixels) => {
+                    assert.ok(pixels.length > 0);
+                });
+            });
+            assert.equal(engine.readDisplays(lit).value, new Array(DIGIT_COUNT).fill(`${engine.glyphSet.decode([{ mask: allLit, decimalPoint: false }])[0]}.`).join(''));
+            assert.equal(engine.readDisplays(frame).value, 'K5.WZ');
+        });
+
+        it('keeps reading after an export and import, and rejects another display type', () => {
+            const calibration = calibratedEngine().exportCalibration();
+            assert.equal(calibration.configuration.displayType, name);
+            const engine = new SegmentDisplayEngine(configurationFor(name), WIDTH, HEIGHT);
+            engine.importCalibration(JSON.stringify(calibration));
+            assert.equal(engine.readDisplays(frame).value, 'K5.WZ');
+
+            assert.throws(() => {
+                new SegmentDisplayEngine(configurationFor('sevenSegment'), WIDTH, HEIGHT).importCalibration(calibration);
+            }, /different display type/);
+        });
+    });
+});
+
+describe('SegmentDisplayEngine with seven segment displays', () => {
+    it('fails to calibrate on a starburst display, which has too many holes', () => {
+        const displayType = DisplayType.fourteenSegment();
+        const allLit = (1 << displayType.segmentNames.length) - 1;
+        const lit = renderStarburstFrame(WIDTH, HEIGHT, displayType, new Array(DIGIT_COUNT).fill(allLit));
+        const unlit = renderStarburstFrame(WIDTH, HEIGHT, displayType, new Array(DIGIT_COUNT).fill(0));
+        const engine = new SegmentDisplayEngine(configurationFor('sevenSegment'), WIDTH, HEIGHT);
+        assert.equal(engine.calibrate(lit, unlit), false);
+        assert.equal(engine.calibrationReport?.holeCount, DIGIT_COUNT * 8);
+    });
+});
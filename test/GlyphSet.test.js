@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { GlyphSet } from '../src/classes/GlyphSet.js';
+import { SegmentDisplayEngine } from '../src/classes/SegmentDisplayEngine.js';
+import { SegmentDisplayReaderConfiguration } from '../src/classes/SegmentDisplayReaderConfiguration.js';
+import { DIGITS, renderCalibrationFrames, renderFrame } from './frames.js';
+
+/** Segment masks of the letters the ET-3400 monitor shows in register labels. */
+const P = 115;
+const N = 84;
+
+/**
+ * @param {Array<number>} masks
+ * @param {Array<boolean>} [decimalPoints=[]]
+ * @returns {Array<{ mask: number, decimalPoint: boolean }>}
+ */
+function readings(masks, decimalPoints = []) {
+    return masks.map((mask, index) => {
+        return { mask, decimalPoint: decimalPoints[index] ?? false };
+    });
+}
+
+describe('GlyphSet', () => {
+    describe('et3400', () => {
+        const glyphSet = GlyphSet.et3400();
+
+        it('reads the stack pointer label as SP', () => {
+            assert.deepEqual(glyphSet.decode(readings([DIGITS[5], P, DIGITS[0]], [false, true])), ['S', 'P', '0']);
+        });
+
+        it('reads the index register label as In', () => {
+            assert.deepEqual(glyphSet.decode(readings([DIGITS[1], N, DIGITS[0]], [false, true])), ['I', 'n', '0']);
+        });
+
+        it('leaves 5P alone without the decimal point that marks a label', () => {
+            assert.deepEqual(glyphSet.decode(readings([DIGITS[5], P])), ['5', 'P']);
+        });
+
+        it('leaves 5P alone away from the first digit', () => {
+            assert.deepEqual(glyphSet.decode(readings([DIGITS[0], DIGITS[5], P], [false, false, true])), ['0', '5', 'P']);
+        });
+
+        it('marks masks missing from the table', () => {
+            assert.deepEqual(glyphSet.decode(readings([1])), ['􏿾']);
+        });
+    });
+
+    describe('hex', () => {
+        const glyphSet = GlyphSet.hex();
+
+        it('accepts the alternate forms of 7 and 9', () => {
+            assert.deepEqual(glyphSet.decode(readings([7, 39, 111, 103])), ['7', '7', '9', '9']);
+        });
+
+        it('reads letters outside hex as unknown, and never applies the register rule', () => {
+            assert.deepEqual(glyphSet.decode(readings([DIGITS[5], P], [false, true])), ['5', '􏿾']);
+        });
+    });
+
+    describe('rules', () => {
+        it('run in order, each seeing the characters earlier rules decided', () => {
+            const glyphSet = new GlyphSet({ 6: '1', 63: '0' }, [({ index, character }) => {
+                return index === 0 && character === '1' ? 'I' : undefined;
+            }]);
+            /** @type {Array<string>} */
+            const seen = [];
+            glyphSet.addRule(({ index, digits }) => {
+                if (index === 1) {
+                    seen.push(digits[index - 1].character);
+                    return 'O';
+                }
+            });
+            assert.deepEqual(glyphSet.decode(readings([6, 63])), ['I', 'O']);
+            assert.deepEqual(seen, ['I']);
+        });
+
+        it('keep the table they were created with', () => {
+            const charMap = { 6: '1' };
+            const glyphSet = new GlyphSet(charMap, [], '?');
+            charMap[6] = 'l';
+            assert.deepEqual(glyphSet.decode(readings([6, 63])), ['1', '?']);
+        });
+    });
+
+    it('is used by the engine to decode frames', () => {
+        const [lit, unlit] = renderCalibrationFrames(320, 100, 6);
+        const frame = renderFrame(320, 100, [DIGITS[5], P, DIGITS[0], DIGITS[0], DIGITS[1], DIGITS[2]], [false, true]);
+        const engine = new SegmentDisplayEngine(undefined, 320, 100);
+        assert.equal(engine.calibrate(lit, unlit), true);
+        assert.equal(engine.readDisplays(frame).value, 'SP.0012');
+
+        const configuration = new SegmentDisplayReaderConfiguration();
+        configuration.glyphSet = GlyphSet.hex();
+        const hexEngine = new SegmentDisplayEngine(configuration, 320, 100);
+        assert.equal(hexEngine.calibrate(lit, unlit), true);
+        assert.equal(hexEngine.readDisplays(frame).value, '5􏿾.0012');
+    });
+});
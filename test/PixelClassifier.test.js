@@ -0,0 +1,158 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { PixelClassifier } from '../src/classes/PixelClassifier.js';
+import { SegmentDisplayEngine } from '../src/classes/SegmentDisplayEngine.js';
+import { SegmentDisplayReaderConfiguration } from '../src/classes/SegmentDisplayReaderConfiguration.js';
+import { DIGITS, renderCalibrationFrames, renderFrame } from './frames.js';
+
+/** @typedef {import('../src/classes/SegmentDisplayEngine.js').Frame} Frame */
+/** @typedef {import('../src/classes/SegmentDisplayEngine.js').Pixel} Pixel */
+/** @typedef {import('../src/classes/PixelClassifier.js').PixelClassifierMode} PixelClassifierMode */
+
+const WIDTH = 320;
+const HEIGHT = 100;
+
+/** A green LED, dim in red and blue. */
+const GREEN_LED = { r: 40, g: 220, b: 60 };
+
+/**
+ * Recolors the lit segments of a synthetic frame.
+ *
+ * @param {Frame} frame
+ * @param {Pixel} color
+ * @returns {Frame}
+ */
+function tint(frame, { r, g, b }) {
+    const { data } = frame;
+    for (let offset = 0; offset < data.length; offset += 4) {
+        if (data[offset] === 255) {
+            data[offset] = r;
+            data[offset + 1] = g;
+            data[offset + 2] = b;
+        }
+    }
+    return frame;
+}
+
+/**
+ * Lays white glare over part of a frame.
+ *
+ * @param {Frame} frame
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width
+ * @param {number} height
+ * @returns {Frame}
+ */
+function glare(frame, x, y, width, height) {
+    for (let row = y; row < y + height; row++) {
+        for (let column = x; column < x + width; column++) {
+            const offset = (row * frame.width + column) * 4;
+            frame.data[offset] = 235;
+            frame.data[offset + 1] = 235;
+            frame.data[offset + 2] = 235;
+        }
+    }
+    return frame;
+}
+
+/**
+ * @param {PixelClassifierMode} mode
+ * @returns {SegmentDisplayEngine} An engine with the classifier, calibrated on six green digits
+ */
+function calibratedEngine(mode) {
+    const configuration = new SegmentDisplayReaderConfiguration();
+    configuration.pixelClassifier = mode;
+    const engine = new SegmentDisplayEngine(configuration, WIDTH, HEIGHT);
+    const [lit, unlit] = renderCalibrationFrames(WIDTH, HEIGHT, 6);
+    assert.equal(engine.calibrate(tint(lit, GREEN_LED), unlit), true);
+    return engine;
+}
+
+describe('PixelClassifier', () => {
+    const pixel = new Uint8ClampedArray([10, 100, 200, 255]);
+
+    it('weighs the channels as each mode says', () => {
+        /** @type {Array<[PixelClassifierMode, number]>} */
+        const expected = [['average', 310 / 3], ['red', 10], ['green', 100], ['blue', 200], ['luma', 84.49]];
+        expected.forEach(([mode, value]) => {
+            assert.ok(Math.abs(new PixelClassifier(mode).valueAt(pixel, 0) - value) < 1e-3, mode);
+        });
+    });
+
+    it('averages in ledColor mode until a color is sampled', () => {
+        const classifier = new PixelClassifier('ledColor');
+        assert.ok(Math.abs(classifier.valueAt(pixel, 0) - 310 / 3) < 1e-3);
+    });
+
+    it('samples the LED color from the pixels that brighten, leaving out glare in both frames', () => {
+        const [lit, unlit] = renderCalibrationFrames(WIDTH, HEIGHT, 6);
+        tint(lit, GREEN_LED);
+        glare(lit, 0, 0, 40, 10);
+        glare(unlit, 0, 0, 40, 10);
+        const classifier = new PixelClassifier('ledColor');
+        assert.deepEqual(classifier.sampleLedColor(lit, unlit, 20), GREEN_LED);
+        assert.equal(classifier.valueAt(new Uint8ClampedArray([40, 220, 60, 255]), 0), 255);
+        assert.equal(classifier.valueAt(new Uint8ClampedArray([235, 235, 235, 255]), 0), 0);
+    });
+
+    it('leaves other modes without an LED color', () => {
+        const [lit, unlit] = renderCalibrationFrames(WIDTH, HEIGHT, 6);
+        const classifier = new PixelClassifier('green');
+        assert.equal(classifier.sampleLedColor(lit, unlit, 20), null);
+        assert.equal(classifier.ledColor, null);
+    });
+
+    describe('in the engine', () => {
+        /**
+         * A 1 on the first digit with glare over its dark top segment.
+         *
+         * @returns {Frame}
+         */
+        const glaredFrame = () => {
+            const frame = tint(renderFrame(WIDTH, HEIGHT, [DIGITS[1], ...DIGITS.slice(2, 7)]), GREEN_LED);
+            return glare(frame, 12, 26, 13, 7);
+        };
+
+        it('keeps enough of a dim colored LED to calibrate on in its channel, where the average does not', () => {
+            const configuration = new SegmentDisplayReaderConfiguration();
+            const [lit, unlit] = renderCalibrationFrames(WIDTH, HEIGHT, 6);
+            tint(lit, GREEN_LED);
+            assert.equal(new SegmentDisplayEngine(configuration, WIDTH, HEIGHT).calibrate(lit, unlit), false);
+            configuration.pixelClassifier = 'green';
+            assert.equal(new SegmentDisplayEngine(configuration, WIDTH, HEIGHT).calibrate(lit, unlit), true);
+        });
+
+        it('takes white glare for a lit segment in the LED channel', () => {
+            assert.equal(calibratedEngine('green').readDisplays(glaredFrame()).value, '723456');
+        });
+
+        it('reads through white glare in ledColor mode', () => {
+            assert.equal(calibratedEngine('ledColor').readDisplays(glaredFrame()).value, '123456');
+        });
+
+        it('keeps the classifier and LED color of an imported calibration', () => {
+            const calibration = calibratedEngine('ledColor').exportCalibration();
+            assert.equal(calibration.configuration.pixelClassifier, 'ledColor');
+            assert.deepEqual(calibration.configuration.ledColor, GREEN_LED);
+
+            // The configured classifier only applies to calibrations made here
+            const engine = new SegmentDisplayEngine(undefined, WIDTH, HEIGHT);
+            engine.importCalibration(JSON.stringify(calibration));
+            assert.equal(engine.pixelClassifier.mode, 'ledColor');
+            assert.equal(engine.readDisplays(glaredFrame()).value, '123456');
+        });
+
+        it('rejects a calibration made with an unknown classifier', () => {
+            const calibration = calibratedEngine('green').exportCalibration();
+            const engine = new SegmentDisplayEngine(undefined, WIDTH, HEIGHT);
+            assert.throws(() => {
+                engine.importCalibration({
+                    ...calibration,
+                    configuration: { ...calibration.configuration, pixelClassifier: /** @type {any} */ ('infrared') }
+                });
+            }, /calibration/i);
+            assert.equal(engine.calibrated, false);
+        });
+    });
+});
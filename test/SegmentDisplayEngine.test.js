@@ -0,0 +1,218 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { SegmentDisplayEngine } from '../src/classes/SegmentDisplayEngine.js';
+import { SegmentDisplayReaderConfiguration } from '../src/classes/SegmentDisplayReaderConfiguration.js';
+import { DIGITS, renderCalibrationFrames, renderFrame } from './frames.js';
+
+/** @typedef {import('../src/classes/SegmentDisplayEngine.js').Frame} Frame */
+
+const WIDTH = 320;
+const HEIGHT = 100;
+
+/**
+ * @returns {SegmentDisplayEngine} An engine calibrated on six synthetic digits
+ */
+function calibratedEngine() {
+    const engine = new SegmentDisplayEngine(undefined, WIDTH, HEIGHT);
+    const [lit, unlit] = renderCalibrationFrames(WIDTH, HEIGHT, 6);
+    assert.equal(engine.calibrate(lit, unlit), true);
+    return engine;
+}
+
+describe('SegmentDisplayEngine', () => {
+    it('calibrates from a lit and an unlit frame given in either order', () => {
+        const [lit, unlit] = renderCalibrationFrames(WIDTH, HEIGHT, 6);
+        const engine = new SegmentDisplayEngine(undefined, WIDTH, HEIGHT);
+        assert.equal(engine.calibrate(unlit, lit), true);
+        assert.equal(engine.calibrated, true);
+        assert.equal(engine.readDisplays(lit).value, '8.8.8.8.8.8.');
+    });
+
+    it('reads the digits shown', () => {
+        const engine = calibratedEngine();
+        const reading = engine.readDisplays(renderFrame(WIDTH, HEIGHT, DIGITS.slice(0, 6)));
+        assert.equal(reading.value, '012345');
+        assert.equal(reading.changed, true);
+        assert.equal(engine.readDisplays(renderFrame(WIDTH, HEIGHT, DIGITS.slice(4, 10))).value, '456789');
+    });
+
+    it('reads a lit decimal point after its digit', () => {
+        const engine = calibratedEngine();
+        const frame = renderFrame(WIDTH, HEIGHT, DIGITS.slice(0, 6), [false, false, true]);
+        assert.equal(engine.readDisplays(frame).value, '012.345');
+    });
+
+    it('reads a single row of another length', () => {
+        const configuration = new SegmentDisplayReaderConfiguration();
+        configuration.digitCount = 4;
+        const engine = new SegmentDisplayEngine(configuration, WIDTH, HEIGHT);
+        const [lit, unlit] = renderCalibrationFrames(WIDTH, HEIGHT, 4);
+        assert.equal(engine.calibrate(lit, unlit), true);
+        assert.equal(engine.readDisplays(renderFrame(WIDTH, HEIGHT, DIGITS.slice(6, 10))).value, '6789');
+    });
+
+    it('reads several rows top row first, separated by line breaks', () => {
+        const configuration = new SegmentDisplayReaderConfiguration();
+        configuration.rowLayout = [4, 2];
+        const engine = new SegmentDisplayEngine(configuration, WIDTH, 180);
+        const [lit, unlit] = renderCalibrationFrames(WIDTH, 180, 6, [4, 2]);
+        assert.equal(engine.calibrate(lit, unlit), true);
+        const frame = renderFrame(WIDTH, 180, DIGITS.slice(1, 7), [false, true], [4, 2]);
+        assert.equal(engine.readDisplays(frame).value, '12.34\n56');
+    });
+
+    it('fails to calibrate when the frames hold a different number of digits than configured', () => {
+        const configuration = new SegmentDisplayReaderConfiguration();
+        configuration.digitCount = 4;
+        const engine = new SegmentDisplayEngine(configuration, WIDTH, HEIGHT);
+        const [lit, unlit] = renderCalibrationFrames(WIDTH, HEIGHT, 6);
+        assert.equal(engine.calibrate(lit, unlit), false);
+    });
+
+    it('fails to calibrate from frames that do not differ', () => {
+        const engine = new SegmentDisplayEngine(undefined, WIDTH, HEIGHT);
+        const [, unlit] = renderCalibrationFrames(WIDTH, HEIGHT, 6);
+        assert.equal(engine.calibrate(unlit, unlit), false);
+        assert.equal(engine.calibrated, false);
+    });
+});
+
+/**
+ * Scales a frame up by a whole factor, repeating each pixel.
+ *
+ * @param {Frame} frame
+ * @param {number} factor
+ * @returns {Frame}
+ */
+function scaleFrame({ width, height, data }, factor) {
+    const scaled = new Uint8ClampedArray(width * height * factor * factor * 4);
+    for (let y = 0; y < height * factor; y++) {
+        for (let x = 0; x < width * factor; x++) {
+            const source = (Math.floor(y / factor) * width + Math.floor(x / factor)) * 4;
+            scaled.set(data.slice(source, source + 4), (y * width * factor + x) * 4);
+        }
+    }
+    return { width: width * factor, height: height * factor, data: scaled };
+}
+
+describe('SegmentDisplayEngine calibration documents', () => {
+    const frame = renderFrame(WIDTH, HEIGHT, DIGITS.slice(0, 6), [false, false, true]);
+
+    it('restores a calibration from its exported JSON', () => {
+        const json = JSON.stringify(calibratedEngine().exportCalibration());
+        const engine = new SegmentDisplayEngine(undefined, WIDTH, HEIGHT);
+        engine.importCalibration(json);
+        assert.equal(engine.calibrated, true);
+        assert.equal(engine.readDisplays(frame).value, '012.345');
+    });
+
+    it('keeps the sample tables rather than whole-frame maps', () => {
+        const calibration = calibratedEngine().exportCalibration();
+        const largeEngine = new SegmentDisplayEngine(undefined, WIDTH * 3, HEIGHT * 3);
+        const [lit, unlit] = renderCalibrationFrames(WIDTH * 3, HEIGHT * 3, 6);
+        assert.equal(largeEngine.calibrate(lit, unlit), true);
+        // The same display in a frame nine times larger needs about the same document
+        assert.ok(JSON.stringify(largeEngine.exportCalibration()).length < JSON.stringify(calibration).length * 1.5);
+        assert.ok(calibration.ambientSamples.length > 0);
+        calibration.segmentSamples.flat(2).forEach((entry) => {
+            assert.equal(entry.length, 4);
+        });
+    });
+
+    it('rejects a calibration captured at a different size', () => {
+        const calibration = calibratedEngine().exportCalibration();
+        const engine = new SegmentDisplayEngine(undefined, WIDTH * 2, HEIGHT * 2);
+        assert.throws(() => {
+            engine.importCalibration(calibration);
+        }, /different size/);
+        assert.equal(engine.calibrated, false);
+    });
+
+    it('rescales a calibration captured at a different size when asked to', () => {
+        const calibration = calibratedEngine().exportCalibration();
+        const engine = new SegmentDisplayEngine(undefined, WIDTH * 2, HEIGHT * 2);
+        engine.importCalibration(calibration, { rescale: true });
+        assert.equal(engine.readDisplays(scaleFrame(frame, 2)).value, '012.345');
+    });
+
+    it('rejects segment samples outside the frame', () => {
+        const calibration = calibratedEngine().exportCalibration();
+        calibration.segmentSamples[2][1][0][0] = WIDTH;
+        assert.throws(() => {
+            new SegmentDisplayEngine().importCalibration(calibration);
+        }, /outside the frame/);
+    });
+
+    it('rejects decimal point samples outside the frame', () => {
+        const calibration = calibratedEngine().exportCalibration();
+        calibration.segmentSamples[0][7][0][1] = -1;
+        assert.throws(() => {
+            new SegmentDisplayEngine().importCalibration(calibration);
+        }, /outside the frame/);
+    });
+});
+
+/**
+ * Turns a synthetic LED frame into a reflective LCD's: dark segments on a light display.
+ *
+ * @param {Frame} frame
+ * @returns {Frame}
+ */
+function invertFrame({ width, height, data }) {
+    const inverted = new Uint8ClampedArray(data.length);
+    for (let offset = 0; offset < data.length; offset += 4) {
+        inverted[offset] = 255 - data[offset];
+        inverted[offset + 1] = 255 - data[offset + 1];
+        inverted[offset + 2] = 255 - data[offset + 2];
+        inverted[offset + 3] = data[offset + 3];
+    }
+    return { width, height, data: inverted };
+}
+
+describe('SegmentDisplayEngine with dark-on-light displays', () => {
+    const [active, inactive] = renderCalibrationFrames(WIDTH, HEIGHT, 6).map(invertFrame);
+    const frame = invertFrame(renderFrame(WIDTH, HEIGHT, DIGITS.slice(3, 9), [false, true]));
+
+    it('finds the darker frame holds the active segments, given in either order', () => {
+        [[active, inactive], [inactive, active]].forEach(([imageA, imageB]) => {
+            const engine = new SegmentDisplayEngine(undefined, WIDTH, HEIGHT);
+            assert.equal(engine.calibrate(imageA, imageB), true);
+            assert.equal(engine.polarity, 'darkOnLight');
+            assert.equal(engine.calibrationReport?.polarity, 'darkOnLight');
+            assert.equal(engine.readDisplays(frame).value, '34.5678');
+        });
+    });
+
+    it('still takes LEDs for light on dark', () => {
+        const engine = calibratedEngine();
+        assert.equal(engine.polarity, 'lightOnDark');
+        assert.equal(engine.calibrationReport?.polarity, 'lightOnDark');
+    });
+
+    it('reads with the polarity set rather than detected', () => {
+        const configuration = new SegmentDisplayReaderConfiguration();
+        configuration.polarity = 'darkOnLight';
+        const engine = new SegmentDisplayEngine(configuration, WIDTH, HEIGHT);
+        assert.equal(engine.calibrate(inactive, active), true);
+        assert.equal(engine.readDisplays(frame).value, '34.5678');
+    });
+
+    it('keeps the polarity of an imported calibration and rejects unknown ones', () => {
+        const engine = new SegmentDisplayEngine(undefined, WIDTH, HEIGHT);
+        assert.equal(engine.calibrate(active, inactive), true);
+        const calibration = engine.exportCalibration();
+        assert.equal(calibration.configuration.polarity, 'darkOnLight');
+
+        const imported = new SegmentDisplayEngine(undefined, WIDTH, HEIGHT);
+        imported.importCalibration(JSON.stringify(calibration));
+        assert.equal(imported.polarity, 'darkOnLight');
+        assert.equal(imported.readDisplays(frame).value, '34.5678');
+
+        assert.throws(() => {
+            new SegmentDisplayEngine().importCalibration({
+                ...calibration,
+                configuration: { ...calibration.configuration, polarity: /** @type {any} */ ('sideways') }
+            });
+        }, /calibration/i);
+    });
+});
@@ -0,0 +1,220 @@
+import assert from 'node:assert/strict';
+import { before, describe, it } from 'node:test';
+import { SegmentDisplayReader } from '../src/classes/SegmentDisplayReader.js';
+import { SegmentDisplayReaderConfiguration } from '../src/classes/SegmentDisplayReaderConfiguration.js';
+
+/** @typedef {import('../src/classes/CameraController.js').CameraController} CameraController */
+
+/** Just enough of a canvas for the reader to set up. */
+class FakeCanvas {
+    width = 320;
+    height = 100;
+
+    getContext() {
+        return {};
+    }
+}
+
+/** A video element with nothing to play, so the reader opens the camera. */
+class FakeVideo {
+    src = '';
+    /** @type {unknown} */
+    srcObject = null;
+
+    querySelector() {
+        return null;
+    }
+}
+
+/**
+ * @template T
+ * @returns {{ promise: Promise<T>, resolve: (value: T) => void }}
+ */
+function deferred() {
+    /** @type {(value: T) => void} */
+    let resolve = () => {};
+    const promise = new Promise((settle) => {
+        resolve = settle;
+    });
+    return { promise, resolve };
+}
+
+/**
+ * @returns {{ stream: unknown, track: { stopped: boolean } }} A camera stream with one video track
+ */
+function fakeStream() {
+    const track = {
+        label: 'Fake camera',
+        stopped: false,
+        stop() {
+            this.stopped = true;
+        },
+        getSettings() {
+            return { deviceId: 'fake', width: 320, height: 100 };
+        },
+        addEventListener() {}
+    };
+    const stream = {
+        getTracks: () => {
+            return [track];
+        },
+        getVideoTracks: () => {
+            return [track];
+        }
+    };
+    return { stream, track };
+}
+
+/** @type {ReturnType<typeof deferred<unknown>>} */
+let userMedia = deferred();
+
+/**
+ * @returns {SegmentDisplayReader} A reader opening the camera, reading only when stepped
+ */
+function createReader() {
+    const configuration = new SegmentDisplayReaderConfiguration();
+    configuration.readScheduler = 'manual';
+    const video = /** @type {HTMLVideoElement} */ (/** @type {unknown} */ (new FakeVideo()));
+    const canvas = /** @type {HTMLCanvasElement} */ (/** @type {unknown} */ (new FakeCanvas()));
+    return new SegmentDisplayReader(video, canvas, configuration);
+}
+
+/**
+ * Lets pending promise callbacks run.
+ *
+ * @returns {Promise<void>}
+ */
+function settle() {
+    return new Promise((resolve) => {
+        setImmediate(resolve);
+    });
+}
+
+describe('SegmentDisplayReader lifecycle', () => {
+    before(() => {
+        Object.assign(globalThis, {
+            HTMLCanvasElement: FakeCanvas,
+            HTMLVideoElement: FakeVideo,
+            window: { addEventListener() {}, removeEventListener() {} },
+            navigator: {
+                mediaDevices: {
+                    getUserMedia: () => {
+                        return userMedia.promise;
+                    }
+                }
+            }
+        });
+    });
+
+    it('closes a camera that finishes opening after the reader was stopped', async () => {
+        userMedia = deferred();
+        const reader = createReader();
+        reader.stop();
+        const { stream, track } = fakeStream();
+        userMedia.resolve(stream);
+        await settle();
+        assert.equal(track.stopped, true);
+        assert.equal(reader.camera?.stream, null);
+        assert.equal(reader.state, 'stopped');
+    });
+
+    it('closes a camera that finishes opening after the reader was disposed', async () => {
+        userMedia = deferred();
+        const reader = createReader();
+        reader.dispose();
+        const { stream, track } = fakeStream();
+        userMedia.resolve(stream);
+        await settle();
+        assert.equal(track.stopped, true);
+        assert.equal(reader.state, 'disposed');
+    });
+
+    it('keeps the camera open through a pause while it opens', async () => {
+        userMedia = deferred();
+        const reader = createReader();
+        reader.pause();
+        const { stream, track } = fakeStream();
+        userMedia.resolve(stream);
+        await settle();
+        assert.equal(track.stopped, false);
+        reader.resume();
+        assert.equal(reader.state, 'running');
+    });
+
+    describe('start', () => {
+        /**
+         * Swaps in a camera whose opening the test finishes.
+         *
+         * @param {SegmentDisplayReader} reader
+         */
+        const stubCamera = (reader) => {
+            const camera = {
+                /** @type {unknown} */
+                stream: null,
+                stopCount: 0,
+                opening: deferred(),
+                start() {
+                    return this.opening.promise;
+                },
+                stop() {
+                    this.stopCount++;
+                }
+            };
+            reader.camera = /** @type {CameraController} */ (/** @type {unknown} */ (camera));
+            return camera;
+        };
+
+        it('reopens the camera and runs again', async () => {
+            userMedia = deferred();
+            userMedia.resolve(fakeStream().stream);
+            const reader = createReader();
+            await settle();
+            reader.stop();
+            const camera = stubCamera(reader);
+
+            const started = reader.start();
+            camera.opening.resolve(true);
+            assert.equal(await started, true);
+            assert.equal(reader.state, 'running');
+            assert.equal(camera.stopCount, 0);
+        });
+
+        it('stays stopped and closes the camera when stopped while the camera opens', async () => {
+            userMedia = deferred();
+            userMedia.resolve(fakeStream().stream);
+            const reader = createReader();
+            await settle();
+            reader.stop();
+            const camera = stubCamera(reader);
+            /** @type {Array<string>} */
+            const states = [];
+            reader.addEventListener('statechange', (event) => {
+                states.push(/** @type {CustomEvent} */ (event).detail.state);
+            });
+
+            const started = reader.start();
+            reader.stop();
+            camera.opening.resolve(true);
+            assert.equal(await started, false);
+            assert.equal(reader.state, 'stopped');
+            // Once by stop(), then again once the camera had opened
+            assert.equal(camera.stopCount, 2);
+            assert.deepEqual(states, []);
+        });
+
+        it('gives up without throwing when disposed while the camera opens', async () => {
+            userMedia = deferred();
+            userMedia.resolve(fakeStream().stream);
+            const reader = createReader();
+            await settle();
+            reader.stop();
+            const camera = stubCamera(reader);
+
+            const started = reader.start();
+            reader.dispose();
+            camera.opening.resolve(true);
+            assert.equal(await started, false);
+            assert.equal(reader.state, 'disposed');
+        });
+    });
+});
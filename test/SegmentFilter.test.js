@@ -0,0 +1,113 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { SegmentDisplayEngine } from '../src/classes/SegmentDisplayEngine.js';
+import { SegmentDisplayReaderConfiguration } from '../src/classes/SegmentDisplayReaderConfiguration.js';
+import { SegmentFilter } from '../src/classes/SegmentFilter.js';
+
+/** @typedef {import('../src/classes/SegmentDisplayEngine.js').DigitReading} DigitReading */
+
+/** The segments of an `8`, without the decimal point. */
+const EIGHT = 0b1111111;
+
+/**
+ * Builds the digits of one frame with every segment of the first digit at the same lit fraction
+ * and the rest dark.
+ *
+ * @param {number} digitCount
+ * @param {number} fraction
+ * @returns {Array<DigitReading>}
+ */
+function frame(digitCount, fraction) {
+    return Array.from({ length: digitCount }, (_, digit) => {
+        return {
+            character: '',
+            mask: 0,
+            decimalPoint: false,
+            litFractions: new Array(8).fill(digit === 0 ? fraction : 0).fill(0, 7)
+        };
+    });
+}
+
+describe('SegmentFilter', () => {
+    it('marks segments that switch on and off regularly as blinking and leaves them out of the mask', () => {
+        const filter = new SegmentFilter({ mode: 'blink' });
+        /** @type {Array<DigitReading>} */
+        let digits = [];
+        for (let index = 0; index < 20; index++) {
+            digits = frame(1, Math.floor(index / 3) % 2 ? 0 : 1);
+            filter.push(digits);
+        }
+        assert.equal(digits[0].blinkMask, EIGHT);
+        assert.equal(digits[0].mask, 0);
+    });
+
+    it('stops reporting a segment as blinking once it holds its state', () => {
+        const filter = new SegmentFilter({ mode: 'blink' });
+        /** @type {Array<DigitReading>} */
+        let digits = [];
+        for (let index = 0; index < 20; index++) {
+            filter.push(frame(1, Math.floor(index / 3) % 2 ? 0 : 1));
+        }
+        for (let index = 0; index < 10; index++) {
+            digits = frame(1, 1);
+            filter.push(digits);
+        }
+        assert.equal(digits[0].blinkMask, 0);
+        assert.equal(digits[0].mask, EIGHT);
+    });
+
+    it('lights a segment from half of its pixels or half its level, as a single frame is read', () => {
+        assert.equal(SegmentFilter.isLit(0.5), true);
+        assert.equal(SegmentFilter.isLit(0.49), false);
+
+        const filter = new SegmentFilter({ mode: 'smooth', decay: 0.5 });
+        const digits = frame(1, 1);
+        filter.push(digits);
+        assert.equal(digits[0].mask, EIGHT);
+        // Half way down from fully lit is still lit, any further is not
+        const half = frame(1, 0);
+        filter.push(half);
+        assert.equal(half[0].mask, EIGHT);
+        const dark = frame(1, 0);
+        filter.push(dark);
+        assert.equal(dark[0].mask, 0);
+    });
+});
+
+describe('SegmentDisplayEngine with the blink filter', () => {
+    it('confirms the steady digits around a blinking one, leaving the blinking segments out', () => {
+        const configuration = new SegmentDisplayReaderConfiguration();
+        configuration.segmentFilter = 'blink';
+        const engine = new SegmentDisplayEngine(configuration);
+        const confirmed = [];
+        for (let index = 0; index < 60; index++) {
+            const digits = frame(engine.digitCount, Math.floor(index / 3) % 2 ? 0 : 1);
+            // The second digit holds a steady 1
+            digits[1].litFractions = [0, 1, 1, 0, 0, 0, 0, 0];
+            const reading = engine.decodeDigits(digits);
+            if (reading.confirmed) {
+                confirmed.push(reading.value);
+            }
+        }
+        assert.equal(confirmed.length, 1);
+        assert.match(confirmed[0], /^ 1/);
+    });
+
+    it('confirms the display once it stops blinking', () => {
+        const configuration = new SegmentDisplayReaderConfiguration();
+        configuration.segmentFilter = 'blink';
+        const engine = new SegmentDisplayEngine(configuration);
+        for (let index = 0; index < 30; index++) {
+            engine.decodeDigits(frame(engine.digitCount, Math.floor(index / 3) % 2 ? 0 : 1));
+        }
+        const confirmed = [];
+        for (let index = 0; index < 20; index++) {
+            const reading = engine.decodeDigits(frame(engine.digitCount, 1));
+            if (reading.confirmed) {
+                confirmed.push(reading.value);
+            }
+        }
+        assert.equal(confirmed.length, 1);
+        assert.match(confirmed[0], /^8/);
+    });
+});
@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { StabilityPolicy } from '../src/classes/StabilityPolicy.js';
+
+/**
+ * Pushes a value per frame and collects the values confirmed.
+ *
+ * @param {StabilityPolicy} policy
+ * @param {Array<string>} values
+ * @returns {Array<string>}
+ */
+function confirmations(policy, values) {
+    /** @type {Array<string>} */
+    const confirmed = [];
+    values.forEach((value) => {
+        const confirmation = policy.push(value, []);
+        if (confirmation) {
+            confirmed.push(confirmation.value);
+        }
+    });
+    return confirmed;
+}
+
+describe('StabilityPolicy', () => {
+    describe('consecutive', () => {
+        it('confirms a value on its fifth consecutive frame, once', () => {
+            const policy = new StabilityPolicy('consecutive', 5);
+            assert.deepEqual(confirmations(policy, ['12', '12', '12', '12']), []);
+            const confirmation = policy.push('12', []);
+            assert.equal(confirmation?.value, '12');
+            assert.equal(confirmation?.frames, 5);
+            assert.equal(confirmation?.strategy, 'consecutive');
+            assert.deepEqual(confirmations(policy, ['12', '12', '12']), []);
+        });
+
+        it('starts counting again after a frame that differs', () => {
+            const policy = new StabilityPolicy('consecutive', 5);
+            assert.deepEqual(confirmations(policy, ['12', '12', '12', '12', '18', '12', '12', '12', '12']), []);
+            assert.deepEqual(confirmations(policy, ['12']), ['12']);
+        });
+
+        it('never confirms a flickering value', () => {
+            const policy = new StabilityPolicy('consecutive', 5);
+            assert.deepEqual(confirmations(policy, new Array(20).fill('').map((_, index) => {
+                return index % 2 ? '12' : '18';
+            })), []);
+        });
+
+        it('confirms the same value again after a reset', () => {
+            const policy = new StabilityPolicy('consecutive', 5);
+            assert.deepEqual(confirmations(policy, new Array(7).fill('12')), ['12']);
+            policy.reset();
+            assert.deepEqual(confirmations(policy, new Array(5).fill('12')), ['12']);
+        });
+    });
+
+    describe('majority', () => {
+        it('confirms a value once it holds a strict majority of the window', () => {
+            const policy = new StabilityPolicy('majority', 5, 7);
+            assert.deepEqual(confirmations(policy, ['12', '12', '12']), []);
+            const confirmation = policy.push('12', []);
+            assert.equal(confirmation?.value, '12');
+            assert.equal(confirmation?.frames, 4);
+        });
+
+        it('rides out a flicker without confirming it or the value again', () => {
+            const policy = new StabilityPolicy('majority', 5, 7);
+            assert.deepEqual(confirmations(policy, ['12', '12', '12', '12', '18', '12', '18', '12', '12']), ['12']);
+        });
+
+        it('confirms a new value once it takes over the window', () => {
+            const policy = new StabilityPolicy('majority', 5, 7);
+            assert.deepEqual(confirmations(policy, ['12', '12', '12', '12', '34', '34', '34']), ['12']);
+            assert.deepEqual(confirmations(policy, ['34']), ['34']);
+        });
+
+        it('confirms the same value again after a reset', () => {
+            const policy = new StabilityPolicy('majority', 5, 7);
+            assert.deepEqual(confirmations(policy, new Array(6).fill('12')), ['12']);
+            policy.reset();
+            assert.deepEqual(confirmations(policy, new Array(3).fill('12')), []);
+            assert.deepEqual(confirmations(policy, ['12']), ['12']);
+        });
+    });
+
+    describe('perDigit', () => {
+        it('settles each digit on its own majority', () => {
+            // No whole value holds a majority, but every digit does
+            const values = ['12', '32', '14', '12', '32', '14', '12'];
+            assert.deepEqual(confirmations(new StabilityPolicy('majority', 5, 7), values), []);
+            assert.deepEqual(confirmations(new StabilityPolicy('perDigit', 5, 7), values), ['12']);
+        });
+
+        it('keeps a confirmed digit through a flicker in it', () => {
+            const policy = new StabilityPolicy('perDigit', 5, 7);
+            assert.deepEqual(confirmations(policy, ['12', '12', '12', '12', '18', '12', '18', '12']), ['12']);
+        });
+
+        it('keeps decimal points with their digit', () => {
+            const policy = new StabilityPolicy('perDigit', 5, 7);
+            assert.deepEqual(confirmations(policy, ['1.2', '1.2', '1.2', '1.2']), ['1.2']);
+        });
+
+        it('votes from scratch when the number of digits changes', () => {
+            const policy = new StabilityPolicy('perDigit', 5, 7);
+            assert.deepEqual(confirmations(policy, ['12', '12', '12', '12']), ['12']);
+            assert.deepEqual(confirmations(policy, ['123', '123', '123']), []);
+            assert.deepEqual(confirmations(policy, ['123']), ['123']);
+        });
+
+        it('confirms the same value again after a reset', () => {
+            const policy = new StabilityPolicy('perDigit', 5, 7);
+            assert.deepEqual(confirmations(policy, new Array(6).fill('12\n34')), ['12\n34']);
+            policy.reset();
+            assert.deepEqual(confirmations(policy, new Array(4).fill('12\n34')), ['12\n34']);
+        });
+    });
+});
@@ -0,0 +1,191 @@
+import assert from 'node:assert/strict';
+import { before, describe, it } from 'node:test';
+import { SvgDisplaySource } from '../src/classes/SvgDisplaySource.js';
+
+/**
+ * Just enough of an SVG element for the locator: an id, data attributes and a parent.
+ */
+class FakeSvgElement {
+    /**
+     * @param {string} id
+     * @param {Record<string, string>} [dataset={}]
+     * @param {FakeSvgElement|null} [parentElement=null]
+     */
+    constructor(id, dataset = {}, parentElement = null) {
+        this.id = id;
+        this.dataset = dataset;
+        this.parentElement = parentElement;
+        this.isConnected = true;
+    }
+
+    /**
+     * @param {string} selector Only `[data-digit]` is supported
+     * @returns {FakeSvgElement|null}
+     */
+    closest(selector) {
+        assert.equal(selector, '[data-digit]');
+        /** @type {FakeSvgElement|null} */
+        let current = this;
+        while (current && current.dataset.digit === undefined) {
+            current = current.parentElement;
+        }
+        return current;
+    }
+
+    /**
+     * @param {string} name Only `data-digit` is supported
+     * @returns {string|null}
+     */
+    getAttribute(name) {
+        assert.equal(name, 'data-digit');
+        return this.dataset.digit ?? null;
+    }
+}
+
+/**
+ * A fake SVG element drawn at a position on screen, lit or not.
+ */
+class FakeSvgGraphicsElement extends FakeSvgElement {
+    /**
+     * @param {string} id
+     * @param {Record<string, string>} [dataset={}]
+     * @param {FakeSvgElement|null} [parentElement=null]
+     */
+    constructor(id, dataset = {}, parentElement = null) {
+        super(id, dataset, parentElement);
+        this.lit = false;
+        this.box = { left: 0, top: 0, right: 10, bottom: 20, width: 10, height: 20 };
+    }
+
+    getBoundingClientRect() {
+        return this.box;
+    }
+}
+
+/**
+ * @param {Array<FakeSvgElement>} elements
+ * @returns {Element} A root whose descendants are `elements`
+ */
+function fakeRoot(elements) {
+    return /** @type {Element} */ (/** @type {unknown} */ ({
+        querySelectorAll: () => {
+            return elements;
+        }
+    }));
+}
+
+/**
+ * @param {Array<FakeSvgElement>} elements
+ * @param {Array<string>} [segmentNames]
+ * @returns {Array<[number, number, string]>} The digit, segment and id of each segment found
+ */
+function locate(elements, segmentNames = SvgDisplaySource.segmentNames) {
+    return SvgDisplaySource.locateSegments(fakeRoot(elements), segmentNames).map(({ digit, segment, element }) => {
+        return [digit, segment, element.id];
+    });
+}
+
+/**
+ * @param {SVGElement} element
+ * @returns {boolean}
+ */
+function isFakeLit(element) {
+    return /** @type {FakeSvgGraphicsElement} */ (/** @type {unknown} */ (element)).lit;
+}
+
+describe('SvgDisplaySource', () => {
+    before(() => {
+        Object.assign(globalThis, { SVGElement: FakeSvgElement, SVGGraphicsElement: FakeSvgGraphicsElement });
+    });
+
+    describe('locateSegments', () => {
+        it('reads data-segment with data-digit on the element or its digit group', () => {
+            const group = new FakeSvgElement('', { digit: '2' });
+            assert.deepEqual(locate([
+                group,
+                new FakeSvgElement('top', { segment: 'a' }, group),
+                new FakeSvgElement('point', { segment: 'DP' }, group),
+                new FakeSvgElement('', { segment: 'c', digit: '5' })
+            ]), [[2, 0, 'top'], [2, 7, 'point'], [5, 2, '']]);
+        });
+
+        it('reads ids made of the digit prefix, a digit number and a segment name', () => {
+            assert.deepEqual(locate([
+                new FakeSvgElement('digit3-seg-a'),
+                new FakeSvgElement('digit3-dp'),
+                new FakeSvgElement('digit3g'),
+                new FakeSvgElement('digit_12_segment_F')
+            ]), [[3, 0, 'digit3-seg-a'], [3, 7, 'digit3-dp'], [3, 6, 'digit3g'], [12, 5, 'digit_12_segment_F']]);
+        });
+
+        it('ignores ids without the digit prefix and names that are not segments', () => {
+            assert.deepEqual(locate([
+                new FakeSvgElement('layer1-b'),
+                new FakeSvgElement('path42a'),
+                new FakeSvgElement('digit3-h'),
+                new FakeSvgElement('digit3-seg-g1')
+            ]), []);
+        });
+
+        it('falls back to the id when no data-digit is found', () => {
+            assert.deepEqual(locate([new FakeSvgElement('digit4-b', { segment: 'c' })]), [[4, 1, 'digit4-b']]);
+        });
+
+        it('indexes the decimal point after the segment names it is given', () => {
+            const names = ['a', 'b', 'c', 'd', 'e', 'f', 'g1', 'g2', 'h', 'i', 'j', 'k', 'l', 'm'];
+            assert.deepEqual(locate([new FakeSvgElement('digit0-seg-g1'), new FakeSvgElement('digit0-dp')], names), [
+                [0, 6, 'digit0-seg-g1'],
+                [0, 14, 'digit0-dp']
+            ]);
+        });
+    });
+
+    describe('read', () => {
+        /**
+         * Draws a digit's segments at a position on screen.
+         *
+         * @param {number} label
+         * @param {number} left
+         * @param {number} top
+         * @param {Array<string>} names
+         * @returns {Array<FakeSvgGraphicsElement>}
+         */
+        const digitAt = (label, left, top, names) => {
+            return names.map((name) => {
+                const element = new FakeSvgGraphicsElement(`digit${label}-${name}`);
+                element.box = { left, top, right: left + 10, bottom: top + 20, width: 10, height: 20 };
+                return element;
+            });
+        };
+
+        it('builds masks in reading order, rows top to bottom and left to right', () => {
+            const names = [...SvgDisplaySource.segmentNames, 'dp'];
+            // Labels run right to left on the top row, and the second row sits below
+            const digits = [digitAt(0, 20, 0, names), digitAt(1, 0, 0, names), digitAt(2, 0, 30, names)];
+            digits[1][1].lit = true;
+            digits[1][2].lit = true;
+            digits[0][0].lit = true;
+            digits[0][7].lit = true;
+            digits[2][6].lit = true;
+
+            const source = new SvgDisplaySource(fakeRoot(digits.flat()), { isLit: isFakeLit });
+            const readings = source.read();
+            assert.deepEqual(readings.map(({ mask, decimalPoint }) => {
+                return [mask, decimalPoint];
+            }), [[6, false], [1, true], [64, false]]);
+            assert.equal(readings[1].litFractions.length, 8);
+        });
+
+        it('reads as many segments as it is given names for', () => {
+            const names = ['a', 'b', 'c', 'd', 'e', 'f', 'g1', 'g2', 'h', 'i', 'j', 'k', 'l', 'm'];
+            const digit = digitAt(0, 0, 0, [...names, 'dp']);
+            digit[13].lit = true;
+            digit[14].lit = true;
+
+            const source = new SvgDisplaySource(fakeRoot(digit), { isLit: isFakeLit, segmentNames: names });
+            assert.deepEqual(source.read().map(({ mask, decimalPoint }) => {
+                return [mask, decimalPoint];
+            }), [[1 << 13, true]]);
+        });
+    });
+});
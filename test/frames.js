@@ -0,0 +1,162 @@
+/** @typedef {import('../src/classes/DisplayType.js').DisplayType} DisplayType */
+/** @typedef {import('../src/classes/SegmentDisplayEngine.js').Frame} Frame */
+
+/** Segment stroke, hole width and hole height of the synthetic digits, in pixels. */
+export const STROKE = 7;
+export const HOLE_WIDTH = 8;
+export const HOLE_HEIGHT = 10;
+export const DIGIT_PITCH = 50;
+export const ROW_PITCH = 70;
+
+/** Segment masks of the digits 0-9. */
+export const DIGITS = [63, 6, 91, 79, 102, 109, 125, 7, 127, 111];
+
+/**
+ * Draws rows of seven segment digits in the middle of a dark frame, with a little noise so the
+ * background isn't flat.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {Array<number>} masks The segment mask of each digit, in reading order
+ * @param {Array<boolean>} [decimalPoints=[]] Whether each digit's decimal point is lit
+ * @param {Array<number>} [rowLayout] The number of digits on each row, top row first, a single row by default
+ * @returns {Frame}
+ */
+export function renderFrame(width, height, masks, decimalPoints = [], rowLayout = [masks.length]) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    let seed = 1;
+    for (let index = 0; index < width * height; index++) {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        const gray = 26 + seed % 9;
+        data.set([gray, gray, gray, 255], index * 4);
+    }
+
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {number} rectWidth
+     * @param {number} rectHeight
+     */
+    const fill = (x, y, rectWidth, rectHeight) => {
+        for (let row = y; row < y + rectHeight; row++) {
+            for (let column = x; column < x + rectWidth; column++) {
+                data.set([255, 200, 200], (row * width + column) * 4);
+            }
+        }
+    };
+
+    const firstTop = Math.floor(height / 2) - HOLE_HEIGHT - STROKE - Math.floor((rowLayout.length - 1) * ROW_PITCH / 2);
+    let row = 0;
+    let rowStart = 0;
+    masks.forEach((mask, digit) => {
+        if (digit - rowStart === rowLayout[row]) {
+            rowStart = digit;
+            row++;
+        }
+        const left = Math.floor((width - DIGIT_PITCH * rowLayout[row]) / 2) + STROKE;
+        const top = firstTop + row * ROW_PITCH;
+        const x = left + (digit - rowStart) * DIGIT_PITCH;
+        const lowerY = top + HOLE_HEIGHT + STROKE;
+        /** @type {Array<[number, number, number, number]>} */
+        const segments = [
+            [x - STROKE, top - STROKE, HOLE_WIDTH + 2 * STROKE, STROKE],
+            [x + HOLE_WIDTH, top - STROKE, STROKE, HOLE_HEIGHT + 2 * STROKE],
+            [x + HOLE_WIDTH, lowerY - STROKE, STROKE, HOLE_HEIGHT + 2 * STROKE],
+            [x - STROKE, lowerY + HOLE_HEIGHT, HOLE_WIDTH + 2 * STROKE, STROKE],
+            [x - STROKE, lowerY - STROKE, STROKE, HOLE_HEIGHT + 2 * STROKE],
+            [x - STROKE, top - STROKE, STROKE, HOLE_HEIGHT + 2 * STROKE],
+            [x - STROKE, top + HOLE_HEIGHT, HOLE_WIDTH + 2 * STROKE, STROKE]
+        ];
+        segments.forEach((rect, segment) => {
+            if (mask & (1 << segment)) {
+                fill(...rect);
+            }
+        });
+        if (decimalPoints[digit]) {
+            fill(x + HOLE_WIDTH + STROKE + 1, lowerY + HOLE_HEIGHT + STROKE + 1, 4, 4);
+        }
+    });
+    return { width, height, data };
+}
+
+/**
+ * Draws the frames to calibrate from: every segment and decimal point lit, then all of them dark.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {number} digitCount
+ * @param {Array<number>} [rowLayout] The number of digits on each row, top row first, a single row by default
+ * @returns {[Frame, Frame]}
+ */
+export function renderCalibrationFrames(width, height, digitCount, rowLayout = [digitCount]) {
+    return [
+        renderFrame(width, height, new Array(digitCount).fill(127), new Array(digitCount).fill(true), rowLayout),
+        renderFrame(width, height, new Array(digitCount).fill(0), [], rowLayout)
+    ];
+}
+
+/** Size of a starburst digit unit and stroke width, in pixels.  A digit is one unit wide and two high. */
+export const STARBURST_UNIT = 32;
+export const STARBURST_STROKE = 5;
+
+/**
+ * Draws a row of starburst digits in the middle of a dark frame, each segment a thick line
+ * along the display type's stroke.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {DisplayType} displayType
+ * @param {Array<number>} masks The segment mask of each digit, in reading order
+ * @param {Array<boolean>} [decimalPoints=[]] Whether each digit's decimal point is lit
+ * @returns {Frame}
+ */
+export function renderStarburstFrame(width, height, displayType, masks, decimalPoints = []) {
+    const frame = renderFrame(width, height, []);
+    const data = /** @type {Uint8ClampedArray} */ (frame.data);
+    const pitch = STARBURST_UNIT * 2;
+    const firstLeft = Math.floor((width - pitch * masks.length) / 2) + STARBURST_STROKE;
+    const top = Math.floor(height / 2) - STARBURST_UNIT;
+
+    /**
+     * Lights every pixel within `radius` of the line from `[x0, y0]` to `[x1, y1]`.
+     *
+     * @param {number} x0
+     * @param {number} y0
+     * @param {number} x1
+     * @param {number} y1
+     * @param {number} radius
+     */
+    const line = (x0, y0, x1, y1, radius) => {
+        const length = Math.max(1e-9, (x1 - x0) ** 2 + (y1 - y0) ** 2);
+        for (let y = Math.floor(Math.min(y0, y1) - radius); y <= Math.ceil(Math.max(y0, y1) + radius); y++) {
+            for (let x = Math.floor(Math.min(x0, x1) - radius); x <= Math.ceil(Math.max(x0, x1) + radius); x++) {
+                const along = Math.min(1, Math.max(0, ((x - x0) * (x1 - x0) + (y - y0) * (y1 - y0)) / length));
+                if (Math.hypot(x - x0 - along * (x1 - x0), y - y0 - along * (y1 - y0)) <= radius) {
+                    data.set([255, 200, 200], (y * width + x) * 4);
+                }
+            }
+        }
+    };
+
+    masks.forEach((mask, digit) => {
+        const left = firstLeft + digit * pitch;
+        displayType.strokes.forEach(([x0, y0, x1, y1], segment) => {
+            if (mask & (1 << segment)) {
+                line(
+                    left + x0 * STARBURST_UNIT,
+                    top + y0 * STARBURST_UNIT,
+                    left + x1 * STARBURST_UNIT,
+                    top + y1 * STARBURST_UNIT,
+                    STARBURST_STROKE / 2
+                );
+            }
+        });
+        const [pointX, pointY] = displayType.decimalPoint ?? [1.2, 2];
+        if (decimalPoints[digit]) {
+            const x = left + pointX * STARBURST_UNIT;
+            const y = top + pointY * STARBURST_UNIT;
+            line(x, y, x, y, 3);
+        }
+    });
+    return frame;
+}